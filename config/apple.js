@@ -0,0 +1,93 @@
+import axios from "axios";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const APPLE_ISSUER = "https://appleid.apple.com";
+const APPLE_KEYS_URL = "https://appleid.apple.com/auth/keys";
+const KEYS_CACHE_MS = 60 * 60 * 1000;
+
+let cachedKeys = { keys: [], loadedAt: 0 };
+
+/**
+ * Accepted audiences: the iOS bundle id and/or the web Services ID
+ * APPLE_CLIENT_IDS="com.saksoti.app,com.saksoti.web"
+ */
+const getAppleClientIds = () =>
+  (process.env.APPLE_CLIENT_IDS || process.env.APPLE_CLIENT_ID || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+/**
+ * Apple's public signing keys (JWKS), cached for an hour and refetched on an unknown kid
+ */
+const getApplePublicKey = async (kid) => {
+  const isFresh = Date.now() - cachedKeys.loadedAt < KEYS_CACHE_MS;
+  let jwk = isFresh ? cachedKeys.keys.find((key) => key.kid === kid) : null;
+
+  if (!jwk) {
+    const { data } = await axios.get(APPLE_KEYS_URL, { timeout: 5000 });
+    cachedKeys = { keys: data.keys || [], loadedAt: Date.now() };
+    jwk = cachedKeys.keys.find((key) => key.kid === kid);
+  }
+
+  return jwk ? crypto.createPublicKey({ key: jwk, format: "jwk" }) : null;
+};
+
+/**
+ * Verify a Sign in with Apple identity token
+ * @param {string} idToken
+ * @param {Object} [options] - { nonce } raw nonce whose sha256 the client sent to Apple
+ */
+export const verifyAppleToken = async (idToken, { nonce } = {}) => {
+  const clientIds = getAppleClientIds();
+  if (clientIds.length === 0) {
+    return { success: false, error: true, message: "Sign in with Apple is not configured" };
+  }
+
+  try {
+    const header = jwt.decode(idToken, { complete: true })?.header;
+    if (!header?.kid) {
+      return { success: false, error: true, message: "Malformed Apple token" };
+    }
+
+    const publicKey = await getApplePublicKey(header.kid);
+    if (!publicKey) {
+      return { success: false, error: true, message: "Unknown Apple signing key" };
+    }
+
+    const decoded = jwt.verify(idToken, publicKey, {
+      algorithms: ["RS256"],
+      issuer: APPLE_ISSUER,
+      audience: clientIds,
+    });
+
+    if (nonce) {
+      const expectedNonce = crypto.createHash("sha256").update(String(nonce)).digest("hex");
+      if (decoded.nonce !== expectedNonce) {
+        return { success: false, error: true, message: "Apple token nonce mismatch" };
+      }
+    }
+
+    return {
+      success: true,
+      error: false,
+      sub: decoded.sub,
+      email: decoded.email || null,
+      // Apple sends these claims as strings or booleans
+      emailVerified: decoded.email_verified === true || decoded.email_verified === "true",
+      isPrivateEmail: decoded.is_private_email === true || decoded.is_private_email === "true",
+      decoded,
+    };
+  } catch (error) {
+    console.error("❌ Apple token verification error:", error.message);
+    return {
+      success: false,
+      error: true,
+      message: error.name === "TokenExpiredError" ? "Apple token expired" : "Invalid Apple token",
+    };
+  }
+};
@@ -0,0 +1,69 @@
+import { verifyFirebaseToken } from "./firebase.js";
+import { verifyAppleToken } from "./apple.js";
+
+/**
+ * External sign-in providers
+ * A provider is `{ verify(idToken, context) }` resolving to
+ *   { success: true, subject, email, emailVerified, name, picture }
+ * or { success: false, message }. `subject` is the provider's stable user id.
+ * `context` carries request fields such as the Apple nonce and first/last name.
+ */
+const providers = {
+  google: {
+    verify: async (idToken) => {
+      const result = await verifyFirebaseToken(idToken);
+      if (result.error || !result.success) {
+        return { success: false, message: result.message || "Invalid Firebase ID Token" };
+      }
+      return {
+        success: true,
+        subject: result.uid,
+        email: result.email || null,
+        // A missing claim means the address was not confirmed by Google
+        emailVerified: result.decoded?.email_verified === true,
+        name: result.name || null,
+        picture: result.picture || null,
+      };
+    },
+  },
+
+  apple: {
+    verify: async (idToken, context = {}) => {
+      const result = await verifyAppleToken(idToken, { nonce: context.nonce });
+      if (result.error || !result.success) {
+        return { success: false, message: result.message || "Invalid Apple token" };
+      }
+      // Apple only sends the user's name to the app, on the very first authorization
+      const name = [context.firstname, context.lastname].filter(Boolean).join(" ") || null;
+      return {
+        success: true,
+        subject: result.sub,
+        email: result.email,
+        emailVerified: result.emailVerified,
+        name,
+        picture: null,
+      };
+    },
+  },
+};
+
+/**
+ * Register (or replace) a provider, e.g. a stub provider in tests
+ */
+export const registerAuthProvider = (name, provider) => {
+  if (typeof provider?.verify !== "function") {
+    throw new Error(`Auth provider "${name}" must implement verify(idToken, context)`);
+  }
+  providers[name] = provider;
+};
+
+export const unregisterAuthProvider = (name) => {
+  delete providers[name];
+};
+
+// Own keys only: names like "constructor" or "__proto__" must not resolve to Object.prototype members
+export const getAuthProvider = (name) => (Object.hasOwn(providers, name) ? providers[name] : null);
+
+export const listAuthProviders = () => Object.keys(providers);
+
+export default { registerAuthProvider, unregisterAuthProvider, getAuthProvider, listAuthProviders };
@@ -0,0 +1,89 @@
+import nodemailer from "nodemailer";
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Mail transports
+ * Every transport exposes a nodemailer-compatible `sendMail(message)`.
+ * Select one with MAIL_TRANSPORT (smtp | file | console), default: smtp in production, console elsewhere.
+ * console and file keep the full message, reset and verification codes included, in logs or on
+ * disk, so they are refused in production.
+ */
+const DEV_ONLY_TRANSPORTS = ["console", "file"];
+
+const isProduction = () => process.env.NODE_ENV === "production";
+const transportFactories = {
+  smtp: () => {
+    if (!process.env.SMTP_HOST) {
+      throw new Error("SMTP_HOST is required for the smtp mail transport");
+    }
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+  },
+
+  // Writes every message as JSON into MAIL_OUTBOX_DIR (local development and tests)
+  file: () => {
+    const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || "logs/mail");
+    return {
+      sendMail: async (message) => {
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+        const fileName = `${Date.now()}-${Math.round(Math.random() * 1e9)}.json`;
+        const filePath = path.join(outboxDir, fileName);
+        await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+        return { messageId: fileName, path: filePath };
+      },
+    };
+  },
+
+  console: () => ({
+    sendMail: async (message) => {
+      console.log("📧 [MAIL]", JSON.stringify(message, null, 2));
+      return { messageId: `console-${Date.now()}` };
+    },
+  }),
+};
+
+let mailTransport = null;
+
+/**
+ * Register (or replace) a named transport factory
+ */
+export const registerMailTransport = (name, factory) => {
+  transportFactories[name] = factory;
+  if (process.env.MAIL_TRANSPORT === name) mailTransport = null;
+};
+
+/**
+ * Override the active transport instance (e.g. a stub in tests)
+ */
+export const setMailTransport = (transport) => {
+  mailTransport = transport;
+};
+
+export const getMailTransport = () => {
+  if (mailTransport) return mailTransport;
+
+  const name = process.env.MAIL_TRANSPORT || (isProduction() ? "smtp" : "console");
+  const factory = transportFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+  if (isProduction() && DEV_ONLY_TRANSPORTS.includes(name)) {
+    throw new Error(`MAIL_TRANSPORT "${name}" is for development only and cannot be used in production`);
+  }
+
+  mailTransport = factory();
+  console.log(`✅ Mail transport initialized: ${name}`);
+  return mailTransport;
+};
+
+export default { registerMailTransport, setMailTransport, getMailTransport };
@@ -0,0 +1,84 @@
+/**
+ * Role-based access control
+ * Permissions are "<resource>:<action>" strings; a role is a named set of them.
+ * Users get permissions from `User.roles`. Accounts with the legacy `isAdmin`
+ * flag and no explicit roles keep full access as super admins.
+ */
+
+export const PERMISSIONS = [
+  "users:read",
+  "users:write",
+  "users:delete",
+  "roles:manage",
+  "analytics:read",
+  "news:write",
+  "news:delete",
+  "posts:delete",
+  "policies:write",
+  "terms:write",
+  "contacts:read",
+  "subscriptions:read",
+  "security:manage",
+  "lockouts:manage",
+  "audit:read",
+];
+
+export const ROLES = {
+  super_admin: {
+    label: "Super admin",
+    permissions: [...PERMISSIONS],
+  },
+  content_moderator: {
+    label: "Content moderator",
+    permissions: ["users:read", "news:write", "news:delete", "posts:delete", "policies:write", "terms:write"],
+  },
+  support_agent: {
+    label: "Support agent",
+    permissions: ["users:read", "users:write", "contacts:read", "lockouts:manage"],
+  },
+  billing_admin: {
+    label: "Billing admin",
+    permissions: ["users:read", "subscriptions:read", "analytics:read"],
+  },
+};
+
+export const ROLE_NAMES = Object.keys(ROLES);
+
+/**
+ * Effective roles of a user document or req.user
+ */
+export const getUserRoles = (user) => {
+  const roles = (user?.roles || []).filter((role) => ROLES[role]);
+  if (roles.length === 0 && user?.isAdmin) return ["super_admin"];
+  return roles;
+};
+
+/**
+ * Union of the permissions granted by the user's roles
+ */
+export const getUserPermissions = (user) => {
+  const permissions = new Set();
+  for (const role of getUserRoles(user)) {
+    ROLES[role].permissions.forEach((permission) => permissions.add(permission));
+  }
+  return [...permissions];
+};
+
+/**
+ * True when the user holds every listed permission
+ */
+export const hasPermission = (user, ...required) => {
+  const granted = user?.permissions || getUserPermissions(user);
+  return required.every((permission) => granted.includes(permission));
+};
+
+/**
+ * Staff accounts: admins and anyone holding a role
+ */
+export const isStaffAccount = (user) => getUserRoles(user).length > 0;
+
+/**
+ * Whether `actor` may edit, change the status of or delete `target`: staff accounts can only be
+ * managed by holders of roles:manage, so lower staff cannot take over or lock out an admin
+ */
+export const canManageAccount = (actor, target) => !isStaffAccount(target) || hasPermission(actor, "roles:manage");
@@ -1,47 +1,30 @@
 import { Server } from "socket.io";
-import jwt from "jsonwebtoken";
 import User from "../models/User.js";
 import mongoose from "mongoose";
-import ChatRequest from "../models/ChatRequest.js"; // Add this import
 import ChatConversation from "../models/ChatConversation.js"; // Add this import
+import authHelper from "../utils/authHelper.js";
+import { markMessagesDelivered, markMessagesRead } from "../utils/messageReceiptHelper.js";
+import { getMessageRecipients } from "../utils/messageUtils.js";
+import { reactToMessage } from "../utils/messageReactionHelper.js";
+import { getChatParticipantIds } from "../utils/chatHelper.js";
+import { deliverChatMessage } from "../controller/chatController/chatController.js";
+import {
+  clearChatMessageCache,
+  findJoinedAt,
+  getJoinedAt,
+  loadMessageHistory,
+  parseMessageCursor
+} from "../utils/messageHelper.js";
 
 let io = null;
-const chatParticipantsCache = new Map();
 
-const getChatParticipantIds = async (chatId) => {
-  const cacheKey = String(chatId);
-  const cached = chatParticipantsCache.get(cacheKey);
-  if (cached && Date.now() - cached.cachedAt < 60_000) {
-    return cached.participants;
-  }
-
-  const chatRequest = await ChatRequest.findById(chatId).select(
-    "chatType senderId receiverId groupAdmin superAdmins members"
-  );
-  if (!chatRequest) return [];
-
-  let participants = [];
-  if (chatRequest.chatType === "individual") {
-    participants = [
-      String(chatRequest.senderId),
-      String(chatRequest.receiverId),
-    ];
-  } else {
-    participants = [
-      String(chatRequest.groupAdmin),
-      ...(chatRequest.superAdmins || []).map(String),
-      ...(chatRequest.members || []).map(String),
-    ];
-  }
-
-  const uniqueParticipants = Array.from(
-    new Set(participants.filter(Boolean))
-  );
-  chatParticipantsCache.set(cacheKey, {
-    participants: uniqueParticipants,
-    cachedAt: Date.now(),
-  });
-  return uniqueParticipants;
+// Receipts only cover messages the user can see: group history starts when they joined
+const getReceiptWindow = async (chatId, userId, messageIds) => {
+  const joinedAt = await findJoinedAt(chatId, userId);
+  return {
+    ...(joinedAt ? { since: joinedAt } : {}),
+    ...(Array.isArray(messageIds) && messageIds.length > 0 ? { messageIds } : {}),
+  };
 };
 
 export const initializeSocket = (server) => {
@@ -64,7 +47,8 @@ export const initializeSocket = (server) => {
         return next(new Error("Authentication error: No token provided"));
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Only access tokens may open a socket (refresh tokens are rejected by type/key)
+      const decoded = authHelper.verifyAccessToken(token);
       const user = await User.findById(decoded.id).select("_id firstname lastname");
 
       if (!user) {
@@ -141,190 +125,186 @@ export const initializeSocket = (server) => {
       }
     });
 
-    // ✅ NEW: Handle sendMessage event from frontend
-    socket.on("sendMessage", async (data) => {
-      try {
-        const { chatId, message, senderId } = data;
-        console.log("📤 Backend received sendMessage:", { chatId, message, senderId });
+    // Text message over the socket ({ chatId, message, replyTo? }): stored and broadcast exactly
+    // like POST /api/chat/:chatId/message; answered via ack with the sender's view of the message
+    socket.on("sendMessage", async (data, ack) => {
+      const respond = typeof ack === "function" ? ack : () => { };
+      const fail = (message) => {
+        socket.emit('error', { message });
+        respond({ success: false, message });
+      };
 
-        if (!chatId || !message || !senderId) {
-          return socket.emit('error', { message: 'Missing required fields' });
+      try {
+        const { chatId, message, replyTo } = data || {};
+        // The sender is always the authenticated socket user, never the client-sent senderId
+        if (data?.senderId && String(data.senderId) !== String(userId)) {
+          return fail('senderId does not match the authenticated user');
         }
-
-        // Validate MongoDB ObjectId
-        if (!mongoose.Types.ObjectId.isValid(chatId)) {
-          return socket.emit('error', { message: 'Invalid chat ID' });
+        if (!chatId || typeof message !== "string" || !message.trim()) {
+          return fail('Missing required fields');
         }
 
-        // Validate user is in the chat
-        const chatRequest = await ChatRequest.findById(chatId);
-        if (!chatRequest) {
-          return socket.emit('error', { message: 'Chat not found' });
+        // Same gate as subscriptionRequired on the REST route
+        const sender = await User.findById(userId).select("isDeleted isSubscription isAdmin");
+        if (!sender || sender.isDeleted === true) return fail('Sender not found');
+        if (!sender.isSubscription && !sender.isAdmin) {
+          return fail('Your account does not have an active subscription. Please subscribe to access chat features.');
         }
 
-        // Check if user is participant (for individual chats)
-        if (chatRequest.chatType === 'individual') {
-          const participants = [
-            chatRequest.senderId.toString(),
-            chatRequest.receiverId.toString()
-          ];
-          if (!participants.includes(senderId)) {
-            return socket.emit('error', { message: 'Not a participant of this chat' });
-          }
-        }
+        const result = await deliverChatMessage({ chatId: String(chatId), userId: String(userId), message, replyTo: replyTo || null });
+        if (result.error) return fail(result.error);
 
-        // Check if user is member (for group chats)
-        if (chatRequest.chatType === 'group') {
-          const isParticipant =
-            String(chatRequest.groupAdmin) === String(senderId) ||
-            (chatRequest.superAdmins || []).map(String).includes(String(senderId)) ||
-            (chatRequest.members || []).map(String).includes(String(senderId));
+        console.log(`✅ Message ${result.message._id} stored and broadcast to chat:${chatId} from user:${userId}`);
+        respond({ success: true, message: result.message });
+      } catch (error) {
+        console.error("❌ Error in sendMessage handler:", error);
+        fail('Failed to send message');
+      }
+    });
 
-          if (!isParticipant) {
-            return socket.emit('error', { message: 'Not a member of this group' });
-          }
-        }
+    // History over the socket ({ chatId, limit?, page?, before? | after? | around?, search? }),
+    // same paging as GET /api/chat/:chatId; answered via ack and "messagesFetched"
+    socket.on("getMessages", async (data, ack) => {
+      const respond = typeof ack === "function" ? ack : () => { };
+      try {
+        const { chatId, page = 1, limit = 50, search = "" } = data || {};
+        console.log("📥 Backend received getMessages:", { chatId, page, limit });
 
-        // Get sender info
-        const sender = await User.findById(senderId).select("firstname lastname email profileimg isDeleted");
-        if (!sender) {
-          return socket.emit('error', { message: 'Sender not found' });
+        if (!chatId || !mongoose.Types.ObjectId.isValid(chatId)) {
+          socket.emit('error', { message: 'Invalid chat ID' });
+          return respond({ success: false, message: "Invalid chat ID" });
         }
 
-        // ✅ Handle deleted users in sender info
-        let senderInfo;
-        if (sender.isDeleted === true) {
-          senderInfo = {
-            _id: String(sender._id),
-            firstname: "Profile",
-            lastname: "Deleted",
-            email: "",
-            profileimg: "/uploads/default.png",
-            isDeleted: true
-          };
-        } else {
-          senderInfo = {
-            _id: String(sender._id),
-            firstname: sender.firstname,
-            lastname: sender.lastname,
-            email: sender.email,
-            profileimg: sender.profileimg
-          };
+        const participants = await getChatParticipantIds(chatId);
+        if (!participants.includes(String(userId))) {
+          return respond({ success: false, message: "Not a participant of this chat" });
         }
 
-        const timestamp = new Date();
-
-        // ✅ Create message object matching your API response structure
-        const messageData = {
-          _id: `temp-${Date.now()}`,
-          chatId: String(chatId),
-          chatRequestId: String(chatId),
-          content: message,
-          messageType: 'text',
-          mediaUrl: null,
-          isDeleteMe: false,
-          isDeleteEvery: false,
-          deletedAt: null,
-          deletedBy: null,
-          deletedFor: null,
-          canEdit: true, // User can edit their own text messages
-          isEdited: false,
-          editedAt: null,
-          createdAt: timestamp,
-          time: timestamp,
-          sender: senderInfo,
-          type: String(sender._id) === String(userId) ? 'send' : 'receive'
-        };
+        const cursor = parseMessageCursor(data);
+        if (cursor.error) {
+          return respond({ success: false, message: cursor.error });
+        }
 
-        // ✅ Emit to all users in the chat room with consistent structure
-        io.to(`chat:${chatId}`).emit("newMessage", messageData);
+        const convo = await ChatConversation.findOne({ chatRequestId: chatId }).select("joinedAtByUser");
+        const history = await loadMessageHistory({
+          chatId,
+          userId,
+          joinedAt: getJoinedAt(convo, userId),
+          limit: Math.min(Math.max(parseInt(limit) || 50, 1), 100),
+          page: Math.max(parseInt(page) || 1, 1),
+          search: String(search || "").trim(),
+          ...cursor,
+          responseChatId: String(chatId),
+          getRecipientIds: (m) => String(m.sender?._id || m.sender) === String(userId)
+            ? getMessageRecipients(m, participants, convo?.joinedAtByUser)
+            : null
+        });
+        if (history.cursorNotFound) {
+          return respond({ success: false, message: "Cursor message not found" });
+        }
 
-        // ✅ Also emit chat list update to all participants with same structure
-        const chatListUpdateData = {
-          chatId: String(chatId),
-          action: "newMessage",
-          lastMessage: messageData
-        };
+        const payload = { chatId: String(chatId), messages: history.messages, pagination: history.pagination };
+        socket.emit("messagesFetched", payload);
+        respond({ success: true, ...payload });
 
-        // For individual chats, notify both participants
-        if (chatRequest.chatType === 'individual') {
-          const otherUserId = String(chatRequest.senderId) === String(senderId)
-            ? String(chatRequest.receiverId)
-            : String(chatRequest.senderId);
+      } catch (error) {
+        console.error("❌ Error in getMessages handler:", error);
+        socket.emit('error', { message: 'Failed to fetch messages' });
+        respond({ success: false, message: "Failed to fetch messages" });
+      }
+    });
 
-          // Update sender's chat list with 'send' type
-          io.to(`user:${senderId}`).emit("chatList:update", {
-            ...chatListUpdateData,
-            lastMessage: { ...messageData, type: 'send' }
-          });
+    // Delivery ack from the client after it received messages ({ chatId, messageIds? })
+    socket.on("messagesDelivered", async (data, ack) => {
+      const respond = typeof ack === "function" ? ack : () => { };
+      try {
+        const { chatId, messageIds } = data || {};
+        if (!chatId || !mongoose.Types.ObjectId.isValid(chatId)) {
+          return respond({ success: false, message: "Invalid chat ID" });
+        }
 
-          // Update receiver's chat list with 'receive' type
-          io.to(`user:${otherUserId}`).emit("chatList:update", {
-            ...chatListUpdateData,
-            lastMessage: { ...messageData, type: 'receive' }
-          });
+        const participants = await getChatParticipantIds(chatId);
+        if (!participants.includes(String(userId))) {
+          return respond({ success: false, message: "Not a participant of this chat" });
         }
-        // For group chats, notify all members
-        else if (chatRequest.chatType === 'group') {
-          const allMemberIds = [
-            String(chatRequest.groupAdmin),
-            ...(chatRequest.superAdmins || []).map(String),
-            ...(chatRequest.members || []).map(String)
-          ];
-
-          allMemberIds.forEach(memberId => {
-            const messageType = String(memberId) === String(senderId) ? 'send' : 'receive';
-            io.to(`user:${memberId}`).emit("chatList:update", {
-              ...chatListUpdateData,
-              lastMessage: { ...messageData, type: messageType }
-            });
+
+        const changed = await markMessagesDelivered(chatId, userId, await getReceiptWindow(chatId, userId, messageIds));
+        if (changed) {
+          await clearChatMessageCache(chatId);
+          socket.to(`chat:${chatId}`).emit("messagesDelivered", {
+            chatId: String(chatId),
+            userId: String(userId),
+            messageIds: Array.isArray(messageIds) ? messageIds.map(String) : null,
+            deliveredAt: new Date()
           });
         }
-
-        console.log(`✅ Message broadcasted to chat:${chatId} from user:${senderId}`);
-
+        respond({ success: true });
       } catch (error) {
-        console.error("❌ Error in sendMessage handler:", error);
-        socket.emit('error', { message: 'Failed to send message' });
+        console.error("❌ Error in messagesDelivered handler:", error.message);
+        respond({ success: false, message: "Failed to record delivery" });
       }
     });
 
-    // ✅ NEW: Handle getMessages event (for real-time message fetching)
-    socket.on("getMessages", async (data) => {
+    // Read ack from the client ({ chatId, messageIds? }); without messageIds everything visible is read
+    socket.on("markMessagesAsRead", async (data, ack) => {
+      const respond = typeof ack === "function" ? ack : () => { };
       try {
-        const { chatId, page = 1, limit = 50 } = data;
-        console.log("📥 Backend received getMessages:", { chatId, page, limit });
-
+        const { chatId, messageIds } = data || {};
         if (!chatId || !mongoose.Types.ObjectId.isValid(chatId)) {
-          return socket.emit('error', { message: 'Invalid chat ID' });
+          return respond({ success: false, message: "Invalid chat ID" });
         }
 
-        // Here you would typically fetch messages from database
-        // For now, we'll just acknowledge the request
-        socket.emit("messagesFetched", {
-          chatId,
-          page,
-          limit,
-          message: "Messages fetch request received"
-        });
+        const participants = await getChatParticipantIds(chatId);
+        if (!participants.includes(String(userId))) {
+          return respond({ success: false, message: "Not a participant of this chat" });
+        }
 
-      } catch (error) {
-        console.error("❌ Error in getMessages handler:", error);
-        socket.emit('error', { message: 'Failed to fetch messages' });
-      }
-    });
+        const readAt = new Date();
+        await markMessagesRead(chatId, userId, await getReceiptWindow(chatId, userId, messageIds));
+        await ChatConversation.updateOne(
+          { chatRequestId: chatId },
+          { $set: { [`lastReadAtByUser.${String(userId)}`]: readAt } }
+        );
+        await clearChatMessageCache(chatId);
 
-    // NEW: Listen for mark as read events from frontend
-    socket.on("markMessagesAsRead", (data) => {
-      const { chatId } = data;
-      if (chatId) {
         // Notify other participants that this user read messages
         socket.to(`chat:${chatId}`).emit("messagesRead", {
           chatId: String(chatId),
           userId: String(userId),
-          readAt: new Date()
+          messageIds: Array.isArray(messageIds) ? messageIds.map(String) : null,
+          readAt
         });
         console.log(`📖 User ${userId} marked messages as read in chat: ${chatId}`);
+        respond({ success: true });
+      } catch (error) {
+        console.error("❌ Error in markMessagesAsRead handler:", error.message);
+        respond({ success: false, message: "Failed to record read receipts" });
+      }
+    });
+
+    // Add or remove a reaction ({ chatId, messageId, emoji, action: "add" | "remove" });
+    // everyone in the room receives `message:reaction`
+    socket.on("message:react", async (data, ack) => {
+      const respond = typeof ack === "function" ? ack : () => { };
+      try {
+        const { chatId, messageId, emoji, action = "add" } = data || {};
+        if (!chatId || !mongoose.Types.ObjectId.isValid(chatId)) {
+          return respond({ success: false, message: "Invalid chat ID" });
+        }
+
+        const participants = await getChatParticipantIds(chatId);
+        if (!participants.includes(String(userId))) {
+          return respond({ success: false, message: "Not a participant of this chat" });
+        }
+
+        const result = await reactToMessage({ chatKeyId: chatId, messageId, userId, emoji, action });
+        if (result.error) {
+          return respond({ success: false, message: result.error });
+        }
+        respond({ success: true });
+      } catch (error) {
+        console.error("❌ Error in message:react handler:", error.message);
+        respond({ success: false, message: "Failed to update reaction" });
       }
     });
 
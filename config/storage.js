@@ -0,0 +1,141 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createLocalStorageDriver } from "../utils/localStorageDriver.js";
+import { createS3StorageDriver } from "../utils/s3StorageDriver.js";
+
+/*
+ * Uploads are kept by a storage driver (STORAGE_DRIVER=local, the default, or s3).
+ * Documents store a reference to each file:
+ *   - public files (posts, news, profile and group images): their public URL,
+ *     e.g. /uploads/<key> on local disk or <S3_PUBLIC_URL>/<key> on S3
+ *   - private files (chat media): "private:<key>", only handed out as a signed, expiring
+ *     URL (see resolveMediaUrl) once the chat media route has checked the requester
+ * Every driver implements put(localPath, key, { visibility, contentType }), delete(key, visibility),
+ * getPublicUrl(key), parsePublicUrl(url) and getSignedUrl(key, expiresIn).
+ */
+
+export const PRIVATE_REF_PREFIX = "private:";
+
+// Path of the route serving signed private files from local disk
+export const LOCAL_SIGNED_URL_PATH = "/api/media/private";
+
+/**
+ * Where multer writes incoming files before they are handed to the storage driver
+ */
+export const getUploadTempDir = () => {
+  const dir = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), "sak-soti-uploads");
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  return dir;
+};
+
+/**
+ * Lifetime of signed media URLs, in seconds (MEDIA_URL_TTL_SECONDS, default 1 hour)
+ */
+export const getMediaUrlTtl = () => Number(process.env.MEDIA_URL_TTL_SECONDS || 3600);
+
+const getSigningSecret = () => {
+  const secret = process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error("MEDIA_URL_SECRET (or JWT_SECRET) is required to sign media URLs");
+  return secret;
+};
+
+let localDriver = null;
+let activeDriver = null;
+
+/**
+ * Local disk driver. Always available: it serves STORAGE_DRIVER=local and the files
+ * uploaded before another driver was configured.
+ */
+export const getLocalStorageDriver = () => {
+  if (!localDriver) {
+    localDriver = createLocalStorageDriver({
+      publicDir: "uploads",
+      privateDir: process.env.PRIVATE_UPLOAD_DIR || "uploads_private",
+      signedUrlPath: LOCAL_SIGNED_URL_PATH,
+      getSigningSecret,
+    });
+  }
+  return localDriver;
+};
+
+/**
+ * The configured storage driver. Drivers are created on first use, so env loaded by dotenv in index.js applies.
+ */
+export const getStorage = () => {
+  if (activeDriver) return activeDriver;
+
+  const driver = (process.env.STORAGE_DRIVER || "local").toLowerCase();
+  if (driver === "s3") {
+    activeDriver = createS3StorageDriver({
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION || "us-east-1",
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      publicUrl: process.env.S3_PUBLIC_URL,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== "false",
+    });
+  } else {
+    if (driver !== "local") console.warn(`⚠️ Unknown STORAGE_DRIVER "${driver}", using local disk`);
+    activeDriver = getLocalStorageDriver();
+  }
+  console.log(`📦 Upload storage: ${activeDriver.name}`);
+  return activeDriver;
+};
+
+export const isPrivateRef = (ref) => typeof ref === "string" && ref.startsWith(PRIVATE_REF_PREFIX);
+
+/**
+ * Driver, key and visibility behind a stored reference, or null for references
+ * this server does not manage (external URLs, the default avatar...)
+ */
+export const parseStorageRef = (ref) => {
+  if (typeof ref !== "string" || !ref) return null;
+  if (isPrivateRef(ref)) {
+    return { driver: getStorage(), key: ref.slice(PRIVATE_REF_PREFIX.length), visibility: "private" };
+  }
+  for (const driver of [getStorage(), getLocalStorageDriver()]) {
+    const key = driver.parsePublicUrl(ref);
+    if (key && key !== "default.png") return { driver, key, visibility: "public" };
+  }
+  return null;
+};
+
+/**
+ * Hand a file on local disk to the storage driver (the local copy is moved away)
+ * @param {string} localPath
+ * @param {Object} options - { visibility: "public" | "private", contentType, key }
+ * @returns {Promise<string>} reference to store in the document
+ */
+export const storeFile = async (localPath, { visibility = "public", contentType, key } = {}) => {
+  const storage = getStorage();
+  const storageKey = key || path.basename(localPath);
+  await storage.put(localPath, storageKey, { visibility, contentType });
+  return visibility === "private" ? `${PRIVATE_REF_PREFIX}${storageKey}` : storage.getPublicUrl(storageKey);
+};
+
+/**
+ * Store a file received by multer
+ * @returns {Promise<string>} reference to store in the document
+ */
+export const storeUploadedFile = (file, { visibility = "public" } = {}) =>
+  storeFile(file.path, { visibility, contentType: file.mimetype, key: file.filename });
+
+/**
+ * Delete a stored file; unknown references and already missing files are ignored
+ */
+export const removeStoredFile = async (ref) => {
+  const parsed = parseStorageRef(ref);
+  if (!parsed) return;
+  await parsed.driver.delete(parsed.key, parsed.visibility);
+};
+
+/**
+ * URL a client can download a stored file from: public references as they are,
+ * private ones as a signed URL valid for `expiresIn` seconds
+ */
+export const resolveMediaUrl = (ref, expiresIn = getMediaUrlTtl()) => {
+  if (!isPrivateRef(ref)) return ref ?? null;
+  return getStorage().getSignedUrl(ref.slice(PRIVATE_REF_PREFIX.length), expiresIn);
+};
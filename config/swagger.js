@@ -137,6 +137,9 @@ const options = {
               description: 'URL of the attached media',
               example: '/uploads/post123.jpg'
             },
+            media: {
+              $ref: '#/components/schemas/MediaInfo'
+            },
             author: {
               type: 'string',
               description: 'ID of the user who created the post',
@@ -184,6 +187,9 @@ const options = {
               description: 'URL of the attached media',
               example: '/uploads/news123.jpg'
             },
+            media: {
+              $ref: '#/components/schemas/MediaInfo'
+            },
             author: {
               type: 'string',
               description: 'ID of the admin who created the news',
@@ -201,6 +207,26 @@ const options = {
             }
           }
         },
+        MediaInfo: {
+          type: 'object',
+          nullable: true,
+          description: 'Recorded when the image/video was uploaded (EXIF/GPS already stripped); null for external URLs',
+          properties: {
+            width: { type: 'integer', example: 1920 },
+            height: { type: 'integer', example: 1080 },
+            duration: { type: 'number', nullable: true, description: 'Seconds, videos only', example: 12.4 },
+            variants: {
+              type: 'object',
+              description: 'Resized copies (longest edge 160/480/1080px); null when the original is not larger',
+              properties: {
+                thumb: { type: 'string', nullable: true, example: '/uploads/post123-thumb.jpg' },
+                small: { type: 'string', nullable: true, example: '/uploads/post123-small.jpg' },
+                medium: { type: 'string', nullable: true, example: '/uploads/post123-medium.jpg' }
+              }
+            },
+            posterUrl: { type: 'string', nullable: true, description: 'First frame, videos only', example: null }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
@@ -5,6 +5,12 @@ import { errorResponse, successResponse } from "../utils/response.js";
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 import Post from "../models/Post.js";
+import { revokeAllSessions } from "../utils/sessionHelper.js";
+import { isTwoFactorRequiredForAdmins, setTwoFactorRequiredForAdmins } from "../utils/twoFactorHelper.js";
+import { auditRequest } from "../utils/auditHelper.js";
+import { listLockouts, clearLockout, LOCKOUT_TYPES, normalizeLoginEmail } from "../utils/loginAttemptHelper.js";
+import { ROLES, ROLE_NAMES, PERMISSIONS, getUserRoles, getUserPermissions, hasPermission, canManageAccount } from "../config/roles.js";
+import { storeUploadedFile } from "../config/storage.js";
 
 // Helper: clear cached users
 export const clearUserCache = async () => {
@@ -188,6 +194,9 @@ export const createUser = asyncHandler(async (req, res) => {
   if (!firstname || !email || !password)
     return successResponse(res, "All fields are required", null, null, 200, 0);
 
+  if (isAdmin && !hasPermission(req.user, "roles:manage"))
+    return errorResponse(res, "You do not have permission to grant admin access", 403);
+
   const existingUser = await User.findOne({ email });
   if (existingUser)
     return successResponse(res, "User already exists", null, null, 200, 0);
@@ -203,6 +212,8 @@ export const createUser = asyncHandler(async (req, res) => {
     isAdmin: isAdmin || false,
   });
 
+  await auditRequest(req, { action: "user.created", targetType: "user", targetId: user._id, before: null, after: user });
+
   const userResponse = user.toObject();
   delete userResponse.password;
 
@@ -215,20 +226,32 @@ export const createUser = asyncHandler(async (req, res) => {
 // ✏️ UPDATE USER
 export const updateUser = asyncHandler(async (req, res) => {
   const { firstname, lastname, email, isAdmin } = req.body;
-  const profileimg = req.file ? `/uploads/${req.file.filename}` : undefined;
+  const profileimg = req.file ? await storeUploadedFile(req.file) : undefined;
   const { id } = req.params;
 
   if (!mongoose.Types.ObjectId.isValid(id))
     return successResponse(res, "User id not found", null, null, 200, 0);
 
+  if (typeof isAdmin !== "undefined" && !hasPermission(req.user, "roles:manage"))
+    return errorResponse(res, "You do not have permission to change admin access", 403);
+
   const updateData = { firstname, lastname, email };
   if (profileimg) updateData.profileimg = profileimg;
   if (typeof isAdmin !== "undefined") updateData.isAdmin = isAdmin;
 
+  const previous = await User.findById(id).select("-password");
+  if (!previous)
+    return successResponse(res, "User id not found", null, null, 200, 0);
+
+  if (!canManageAccount(req.user, previous))
+    return errorResponse(res, "You do not have permission to change staff accounts", 403);
+
   const user = await User.findByIdAndUpdate(id, updateData, { new: true }).select("-password");
   if (!user)
     return successResponse(res, "User id not found", null, null, 200, 0);
 
+  await auditRequest(req, { action: "user.updated", targetType: "user", targetId: id, before: previous, after: user });
+
   // Clear cache for this user + user list
   await redisClient.del(`user:${id}`);
   await clearUserCache();
@@ -247,10 +270,25 @@ export const updateUserStatus = asyncHandler(async (req, res) => {
   if (!mongoose.Types.ObjectId.isValid(id))
     return successResponse(res, "User id not found", null, null, 200, 0);
 
+  const previous = await User.findById(id).select("status isAdmin roles");
+  if (!previous)
+    return successResponse(res, "User id not found", null, null, 200, 0);
+
+  if (!canManageAccount(req.user, previous))
+    return errorResponse(res, "You do not have permission to change staff accounts", 403);
+
   const user = await User.findByIdAndUpdate(id, { status }, { new: true }).select("-password");
   if (!user)
     return successResponse(res, "User id not found", null, null, 200, 0);
 
+  await auditRequest(req, {
+    action: "user.status_changed",
+    targetType: "user",
+    targetId: id,
+    before: { status: previous.status },
+    after: { status: user.status },
+  });
+
   // Clear cache for this user + all user lists
   await redisClient.del(`user:${id}`);
   await clearUserCache();
@@ -273,14 +311,20 @@ export const deleteUser = asyncHandler(async (req, res) => {
   if (user.isAdmin)
     return successResponse(res, "Admin users cannot be deleted", null, null, 200, 0);
 
+  if (!canManageAccount(req.user, user))
+    return errorResponse(res, "You do not have permission to delete staff accounts", 403);
+
   if (user.isDeleted)
     return successResponse(res, "User already deleted", null, null, 200, 0);
 
   // 🧹 Soft delete user and their posts
+  const previous = user.toObject();
   user.isDeleted = true;
   user.deletedAt = new Date();
   await user.save();
 
+  await auditRequest(req, { action: "user.deleted", targetType: "user", targetId: id, before: previous, after: user });
+
   await Post.updateMany(
     { author: id },
     { $set: { isDeleted: true, deletedAt: new Date() } }
@@ -289,11 +333,155 @@ export const deleteUser = asyncHandler(async (req, res) => {
   // Clear Redis cache
   try {
     await redisClient.del(`user:${id}`);
-    await redisClient.del(`refreshToken:${id}`);
+    await revokeAllSessions(id);
     await clearUserCache();
   } catch (redisError) {
     console.warn("⚠️ Redis cache cleanup failed:", redisError.message);
   }
 
   return successResponse(res, "User soft-deleted successfully", null, null, 200, 1);
-});
\ No newline at end of file
+});
+
+// 🔐 TWO-FACTOR ENFORCEMENT FOR ADMINS
+export const getTwoFactorEnforcement = asyncHandler(async (req, res) => {
+  const required = await isTwoFactorRequiredForAdmins();
+  const adminsWithoutTwoFactor = await User.countDocuments({
+    $or: [{ isAdmin: true }, { "roles.0": { $exists: true } }],
+    isDeleted: { $ne: true },
+    "twoFactor.enabled": { $ne: true },
+  });
+
+  return successResponse(res, "Two-factor enforcement retrieved", { required, adminsWithoutTwoFactor });
+});
+
+export const updateTwoFactorEnforcement = asyncHandler(async (req, res) => {
+  const { required } = req.body || {};
+  if (typeof required !== "boolean")
+    return successResponse(res, "required must be true or false", null, null, 200, 0);
+
+  // Don't let an admin lock themselves out of the admin panel
+  if (required && !req.user.twoFactorEnabled)
+    return successResponse(res, "Enable two-factor authentication on your own account first", null, null, 200, 0);
+
+  const { before, value } = await setTwoFactorRequiredForAdmins(required, req.user.id);
+
+  await auditRequest(req, {
+    action: "security.admin_2fa_enforcement_updated",
+    targetType: "setting",
+    targetId: "security.adminTwoFactorRequired",
+    before: { required: before },
+    after: { required: value },
+  });
+
+  return successResponse(res, required ? "Two-factor authentication is now required for administrators" : "Two-factor authentication is no longer required for administrators", { required: value });
+});
+
+// 🔒 LOGIN LOCKOUTS
+export const getLoginLockouts = asyncHandler(async (req, res) => {
+  let lockouts;
+  try {
+    lockouts = await listLockouts();
+  } catch (redisError) {
+    console.error("❌ Failed to list login lockouts:", redisError.message);
+    return errorResponse(res, "Unable to load lockouts right now", 500);
+  }
+
+  return successResponse(res, "Login lockouts retrieved", { lockouts });
+});
+
+export const deleteLoginLockout = asyncHandler(async (req, res) => {
+  const { type, value } = req.params;
+  if (!LOCKOUT_TYPES.includes(type))
+    return successResponse(res, "Lockout type must be account or ip", null, null, 200, 0);
+
+  // Account lockouts are keyed by email; tell the owner their sign-in works again
+  const user = type === "account" ? await User.findOne({ email: normalizeLoginEmail(value), isDeleted: { $ne: true } }) : null;
+
+  const cleared = await clearLockout(type, value, user);
+  if (!cleared)
+    return successResponse(res, "Lockout not found", null, null, 200, 0);
+
+  await auditRequest(req, {
+    action: "security.login_lockout_cleared",
+    targetType: type,
+    targetId: value,
+  });
+
+  return successResponse(res, "Lockout cleared", { type, value });
+});
+
+// 🛡️ ROLES & PERMISSIONS
+export const getRoles = asyncHandler(async (req, res) => {
+  const roles = ROLE_NAMES.map((name) => ({ name, label: ROLES[name].label, permissions: ROLES[name].permissions }));
+  return successResponse(res, "Roles retrieved successfully", { roles, permissions: PERMISSIONS });
+});
+
+export const getUserRoleAssignment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id))
+    return successResponse(res, "User id not found", null, null, 200, 0);
+
+  const user = await User.findById(id).select("firstname lastname email isAdmin roles");
+  if (!user)
+    return successResponse(res, "User id not found", null, null, 200, 0);
+
+  return successResponse(res, "User roles retrieved successfully", {
+    userId: user._id,
+    isAdmin: user.isAdmin,
+    roles: user.roles,
+    effectiveRoles: getUserRoles(user),
+    permissions: getUserPermissions(user),
+  });
+});
+
+export const updateUserRoles = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { roles } = req.body || {};
+
+  if (!mongoose.Types.ObjectId.isValid(id))
+    return successResponse(res, "User id not found", null, null, 200, 0);
+
+  if (!Array.isArray(roles))
+    return successResponse(res, "roles must be an array", null, null, 200, 0);
+
+  const unknownRoles = roles.filter((role) => !ROLES[role]);
+  if (unknownRoles.length > 0)
+    return successResponse(res, `Unknown role(s): ${unknownRoles.join(", ")}`, null, null, 200, 0);
+
+  const user = await User.findById(id).select("firstname lastname email isAdmin roles isDeleted");
+  if (!user || user.isDeleted)
+    return successResponse(res, "User id not found", null, null, 200, 0);
+
+  const nextRoles = [...new Set(roles)];
+  const before = getUserRoles(user);
+  const after = getUserRoles({ isAdmin: user.isAdmin, roles: nextRoles });
+
+  // Never leave the platform without anyone able to manage roles
+  if (String(user._id) === String(req.user.id) && !after.includes("super_admin") && before.includes("super_admin"))
+    return successResponse(res, "You cannot remove your own super admin role", null, null, 200, 0);
+
+  user.roles = nextRoles;
+  await user.save();
+
+  await auditRequest(req, {
+    action: "user.roles_updated",
+    targetType: "user",
+    targetId: user._id,
+    before: { roles: before },
+    after: { roles: after },
+  });
+
+  try {
+    await redisClient.del(`user:${id}`);
+    await clearUserCache();
+  } catch (redisError) {
+    console.warn("⚠️ Redis cache cleanup failed:", redisError.message);
+  }
+
+  return successResponse(res, "User roles updated successfully", {
+    userId: user._id,
+    roles: user.roles,
+    effectiveRoles: after,
+    permissions: getUserPermissions(user),
+  });
+});
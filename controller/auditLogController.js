@@ -0,0 +1,121 @@
+import mongoose from "mongoose";
+import AuditLog from "../models/AuditLog.js";
+import User from "../models/User.js";
+import { asyncHandler } from "../utils/errorHandler.js";
+import { successResponse } from "../utils/response.js";
+
+const MAX_PAGE_SIZE = 100;
+const MAX_EXPORT_ROWS = Number(process.env.AUDIT_EXPORT_MAX_ROWS || 10000);
+
+/**
+ * Build the Mongo filter from query params:
+ * actor (user id or email), action (comma separated), targetType, targetId, from, to (ISO dates)
+ * @returns {Promise<{filter?: Object, error?: string}>}
+ */
+const buildAuditFilter = async (query) => {
+  const { actor, action, targetType, targetId, from, to } = query;
+  const filter = {};
+
+  if (actor) {
+    if (mongoose.Types.ObjectId.isValid(actor)) {
+      filter.actor = actor;
+    } else {
+      const actorUser = await User.findOne({ email: String(actor).toLowerCase() }).select("_id");
+      if (!actorUser) return { error: "Actor not found" };
+      filter.actor = actorUser._id;
+    }
+  }
+
+  if (action) {
+    const actions = String(action).split(",").map((item) => item.trim()).filter(Boolean);
+    filter.action = actions.length === 1 ? actions[0] : { $in: actions };
+  }
+
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = String(targetId);
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) {
+      const fromDate = new Date(from);
+      if (Number.isNaN(fromDate.getTime())) return { error: "Invalid from date" };
+      filter.createdAt.$gte = fromDate;
+    }
+    if (to) {
+      const toDate = new Date(to);
+      if (Number.isNaN(toDate.getTime())) return { error: "Invalid to date" };
+      filter.createdAt.$lte = toDate;
+    }
+  }
+
+  return { filter };
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  // Spreadsheet apps run cells starting with these as formulas (user agents are client-controlled)
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * GET /api/admin/audit-logs — filtered, newest first, paginated
+ */
+export const getAuditLogs = asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+
+  const { filter, error } = await buildAuditFilter(req.query);
+  if (error) return successResponse(res, error, null, null, 200, 0);
+
+  const [totalItems, logs] = await Promise.all([
+    AuditLog.countDocuments(filter),
+    AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("actor", "firstname lastname email")
+      .lean(),
+  ]);
+
+  return successResponse(res, "Audit logs retrieved successfully", logs, {
+    currentPage: page,
+    totalPages: Math.ceil(totalItems / limit),
+    totalItems,
+    itemsPerPage: limit,
+  });
+});
+
+/**
+ * GET /api/admin/audit-logs/export — same filters, CSV download
+ */
+export const exportAuditLogs = asyncHandler(async (req, res) => {
+  const { filter, error } = await buildAuditFilter(req.query);
+  if (error) return successResponse(res, error, null, null, 200, 0);
+
+  const logs = await AuditLog.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(MAX_EXPORT_ROWS)
+    .populate("actor", "email")
+    .lean();
+
+  const header = ["timestamp", "actorId", "actorEmail", "action", "targetType", "targetId", "changes", "ip", "userAgent", "metadata"];
+  const rows = logs.map((log) => [
+    log.createdAt?.toISOString(),
+    log.actor?._id || log.actor,
+    log.actor?.email,
+    log.action,
+    log.targetType,
+    log.targetId,
+    log.changes,
+    log.ip,
+    log.userAgent,
+    log.metadata,
+  ].map(csvCell).join(","));
+
+  const fileName = `audit-logs-${new Date().toISOString().slice(0, 10)}.csv`;
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+  return res.status(200).send([header.join(","), ...rows].join("\r\n"));
+});
@@ -3,16 +3,44 @@ import ChatConversation from "../../models/ChatConversation.js";
 import redisClient from "../../config/redis.js";
 import User from "../../models/User.js";
 import mongoose from "mongoose";
+import fs from "fs";
 import { asyncHandler } from "../../utils/errorHandler.js";
 import { successResponse, errorResponse } from "../../utils/response.js";
 import { getIO } from "../../config/socket.js";
 import { sendFirebaseNotification } from "../../utils/firebaseHelper.js";
 import Notification from "../../models/Notification.js";
+import Message from "../../models/Message.js";
 import {
+  CHAT_MEDIA_VARIANTS,
   createMessageResponse,
-  createDeletedForMeMap,
-  filterVisibleMessages
+  getMessageRecipients,
+  getMessageStatus,
+  createMessageLookup
 } from "../../utils/messageUtils.js";
+import {
+  MESSAGE_SENDER_FIELDS,
+  createChatMessage,
+  findJoinedAt,
+  getJoinedAt,
+  clearChatMessageCache,
+  dropExpiredMessages,
+  getMessageCacheKey,
+  getMessageCacheTtl,
+  isMessageVisibleTo,
+  loadMessageHistory,
+  loadReplyTargets,
+  parseMessageCursor,
+  searchUserMessages,
+  visibleMessagesQuery
+} from "../../utils/messageHelper.js";
+import { resolveReplyTarget } from "../../utils/messageReplyHelper.js";
+import { getChatParticipantIds, resolveChatAccess } from "../../utils/chatHelper.js";
+import { resolveMediaUrl } from "../../config/storage.js";
+import { getMaxVoiceNoteSeconds, readVoiceNoteMetadata } from "../../utils/audioMetadataHelper.js";
+import { storeUploadedMedia } from "../../utils/mediaProcessingHelper.js";
+import { getPinnedMessages } from "../../utils/messagePinHelper.js";
+import { getDisappearingTimerKey, setDisappearingTimer } from "../../utils/disappearingMessageHelper.js";
+import { markMessagesRead } from "../../utils/messageReceiptHelper.js";
 
 const deleteRedisKeysByPattern = async (pattern) => {
   if (!redisClient || typeof redisClient.scan !== "function") return;
@@ -30,6 +58,27 @@ const deleteRedisKeysByPattern = async (pattern) => {
   }
 };
 
+const MAX_FORWARD_TARGETS = 10;
+
+/**
+ * Persist read receipts for the messages a user just fetched and tell the other participants
+ */
+const acknowledgeMessagesRead = async (chatKeyId, userId, options = {}) => {
+  try {
+    const changed = await markMessagesRead(chatKeyId, userId, options);
+    if (!changed) return;
+
+    await clearChatMessageCache(chatKeyId);
+    getIO().to(`chat:${String(chatKeyId)}`).emit("messagesRead", {
+      chatId: String(chatKeyId),
+      userId: String(userId),
+      readAt: new Date()
+    });
+  } catch (error) {
+    console.warn("Failed to record read receipts:", error.message);
+  }
+};
+
 export const sendIndividualTextMessage = asyncHandler(async (req, res) => {
   const { chatId } = req.params;
   const userId = req.user?.id;
@@ -55,17 +104,16 @@ export const sendIndividualTextMessage = asyncHandler(async (req, res) => {
   const isPartnerDeleted = partner && partner.isDeleted === true;
 
   const participantsSet = new Set([request.senderId.toString(), request.receiverId.toString()]);
-  const convo = await ChatConversation.findOneAndUpdate(
+  await ChatConversation.findOneAndUpdate(
     { chatRequestId: request._id },
     {
       $setOnInsert: { chatType: 'individual' },
-      $set: { participants: Array.from(participantsSet) },
-      $push: { messages: { sender: userId, content: message, messageType: 'text' } }
+      $set: { participants: Array.from(participantsSet) }
     },
-    { upsert: true, new: true }
-  ).populate({ path: 'messages.sender', select: 'firstname lastname email profileimg isDeleted' });
+    { upsert: true }
+  );
 
-  const last = convo.messages[convo.messages.length - 1];
+  const last = await createChatMessage(request._id, { sender: userId, content: message, messageType: 'text' });
 
   let senderInfo;
   if (isPartnerDeleted) {
@@ -105,43 +153,57 @@ export const sendIndividualTextMessage = asyncHandler(async (req, res) => {
   return successResponse(res, "Message sent", messageData, null, 200);
 });
 
-export const sendChatMessage = asyncHandler(async (req, res) => {
-  const { chatId } = req.params;
-  const userId = req.user?.id;
-  const { message } = req.body;
-  if (!message || !message.trim()) return errorResponse(res, "message is required", 404);
-
+/**
+ * Send a text message to an individual chat or group as `userId`: stores it, emits `newMessage`
+ * and `chatList:update`, sends push notifications and clears caches.
+ * Shared by POST /api/chat/:chatId/message and scheduled message delivery, which passes a
+ * `messageId` chosen up front so a retried job can tell its message was already stored.
+ * @returns {Promise<{message?: Object, error?: string}>} the sender's view of the message, or why it was refused
+ */
+export const deliverChatMessage = async ({ chatId, userId, message, replyTo = null, messageId = null }) => {
   if (!mongoose.Types.ObjectId.isValid(chatId)) {
-    return successResponse(res, "Chat id not found", null, null, 200, 0);
+    return { error: "Chat id not found" };
   }
 
   const reqDoc = await ChatRequest.findById(chatId);
   if (!reqDoc) {
-    return successResponse(res, "Chat id not found", null, null, 200, 0);
+    return { error: "Chat id not found" };
   }
 
   if (reqDoc.chatType === 'individual') {
-    if (reqDoc.status !== 'accepted') return successResponse(res, "Chat request not accepted yet", null, null, 200, 0);
+    if (reqDoc.status !== 'accepted') return { error: "Chat request not accepted yet" };
 
     const participants = [reqDoc.senderId.toString(), reqDoc.receiverId.toString()];
-    if (!participants.includes(String(userId))) return successResponse(res, "Not a participant of this chat", null, null, 200, 0);
+    if (!participants.includes(String(userId))) return { error: "Not a participant of this chat" };
+
+    let replyTarget = null;
+    if (replyTo) {
+      const resolved = await resolveReplyTarget(reqDoc._id, replyTo, userId);
+      if (resolved.error) return { error: resolved.error };
+      replyTarget = resolved.message;
+    }
 
     const partnerId = String(reqDoc.senderId) === String(userId) ? reqDoc.receiverId : reqDoc.senderId;
     const partner = await User.findById(partnerId).select("isDeleted");
     const isPartnerDeleted = partner && partner.isDeleted === true;
 
     const participantsSet = new Set([reqDoc.senderId.toString(), reqDoc.receiverId.toString()]);
-    const convo = await ChatConversation.findOneAndUpdate(
+    await ChatConversation.findOneAndUpdate(
       { chatRequestId: reqDoc._id },
       {
         $setOnInsert: { chatType: 'individual' },
-        $set: { participants: Array.from(participantsSet) },
-        $push: { messages: { sender: userId, content: message, messageType: 'text' } }
+        $set: { participants: Array.from(participantsSet) }
       },
-      { upsert: true, new: true }
-    ).populate({ path: 'messages.sender', select: 'firstname lastname email profileimg isDeleted' });
+      { upsert: true }
+    );
 
-    const last = convo.messages[convo.messages.length - 1];
+    const last = await createChatMessage(reqDoc._id, {
+      sender: userId,
+      content: message,
+      messageType: 'text',
+      replyTo: replyTarget?._id || null,
+      ...(messageId ? { _id: messageId } : {})
+    });
 
     let senderInfo;
     if (isPartnerDeleted) {
@@ -166,7 +228,8 @@ export const sendChatMessage = asyncHandler(async (req, res) => {
     const baseMessageData = createMessageResponse(
       { ...last.toObject(), sender: senderInfo },
       userId,
-      chatId
+      chatId,
+      { messagesById: createMessageLookup([replyTarget]) }
     );
 
     const senderChatListMessage = { ...baseMessageData, type: 'send' };
@@ -231,45 +294,59 @@ export const sendChatMessage = asyncHandler(async (req, res) => {
       console.error("Error sending chat push notification:", err.message);
     }
 
+    await clearChatMessageCache(reqDoc._id);
     try {
       await redisClient.del(
-        `chat:${String(reqDoc._id)}`,
         `requests:${String(reqDoc.senderId)}:accepted`,
         `requests:${String(reqDoc.receiverId)}:accepted`
       );
     } catch { }
 
-    return successResponse(res, 'Message sent', senderChatListMessage, null, 200, 1);
+    return { message: senderChatListMessage };
   }
 
   let groupRoot = reqDoc.receiverId === null ? reqDoc : await ChatRequest.findOne({ _id: reqDoc.groupId, chatType: 'group', receiverId: null });
-  if (!groupRoot) return successResponse(res, 'Group id not found', null, null, 200, 0);
+  if (!groupRoot) return { error: 'Group id not found' };
 
   const isParticipant = String(groupRoot.groupAdmin) === String(userId)
     || (groupRoot.superAdmins || []).map(String).includes(String(userId))
     || (groupRoot.members || []).map(String).includes(String(userId));
-  if (!isParticipant) return successResponse(res, 'You are not a member of this group', null, null, 200, 0);
+  if (!isParticipant) return { error: 'You are not a member of this group' };
+
+  let replyTarget = null;
+  if (replyTo) {
+    const resolved = await resolveReplyTarget(groupRoot._id, replyTo, userId);
+    if (resolved.error) return { error: resolved.error };
+    replyTarget = resolved.message;
+  }
 
   const participants = [groupRoot.groupAdmin, ...(groupRoot.superAdmins || []), ...(groupRoot.members || [])].map(String);
   const uniqueParticipants = Array.from(new Set(participants));
-  const convo = await ChatConversation.findOneAndUpdate(
+  await ChatConversation.findOneAndUpdate(
     { chatRequestId: groupRoot._id },
     {
       $setOnInsert: { chatType: 'group' },
-      $set: { participants: uniqueParticipants },
-      $push: { messages: { sender: userId, content: message, messageType: 'text' } }
+      $set: { participants: uniqueParticipants }
     },
-    { upsert: true, new: true }
-  ).populate({ path: 'messages.sender', select: 'firstname lastname email profileimg isDeleted' });
+    { upsert: true }
+  );
+
+  const last = await createChatMessage(groupRoot._id, {
+    sender: userId,
+    content: message,
+    messageType: 'text',
+    replyTo: replyTarget?._id || null,
+    ...(messageId ? { _id: messageId } : {})
+  });
 
   try {
     groupRoot.updatedAt = new Date();
     await groupRoot.save();
   } catch { }
 
-  const last = convo.messages[convo.messages.length - 1];
-
-  const baseGroupMessage = createMessageResponse(last, userId, groupRoot._id);
+  const baseGroupMessage = createMessageResponse(last, userId, groupRoot._id, {
+    messagesById: createMessageLookup([replyTarget])
+  });
   const responseMessage = { ...baseGroupMessage, type: 'send' };
 
   try {
@@ -339,9 +416,7 @@ export const sendChatMessage = asyncHandler(async (req, res) => {
     console.error("Error sending group notification:", err.message);
   }
 
-  try {
-    await redisClient.del(`chat:${String(groupRoot._id)}`);
-  } catch { }
+  await clearChatMessageCache(groupRoot._id);
 
   try {
     const cacheClearTargets = [
@@ -358,7 +433,21 @@ export const sendChatMessage = asyncHandler(async (req, res) => {
     console.warn("Redis group cache clear failed:", err.message);
   }
 
-  return successResponse(res, 'Message sent', responseMessage, null, 200, 1);
+  return { message: responseMessage };
+};
+
+export const sendChatMessage = asyncHandler(async (req, res) => {
+  const { chatId } = req.params;
+  const userId = req.user?.id;
+  const { message, replyTo } = req.body;
+  if (!message || !message.trim()) return errorResponse(res, "message is required", 404);
+
+  const result = await deliverChatMessage({ chatId, userId, message, replyTo });
+  if (result.error) {
+    return successResponse(res, result.error, null, null, 200, 0);
+  }
+
+  return successResponse(res, 'Message sent', result.message, null, 200, 1);
 });
 
 export const uploadChatMedia = asyncHandler(async (req, res) => {
@@ -395,30 +484,59 @@ export const uploadChatMedia = asyncHandler(async (req, res) => {
   const file = req.file;
   if (!file) return errorResponse(res, "No file uploaded", 404);
 
-  let messageType = 'image';
-  const ext = (file.originalname.split('.').pop() || '').toLowerCase();
-  if (["mp4", "mov", "avi", "mkv"].includes(ext)) messageType = 'video';
-  else if (["mp3", "wav", "aac", "m4a", "ogg"].includes(ext)) messageType = 'audio';
-  else if (["pdf"].includes(ext)) messageType = 'pdf';
+  // Detected from the file content by the upload middleware
+  const messageType = file.mediaType;
+
+  // Voice notes: duration, codec and waveform so clients can render the player up front
+  let audio = null;
+  if (messageType === 'audio') {
+    try {
+      audio = await readVoiceNoteMetadata(file.path);
+    } catch (error) {
+      console.warn("Could not read audio metadata:", error.message);
+      await fs.promises.unlink(file.path).catch(() => { });
+      return successResponse(res, "Could not read the audio file", null, null, 400, 0);
+    }
+
+    const maxSeconds = getMaxVoiceNoteSeconds();
+    if (audio && audio.duration > maxSeconds) {
+      await fs.promises.unlink(file.path).catch(() => { });
+      return successResponse(res, `Voice notes can be at most ${maxSeconds} seconds long`, null, null, 400, 0);
+    }
+  }
+
+  // Chat files are stored privately and sent out as signed URLs. Images and videos also get
+  // EXIF/GPS stripped, their dimensions recorded and variants plus a video poster written.
+  let stored;
+  try {
+    stored = await storeUploadedMedia(file, { visibility: "private", uploadedBy: userId });
+  } catch (error) {
+    console.warn("Could not process chat media:", error.message);
+    return successResponse(res, "Could not process the media file", null, null, 400, 0);
+  }
 
   const chatKeyId = reqDoc.chatType === 'group' && reqDoc.receiverId !== null ? reqDoc.groupId : reqDoc._id;
   const participants = reqDoc.chatType === 'individual'
     ? [reqDoc.senderId.toString(), reqDoc.receiverId.toString()]
     : undefined;
 
-  const update = {
-    $setOnInsert: { chatType: reqDoc.chatType },
-    $push: { messages: { sender: userId, content: `/uploads/${file.filename}`, mediaUrl: `/uploads/${file.filename}`, messageType } }
-  };
+  const update = { $setOnInsert: { chatType: reqDoc.chatType } };
   if (participants) update.$set = { participants };
 
-  const convo = await ChatConversation.findOneAndUpdate(
+  await ChatConversation.findOneAndUpdate(
     { chatRequestId: chatKeyId },
     update,
-    { upsert: true, new: true }
-  ).populate({ path: 'messages.sender', select: 'firstname lastname email profileimg isDeleted' });
+    { upsert: true }
+  );
 
-  const last = convo.messages[convo.messages.length - 1];
+  const last = await createChatMessage(chatKeyId, {
+    sender: userId,
+    content: stored.url,
+    mediaUrl: stored.url,
+    messageType,
+    audio,
+    media: stored.media
+  });
 
   let senderInfo;
   if (reqDoc.chatType === 'individual' && isPartnerDeleted) {
@@ -505,13 +623,202 @@ export const uploadChatMedia = asyncHandler(async (req, res) => {
     console.error("Socket emit error:", error.message);
   }
 
-  try {
-    await redisClient.del(`chat:${String(chatKeyId)}`);
-  } catch { }
+  await clearChatMessageCache(chatKeyId);
 
   return successResponse(res, 'Message sent', responseMessage, null, 200, 1);
 });
 
+// Lifetime of the storage link the media route redirects to
+const CHAT_MEDIA_LINK_SECONDS = 5 * 60;
+
+/**
+ * Serve the file of a chat message (or one of its variants) to a participant of the chat
+ * that owns it, by redirecting to a short-lived link to the stored file.
+ * Messages the user cannot see (deleted for them, expired, sent before they joined) are not served.
+ */
+export const getChatMedia = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  const userId = req.user?.id;
+  const variant = req.query.variant ? String(req.query.variant) : null;
+
+  if (variant && !CHAT_MEDIA_VARIANTS.includes(variant)) {
+    return successResponse(res, `variant must be one of ${CHAT_MEDIA_VARIANTS.join(", ")}`, null, null, 400, 0);
+  }
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    return errorResponse(res, "Media not found", 404);
+  }
+
+  const message = await Message.findById(messageId)
+    .select("chatId mediaUrl media deletedForMe expiresAt createdAt")
+    .lean();
+  if (!message || !message.mediaUrl) {
+    return errorResponse(res, "Media not found", 404);
+  }
+
+  const participantIds = await getChatParticipantIds(message.chatId);
+  if (!participantIds.includes(String(userId))) {
+    return errorResponse(res, "You are not a participant of this chat", 403);
+  }
+
+  const joinedAt = await findJoinedAt(message.chatId, userId);
+  if (!isMessageVisibleTo(message, userId, joinedAt)) {
+    return errorResponse(res, "Media not found", 404);
+  }
+
+  const ref = variant === "poster"
+    ? message.media?.posterUrl
+    : (variant ? message.media?.variants?.[variant] : message.mediaUrl);
+  if (!ref) {
+    return errorResponse(res, "Media not found", 404);
+  }
+
+  // The link is personal to this check; don't let shared caches keep the redirect
+  res.set("Cache-Control", "private, no-store");
+  return res.redirect(resolveMediaUrl(ref, CHAT_MEDIA_LINK_SECONDS));
+});
+
+/**
+ * Forward a message to other chats the user belongs to. Copies keep the stored mediaUrl
+ * (no re-upload) and are flagged as forwarded; each target is checked on its own.
+ */
+export const forwardChatMessage = asyncHandler(async (req, res) => {
+  const { chatId, messageId } = req.params;
+  const userId = req.user?.id;
+  const { chatIds } = req.body;
+
+  if (!Array.isArray(chatIds) || chatIds.length === 0) {
+    return successResponse(res, "chatIds must be a non-empty array", null, null, 400, 0);
+  }
+  const targetIds = Array.from(new Set(chatIds.map(String)));
+  if (targetIds.length > MAX_FORWARD_TARGETS) {
+    return successResponse(res, `You can forward to at most ${MAX_FORWARD_TARGETS} chats at once`, null, null, 400, 0);
+  }
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    return successResponse(res, "Invalid message ID format", null, null, 400, 0);
+  }
+
+  const source = await resolveChatAccess(chatId, userId);
+  if (source.error) return successResponse(res, source.error, null, null, 200, 0);
+
+  const original = await Message.findOne({ _id: messageId, chatId: source.chatKeyId });
+  const joinedAt = source.chatType === 'group' ? await findJoinedAt(source.chatKeyId, userId) : null;
+  if (!isMessageVisibleTo(original, userId, joinedAt)) {
+    return successResponse(res, "Message not found", null, null, 404, 0);
+  }
+  if (original.isDeleteEvery === true) {
+    return successResponse(res, "Cannot forward a deleted message", null, null, 400, 0);
+  }
+  // System notices (e.g. a disappearing timer change) describe events of their own chat
+  if (original.messageType === 'system') {
+    return successResponse(res, "System messages cannot be forwarded", null, null, 400, 0);
+  }
+
+  const forwarded = [];
+  const failed = [];
+
+  for (const targetId of targetIds) {
+    const target = await resolveChatAccess(targetId, userId);
+    if (target.error) {
+      failed.push({ chatId: targetId, reason: target.error });
+      continue;
+    }
+
+    const update = { $setOnInsert: { chatType: target.chatType } };
+    if (target.chatType === 'individual') update.$set = { participants: target.participantIds };
+    await ChatConversation.findOneAndUpdate({ chatRequestId: target.chatKeyId }, update, { upsert: true });
+
+    const copy = await createChatMessage(target.chatKeyId, {
+      sender: userId,
+      content: original.content,
+      mediaUrl: original.mediaUrl || undefined,
+      messageType: original.messageType || 'text',
+      audio: original.audio || null,
+      media: original.media || null,
+      isForwarded: true,
+      forwardedFrom: original._id
+    });
+
+    if (target.chatType === 'group') {
+      await ChatRequest.updateOne({ _id: target.chatKeyId }, { $set: { updatedAt: new Date() } });
+    }
+
+    const baseMessageData = createMessageResponse(copy, userId, target.chatKeyId);
+    const responseMessage = { ...baseMessageData, type: 'send' };
+
+    try {
+      const io = getIO();
+      const socketMessage = { ...baseMessageData, type: 'receive' };
+      io.to(`chat:${String(target.chatKeyId)}`).emit("newMessage", socketMessage);
+
+      target.participantIds.forEach(memberId => {
+        io.to(`user:${memberId}`).emit("chatList:update", {
+          chatId: String(target.chatKeyId),
+          action: "newMessage",
+          lastMessage: String(memberId) === String(userId) ? responseMessage : socketMessage
+        });
+      });
+    } catch (error) {
+      console.error("Socket emit error:", error.message);
+    }
+
+    await clearChatMessageCache(target.chatKeyId);
+    try {
+      await Promise.all(target.participantIds.map(async (uid) => {
+        await deleteRedisKeysByPattern(`requests:${uid}:accepted*`);
+        if (target.chatType === 'group') await deleteRedisKeysByPattern(`requests:${uid}:group*`);
+      }));
+    } catch (err) {
+      console.warn("Redis cache clear failed:", err.message);
+    }
+
+    forwarded.push({ chatId: String(target.chatKeyId), message: responseMessage });
+  }
+
+  if (forwarded.length === 0) {
+    return successResponse(res, "Message could not be forwarded", { forwarded, failed }, null, 200, 0);
+  }
+  return successResponse(res, "Message forwarded", { forwarded, failed }, null, 200, 1);
+});
+
+/**
+ * Turn disappearing messages on (24h / 7d / 90d) or off for a chat.
+ * Either participant can change it in an individual chat; in groups only the admin and super admins.
+ */
+export const updateDisappearingTimer = asyncHandler(async (req, res) => {
+  const { chatId } = req.params;
+  const userId = req.user?.id;
+  const { timer } = req.body;
+
+  const access = await resolveChatAccess(chatId, userId);
+  if (access.error) return successResponse(res, access.error, null, null, 200, 0);
+  if (access.chatType === 'group' && !access.adminIds.includes(String(userId))) {
+    return successResponse(res, "Only group admins can change disappearing messages", null, null, 403, 0);
+  }
+
+  const result = await setDisappearingTimer({ ...access, userId, timer });
+  if (result.error) return successResponse(res, result.error, null, null, 400, 0);
+
+  if (result.changed) {
+    try {
+      await Promise.all(access.participantIds.map(async (uid) => {
+        await deleteRedisKeysByPattern(`requests:${uid}:accepted*`);
+        if (access.chatType === 'group') await deleteRedisKeysByPattern(`requests:${uid}:group*`);
+      }));
+    } catch (err) {
+      console.warn("Redis cache clear failed:", err.message);
+    }
+  }
+
+  return successResponse(
+    res,
+    result.changed ? "Disappearing messages updated" : "Disappearing messages unchanged",
+    { chatId: String(access.chatKeyId), timer: result.timer, systemMessage: result.systemMessage || null },
+    null,
+    200,
+    1
+  );
+});
+
 export const getIndividualMessages = asyncHandler(async (req, res) => {
   const { chatId } = req.params;
   const userId = req.user?.id;
@@ -529,30 +836,24 @@ export const getIndividualMessages = asyncHandler(async (req, res) => {
   const participants = [reqDoc.senderId.toString(), reqDoc.receiverId.toString()];
   if (!participants.includes(String(userId))) return successResponse(res, "Not a participant of this chat", null, null, 200, 0);
 
-  const cacheKey = `chat:${String(reqDoc._id)}:user:${String(userId)}`;
+  const cacheKey = await getMessageCacheKey(reqDoc._id, userId, { history: "all" });
   const cached = await redisClient.get(cacheKey);
   if (cached) {
     const parsed = JSON.parse(cached);
+    parsed.data.messages = dropExpiredMessages(parsed.data.messages);
     return successResponse(res, parsed.message, parsed.data);
   }
 
-  const convo = await ChatConversation.findOne({ chatRequestId: reqDoc._id })
-    .populate({ path: 'messages.sender', select: 'firstname lastname email profileimg isDeleted' });
+  const history = await Message.find(visibleMessagesQuery(reqDoc._id, userId))
+    .sort({ createdAt: 1, _id: 1 })
+    .populate({ path: 'sender', select: MESSAGE_SENDER_FIELDS });
+  const messagesById = await loadReplyTargets(history);
 
-  const deletedForMeMap = createDeletedForMeMap(convo, userId);
-
-  const messages = (convo?.messages || [])
-    .map(m => {
-      const isDeleteMe = deletedForMeMap.has(m._id.toString());
-      if (isDeleteMe) return null;
-
-      return createMessageResponse(m, userId, chatId);
-    })
-    .filter(m => m !== null);
+  const messages = history.map(m => createMessageResponse(m, userId, chatId, { messagesById }));
 
   const data = { chatRequestId: chatId, messages };
   try {
-    await redisClient.setEx(cacheKey, 60, JSON.stringify({ message: "Messages fetched", data }));
+    await redisClient.setEx(cacheKey, getMessageCacheTtl(messages, 60), JSON.stringify({ message: "Messages fetched", data }));
   } catch { }
 
   return successResponse(res, "Messages fetched", data, null, 200, 1);
@@ -564,18 +865,15 @@ export const getChatMessages = asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const search = req.query.search ? req.query.search.trim() : "";
-  const skip = (page - 1) * limit;
 
   if (!mongoose.Types.ObjectId.isValid(chatId)) {
     return successResponse(res, "Chat id not found", null, null, 200, 0);
   }
 
-  const cacheKey = `chat:${String(chatId)}:user:${String(userId)}:page:${page}:limit:${limit}:search:${search}`;
-
-  const cached = await redisClient.get(cacheKey);
-  if (cached) {
-    const parsed = JSON.parse(cached);
-    return successResponse(res, parsed.message, parsed.data, parsed.pagination, 200, 1);
+  // before / after / around: message id cursors, stable while new messages arrive
+  const cursor = parseMessageCursor(req.query);
+  if (cursor.error) {
+    return successResponse(res, cursor.error, null, null, 400, 0);
   }
 
   const reqDoc = await ChatRequest.findById(chatId);
@@ -588,78 +886,55 @@ export const getChatMessages = asyncHandler(async (req, res) => {
     const participants = [reqDoc.senderId.toString(), reqDoc.receiverId.toString()];
     if (!participants.includes(String(userId))) return successResponse(res, "Not a participant of this chat", null, null, 200, 0);
 
+    let individualConvo;
     try {
-      await ChatConversation.findOneAndUpdate(
+      individualConvo = await ChatConversation.findOneAndUpdate(
         { chatRequestId: reqDoc._id },
         {
           $set: {
             [`lastReadAtByUser.${String(userId)}`]: new Date()
           }
         },
-        { upsert: true }
-      );
+        { upsert: true, new: true }
+      ).select("disappearingTimer");
     } catch (error) {
       console.warn("Failed to update last read timestamp:", error.message);
     }
 
-    let convo;
-    try {
-      convo = await ChatConversation.findOne({ chatRequestId: reqDoc._id })
-        .populate({ path: 'messages.sender', select: 'firstname lastname email profileimg isDeleted' });
-    } catch (error) {
-      console.error("Error fetching conversation:", error.message);
-      return errorResponse(res, "Failed to fetch messages", 500);
-    }
+    await acknowledgeMessagesRead(reqDoc._id, userId);
 
-    const deletedForMeMap = createDeletedForMeMap(convo, userId);
+    const cacheKey = await getMessageCacheKey(reqDoc._id, userId, { ...cursor, page, limit, search });
+    const cached = await redisClient.get(cacheKey);
+    if (cached) {
+      const parsed = JSON.parse(cached);
+      parsed.data.messages = dropExpiredMessages(parsed.data.messages);
+      return successResponse(res, parsed.message, parsed.data, parsed.pagination, 200, 1);
+    }
 
-    let messages = [];
+    let history;
     try {
-      messages = (convo?.messages || [])
-        .map(m => {
-          if (!m) return null;
-          const isDeleteMe = deletedForMeMap.has(m._id.toString());
-          if (isDeleteMe) return null;
-          try {
-            return createMessageResponse(m, userId, chatId);
-          } catch (error) {
-            console.warn("Error creating message response:", error.message);
-            return null;
-          }
-        })
-        .filter(m => m !== null);
+      history = await loadMessageHistory({ chatId: reqDoc._id, userId, limit, page, search, ...cursor, responseChatId: chatId });
     } catch (error) {
-      console.error("Error processing messages:", error.message);
-      return errorResponse(res, "Failed to process messages", 500);
+      console.error("Error fetching messages:", error.message);
+      return errorResponse(res, "Failed to fetch messages", 500);
     }
-
-    if (search) {
-      const searchLower = search.toLowerCase();
-      messages = messages.filter(m => {
-        return !m.isDeleteEvery && m.content && m.content.toLowerCase().includes(searchLower);
-      });
+    if (history.cursorNotFound) {
+      return successResponse(res, "Cursor message not found", null, null, 200, 0);
     }
 
-    messages.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-    const totalMessages = messages.length;
-    const paginatedMessages = messages.slice(skip, skip + limit);
-
-    const pagination = {
-      currentPage: page,
-      totalPages: Math.ceil(totalMessages / limit),
-      totalItems: totalMessages,
-      itemsPerPage: limit,
+    const data = {
+      chatRequestId: chatId,
+      disappearingTimer: getDisappearingTimerKey(individualConvo?.disappearingTimer),
+      pinnedMessages: await getPinnedMessages(reqDoc._id, userId),
+      messages: history.messages
     };
-
-    const data = { chatRequestId: chatId, messages: paginatedMessages };
-    const responseData = { message: "Messages fetched", data, pagination };
+    const responseData = { message: "Messages fetched", data, pagination: history.pagination };
 
     try {
-      await redisClient.setEx(cacheKey, 10, JSON.stringify(responseData));
+      await redisClient.setEx(cacheKey, getMessageCacheTtl(history.messages, 10), JSON.stringify(responseData));
     } catch { }
 
-    return successResponse(res, "Messages fetched", data, pagination, 200, 1);
+    return successResponse(res, "Messages fetched", data, history.pagination, 200, 1);
   }
 
   const groupRoot = reqDoc.receiverId === null ? reqDoc : await ChatRequest.findOne({ _id: reqDoc.groupId, chatType: 'group', receiverId: null });
@@ -670,93 +945,174 @@ export const getChatMessages = asyncHandler(async (req, res) => {
     || (groupRoot.members || []).map(String).includes(String(userId));
   if (!isParticipant) return successResponse(res, "You are not a member of this group", null, null, 200, 0);
 
+  let convo;
   try {
-    await ChatConversation.findOneAndUpdate(
+    convo = await ChatConversation.findOneAndUpdate(
       { chatRequestId: groupRoot._id },
       { $set: { [`lastReadAtByUser.${String(userId)}`]: new Date() } },
-      { upsert: true }
-    );
+      { upsert: true, new: true }
+    ).select("joinedAtByUser disappearingTimer");
   } catch { }
 
-  let convo;
+  const joinedAtDate = getJoinedAt(convo, userId);
+
+  await acknowledgeMessagesRead(groupRoot._id, userId, { since: joinedAtDate });
+
+  const cacheKey = await getMessageCacheKey(groupRoot._id, userId, { ...cursor, page, limit, search });
+  const cached = await redisClient.get(cacheKey);
+  if (cached) {
+    const parsed = JSON.parse(cached);
+    parsed.data.messages = dropExpiredMessages(parsed.data.messages);
+    return successResponse(res, parsed.message, parsed.data, parsed.pagination, 200, 1);
+  }
+
+  const groupParticipantIds = Array.from(new Set([
+    String(groupRoot.groupAdmin),
+    ...(groupRoot.superAdmins || []).map(String),
+    ...(groupRoot.members || []).map(String)
+  ]));
+
+  let history;
   try {
-    convo = await ChatConversation.findOne({ chatRequestId: groupRoot._id })
-      .populate({ path: 'messages.sender', select: 'firstname lastname email profileimg isDeleted' });
+    history = await loadMessageHistory({
+      chatId: groupRoot._id,
+      userId,
+      joinedAt: joinedAtDate,
+      limit,
+      page,
+      search,
+      ...cursor,
+      responseChatId: groupRoot._id,
+      getRecipientIds: (m) => String(m.sender?._id || m.sender) === String(userId)
+        ? getMessageRecipients(m, groupParticipantIds, convo?.joinedAtByUser)
+        : null
+    });
   } catch (error) {
-    console.error("Error fetching group conversation:", error.message);
+    console.error("Error fetching group messages:", error.message);
     return errorResponse(res, "Failed to fetch messages", 500);
   }
-
-  let joinedAtDate = null;
-  if (convo?.joinedAtByUser) {
-    try {
-      const joinedEntry = typeof convo.joinedAtByUser.get === "function"
-        ? convo.joinedAtByUser.get(String(userId))
-        : convo.joinedAtByUser[String(userId)];
-      if (joinedEntry) {
-        joinedAtDate = new Date(joinedEntry);
-      }
-    } catch (error) {
-      console.warn("Error getting joinedAtDate:", error.message);
-    }
+  if (history.cursorNotFound) {
+    return successResponse(res, "Cursor message not found", null, null, 200, 0);
   }
 
-  const deletedForMeMap = createDeletedForMeMap(convo, userId);
+  const data = {
+    chatRequestId: String(groupRoot._id),
+    groupImage: groupRoot.groupImage,
+    disappearingTimer: getDisappearingTimerKey(convo?.disappearingTimer),
+    pinnedMessages: await getPinnedMessages(groupRoot._id, userId),
+    messages: history.messages
+  };
+  const responseData = { message: "Messages fetched", data, pagination: history.pagination };
 
-  let messages = [];
   try {
-    messages = (convo?.messages || [])
-      .map(m => {
-        if (!m) return null;
-        const isDeleteMe = deletedForMeMap.has(m._id.toString());
-        if (isDeleteMe) return null;
-
-        if (joinedAtDate && new Date(m.createdAt) < joinedAtDate) {
-          return null;
-        }
+    await redisClient.setEx(cacheKey, getMessageCacheTtl(history.messages, 10), JSON.stringify(responseData));
+  } catch { }
 
-        try {
-          return createMessageResponse(m, userId, groupRoot._id);
-        } catch (error) {
-          console.warn("Error creating message response:", error.message);
-          return null;
-        }
-      })
-      .filter(m => m !== null);
-  } catch (error) {
-    console.error("Error processing group messages:", error.message);
-    return errorResponse(res, "Failed to process messages", 500);
-  }
+  return successResponse(res, "Messages fetched", data, history.pagination, 200, 1);
+});
 
-  if (search) {
-    const searchLower = search.toLowerCase();
-    messages = messages.filter(m => {
-      return !m.isDeleteEvery && m.content && m.content.toLowerCase().includes(searchLower);
-    });
-  }
+/**
+ * Search messages across all of the caller's chats
+ */
+export const searchMessages = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+  const q = req.query.q ? String(req.query.q).trim() : "";
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
 
-  messages.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  if (q.length < 2) {
+    return successResponse(res, "Search query must be at least 2 characters", null, null, 400, 0);
+  }
 
-  const totalMessages = messages.length;
-  const paginatedMessages = messages.slice(skip, skip + limit);
+  const { hits, totalItems } = await searchUserMessages({ userId, q, page, limit });
 
   const pagination = {
     currentPage: page,
-    totalPages: Math.ceil(totalMessages / limit),
-    totalItems: totalMessages,
+    totalPages: Math.ceil(totalItems / limit),
+    totalItems,
     itemsPerPage: limit,
   };
 
+  return successResponse(res, "Search results fetched", hits, pagination, 200, 1);
+});
+
+export const getMessageReceipts = asyncHandler(async (req, res) => {
+  const { chatId, messageId } = req.params;
+  const userId = req.user?.id;
+
+  if (!mongoose.Types.ObjectId.isValid(chatId)) {
+    return successResponse(res, "Chat id not found", null, null, 200, 0);
+  }
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    return successResponse(res, "Invalid message ID format", null, null, 400, 0);
+  }
+
+  const reqDoc = await ChatRequest.findById(chatId);
+  if (!reqDoc) {
+    return successResponse(res, "Chat id not found", null, null, 200, 0);
+  }
+  if (reqDoc.chatType !== 'group') {
+    return successResponse(res, "Receipts are only available for group chats", null, null, 200, 0);
+  }
+
+  const groupRoot = reqDoc.receiverId === null ? reqDoc : await ChatRequest.findOne({ _id: reqDoc.groupId, chatType: 'group', receiverId: null });
+  if (!groupRoot) return successResponse(res, "Group id not found", null, null, 200, 0);
+
+  const groupParticipantIds = Array.from(new Set([
+    String(groupRoot.groupAdmin),
+    ...(groupRoot.superAdmins || []).map(String),
+    ...(groupRoot.members || []).map(String)
+  ]));
+  if (!groupParticipantIds.includes(String(userId))) {
+    return successResponse(res, "You are not a member of this group", null, null, 200, 0);
+  }
+
+  const [convo, message] = await Promise.all([
+    ChatConversation.findOne({ chatRequestId: groupRoot._id }).select("joinedAtByUser"),
+    Message.findOne({ _id: messageId, chatId: groupRoot._id }).select("sender createdAt receipts deletedForMe expiresAt")
+  ]);
+  // Members cannot look at history from before they joined
+  if (!isMessageVisibleTo(message, userId, getJoinedAt(convo, userId))) {
+    return errorResponse(res, "Message not found", 404);
+  }
+
+  const recipientIds = getMessageRecipients(message, groupParticipantIds, convo?.joinedAtByUser);
+  const users = await User.find({ _id: { $in: recipientIds } }).select("firstname lastname email profileimg isDeleted");
+  const usersById = new Map(users.map(u => [String(u._id), u]));
+
+  const receipts = recipientIds.map(recipientId => {
+    const u = usersById.get(recipientId);
+    const receipt = (message.receipts || []).find(r => String(r.user) === recipientId);
+    return {
+      user: !u || u.isDeleted === true ? {
+        _id: recipientId,
+        firstname: "Profile",
+        lastname: "Deleted",
+        email: "",
+        profileimg: "/uploads/default.png",
+        isDeleted: true
+      } : {
+        _id: recipientId,
+        firstname: u.firstname,
+        lastname: u.lastname,
+        email: u.email,
+        profileimg: u.profileimg
+      },
+      status: receipt?.readAt ? 'read' : receipt ? 'delivered' : 'sent',
+      deliveredAt: receipt?.deliveredAt || null,
+      readAt: receipt?.readAt || null
+    };
+  });
+
   const data = {
-    chatRequestId: String(groupRoot._id),
-    groupImage: groupRoot.groupImage,
-    messages: paginatedMessages
+    chatId: String(groupRoot._id),
+    messageId: String(message._id),
+    status: getMessageStatus(message, recipientIds),
+    totalRecipients: recipientIds.length,
+    deliveredCount: receipts.filter(r => r.status !== 'sent').length,
+    readCount: receipts.filter(r => r.status === 'read').length,
+    receipts
   };
-  const responseData = { message: "Messages fetched", data, pagination };
-
-  try {
-    await redisClient.setEx(cacheKey, 10, JSON.stringify(responseData));
-  } catch { }
 
-  return successResponse(res, "Messages fetched", data, pagination, 200, 1);
-});
\ No newline at end of file
+  return successResponse(res, "Message receipts fetched", data, null, 200, 1);
+});
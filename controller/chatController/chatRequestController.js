@@ -10,6 +10,8 @@ import mongoose from "mongoose";
 import redisClient from "../../config/redis.js";
 import ChatConversation from "../../models/ChatConversation.js";
 import { checkUserDeleted } from "../../utils/chatHelper.js";
+import { countUnreadMessages, findLastVisibleMessage, getJoinedAt } from "../../utils/messageHelper.js";
+import { getMessageMediaUrl } from "../../utils/messageUtils.js";
 // ... other imports
 
 // Helper function to delete Redis keys by pattern
@@ -622,8 +624,8 @@ export const getRequestsByType = asyncHandler(async (req, res) => {
   const user = await User.findById(userId).select("isSubscription isAdmin");
   if (!user) return errorResponse(res, "User not found", 404);
 
-  const pickLastVisibleMessageForUser = (conversation) => {
-    if (!conversation || !Array.isArray(conversation.messages)) {
+  const pickLastVisibleMessageForUser = async (conversation) => {
+    if (!conversation) {
       return { lastMessage: null, lastMessageTimestamp: null };
     }
 
@@ -636,79 +638,53 @@ export const getRequestsByType = asyncHandler(async (req, res) => {
       );
     }
 
-    const deletedForCurrentUser = new Set();
-    if (Array.isArray(conversation.deletedForMe)) {
-      conversation.deletedForMe.forEach((deletion) => {
-        if (
-          deletion?.userId &&
-          deletion?.messageId &&
-          String(deletion.userId) === String(userId)
-        ) {
-          deletedForCurrentUser.add(String(deletion.messageId));
-        }
-      });
+    // ✅ Last visible message: not deleted, not deleted for me, not from before I joined
+    const msg = await findLastVisibleMessage(
+      conversation.chatRequestId,
+      userId,
+      getJoinedAt(conversation, userId)
+    );
+    if (!msg) {
+      return { lastMessage: null, lastMessageTimestamp: null };
     }
 
-    let joinedAtDate = null;
-    if (conversation.joinedAtByUser) {
-      const joinedEntry = typeof conversation.joinedAtByUser.get === "function"
-        ? conversation.joinedAtByUser.get(String(userId))
-        : conversation.joinedAtByUser[String(userId)];
-      if (joinedEntry) {
-        joinedAtDate = new Date(joinedEntry);
+    const msgIdStr = String(msg._id);
+    const rawSenderId = msg.sender?._id ? msg.sender._id : msg.sender;
+    const senderIdStr = rawSenderId ? String(rawSenderId) : null;
+
+    const senderInfo = msg.sender?._id
+      ? {
+        _id: String(msg.sender._id),
+        firstname: msg.sender.firstname,
+        lastname: msg.sender.lastname,
+        email: msg.sender.email,
+        profileimg: msg.sender.profileimg,
       }
-    }
-
-    // ✅ FIXED: Find the last visible message (same logic as before)
-    for (let idx = conversation.messages.length - 1; idx >= 0; idx -= 1) {
-      const msg = conversation.messages[idx];
-      if (!msg) continue;
-
-      const msgIdStr = String(msg._id);
-      const rawSenderId = msg.sender?._id ? msg.sender._id : msg.sender;
-      const senderIdStr = rawSenderId ? String(rawSenderId) : null;
-
-      // Skip if message is deleted
-      if (msg.isDeleteEvery === true) continue;
-      if (deletedForCurrentUser.has(msgIdStr)) continue;
-      if (joinedAtDate && new Date(msg.createdAt) < joinedAtDate) continue;
-
-      const senderInfo = msg.sender?._id
+      : msg.sender
         ? {
-          _id: String(msg.sender._id),
-          firstname: msg.sender.firstname,
-          lastname: msg.sender.lastname,
-          email: msg.sender.email,
-          profileimg: msg.sender.profileimg,
+          _id: String(msg.sender),
         }
-        : msg.sender
-          ? {
-            _id: String(msg.sender),
-          }
-          : null;
-
-      const isCurrentUserSender = senderIdStr && String(senderIdStr) === String(userId);
-
-      return {
-        lastMessage: {
-          _id: msgIdStr,
-          chatRequestId: conversation.chatRequestId
-            ? String(conversation.chatRequestId)
-            : null,
-          content: msg.content,
-          mediaUrl: msg.mediaUrl || null,
-          messageType: msg.messageType || "text",
-          sender: senderInfo,
-          createdAt: msg.createdAt,
-          deletedFor: msg.deletedFor || null,
-          isDeleteEvery: msg.isDeleteEvery === true,
-          type: isCurrentUserSender ? "send" : "receive",
-        },
-        lastMessageTimestamp: msg.createdAt ? new Date(msg.createdAt) : null,
-      };
-    }
-
-    return { lastMessage: null, lastMessageTimestamp: null };
+        : null;
+
+    const isCurrentUserSender = senderIdStr && String(senderIdStr) === String(userId);
+
+    return {
+      lastMessage: {
+        _id: msgIdStr,
+        chatRequestId: conversation.chatRequestId
+          ? String(conversation.chatRequestId)
+          : null,
+        content: msg.mediaUrl && msg.content === msg.mediaUrl ? getMessageMediaUrl(msg, msg.content) : msg.content,
+        mediaUrl: getMessageMediaUrl(msg, msg.mediaUrl || null),
+        messageType: msg.messageType || "text",
+        sender: senderInfo,
+        createdAt: msg.createdAt,
+        deletedFor: msg.deletedFor || null,
+        isDeleteEvery: msg.isDeleteEvery === true,
+        type: isCurrentUserSender ? "send" : "receive",
+      },
+      lastMessageTimestamp: msg.createdAt ? new Date(msg.createdAt) : null,
+    };
   };
 
   // ========== GROUP CHAT HANDLING (EXISTING CODE - NO CHANGES) ==========
@@ -810,11 +786,10 @@ export const getRequestsByType = asyncHandler(async (req, res) => {
     groups.push(...validGroups);
 
     const groupIds = groups.map(g => g._id.toString());
-    const conversations = await ChatConversation.find({ chatRequestId: { $in: groupIds } })
-      .populate({ path: "messages.sender", select: "firstname lastname email profileimg" });
+    const conversations = await ChatConversation.find({ chatRequestId: { $in: groupIds } });
     const convoMap = new Map(conversations.map(c => [c.chatRequestId.toString(), c]));
 
-    const data = groups.map(g => {
+    const data = await Promise.all(groups.map(async g => {
       const creatorIdStr = g.groupAdmin?._id?.toString();
       const adminIdSet = new Set((g.superAdmins || []).map(a => a._id.toString()));
       const filteredMembers = (g.members || []).filter(m => {
@@ -845,71 +820,24 @@ export const getRequestsByType = asyncHandler(async (req, res) => {
 
       try {
         const convo = convoMap.get(g._id.toString());
-        if (convo && Array.isArray(convo.messages)) {
-          const deletedForCurrentUser = new Set();
-          if (Array.isArray(convo.deletedForMe)) {
-            convo.deletedForMe.forEach((deletion) => {
-              if (
-                deletion?.userId &&
-                deletion?.messageId &&
-                String(deletion.userId) === String(userId)
-              ) {
-                deletedForCurrentUser.add(String(deletion.messageId));
-              }
-            });
-          }
-
+        if (convo) {
           const allUserIds = Array.from(allUniqueUserIds);
-          const joinedAtByUser = convo.joinedAtByUser;
 
-          for (const uid of allUserIds) {
+          const counts = await Promise.all(allUserIds.map(uid => {
             const lastReadAt = convo.lastReadAtByUser?.get?.(String(uid)) || convo.lastReadAtByUser?.[String(uid)];
-            const joinedAtEntry = joinedAtByUser
-              ? (typeof joinedAtByUser.get === "function"
-                ? joinedAtByUser.get(String(uid))
-                : joinedAtByUser[String(uid)])
-              : null;
-            const joinedAtDate = joinedAtEntry ? new Date(joinedAtEntry) : null;
-            let count = 0;
-
-            if (lastReadAt) {
-              const lastReadDate = new Date(lastReadAt);
-              count = convo.messages.reduce((acc, m) => {
-                if (!m) return acc;
-
-                const msgIdStr = String(m._id);
-                const msgDate = new Date(m.createdAt);
-
-                // Skip if message is deleted
-                if (m.isDeleteEvery === true) return acc;
-                if (deletedForCurrentUser.has(msgIdStr)) return acc;
-                if (joinedAtDate && msgDate < joinedAtDate) return acc;
-
-                // ✅ FIX: Only count if message is after last read time
-                return acc + (msgDate > lastReadDate ? 1 : 0);
-              }, 0);
-            } else {
-              // If no lastReadAt, count all visible messages as unread
-              count = convo.messages.reduce((acc, m) => {
-                if (!m) return acc;
-
-                const msgIdStr = String(m._id);
-                const msgDate = new Date(m.createdAt);
-
-                // Skip if message is deleted
-                if (m.isDeleteEvery === true) return acc;
-                if (deletedForCurrentUser.has(msgIdStr)) return acc;
-                if (joinedAtDate && msgDate < joinedAtDate) return acc;
-
-                return acc + 1;
-              }, 0);
-            }
+            return countUnreadMessages(convo.chatRequestId, uid, {
+              lastReadAt,
+              joinedAt: getJoinedAt(convo, uid)
+            });
+          }));
 
+          allUserIds.forEach((uid, index) => {
+            const count = counts[index];
             if (String(uid) === String(userId)) unreadCount = count;
             if (count > 0) pendingMembers.push({ userId: uid, count });
-          }
+          });
 
-          const { lastMessage, lastMessageTimestamp } = pickLastVisibleMessageForUser(convo);
+          const { lastMessage, lastMessageTimestamp } = await pickLastVisibleMessageForUser(convo);
           obj.lastMessage = lastMessage;
           obj.lastMessageTimestamp = lastMessageTimestamp || obj.updatedAt || obj.createdAt;
         }
@@ -925,7 +853,7 @@ export const getRequestsByType = asyncHandler(async (req, res) => {
       }));
 
       return obj;
-    });
+    }));
 
     const pagination = {
       currentPage: page,
@@ -1048,12 +976,12 @@ export const getRequestsByType = asyncHandler(async (req, res) => {
       // Fetch conversations for all chats
       const conversations = await ChatConversation.find({
         chatRequestId: { $in: chatIds }
-      }).populate({ path: 'messages.sender', select: 'firstname lastname email profileimg' });
+      });
 
       const convoMap = new Map(conversations.map(c => [c.chatRequestId.toString(), c]));
 
       // Enhance all requests with conversation data
-      requests = requests.map(req => {
+      requests = await Promise.all(requests.map(async req => {
         const obj = req.toObject ? req.toObject() : req;
 
         if (obj.chatType === 'individual') {
@@ -1092,59 +1020,17 @@ export const getRequestsByType = asyncHandler(async (req, res) => {
 
           try {
             const convo = convoMap.get(obj._id.toString());
-            if (convo && Array.isArray(convo.messages)) {
+            if (convo) {
               const lastReadAt =
                 convo.lastReadAtByUser?.get?.(String(userId)) ||
                 convo.lastReadAtByUser?.[String(userId)];
 
-              const deletedForCurrentUser = new Set();
-              if (Array.isArray(convo.deletedForMe)) {
-                convo.deletedForMe.forEach((deletion) => {
-                  if (
-                    deletion?.userId &&
-                    deletion?.messageId &&
-                    String(deletion.userId) === String(userId)
-                  ) {
-                    deletedForCurrentUser.add(String(deletion.messageId));
-                  }
-                });
-              }
-
-              // ✅ FIXED: Calculate unread count correctly (only messages after lastReadAt)
-              if (lastReadAt) {
-                const lastReadDate = new Date(lastReadAt);
-                unreadCount = convo.messages.reduce((acc, m) => {
-                  if (!m) return acc;
-
-                  const msgIdStr = String(m._id);
-                  const msgDate = new Date(m.createdAt);
-
-                  // Skip if message is deleted
-                  if (m.isDeleteEvery === true) return acc;
-                  if (deletedForCurrentUser.has(msgIdStr)) return acc;
-
-                  // ✅ FIX: Only count if message is after last read time
-                  return acc + (msgDate > lastReadDate ? 1 : 0);
-                }, 0);
-              } else {
-                // If no lastReadAt, count all visible messages as unread
-                unreadCount = convo.messages.reduce((acc, m) => {
-                  if (!m) return acc;
-
-                  const msgIdStr = String(m._id);
-                  const msgDate = new Date(m.createdAt);
-
-                  // Skip if message is deleted
-                  if (m.isDeleteEvery === true) return acc;
-                  if (deletedForCurrentUser.has(msgIdStr)) return acc;
-
-                  return acc + 1;
-                }, 0);
-              }
+              // ✅ Unread: visible messages after lastReadAt (all visible messages if never read)
+              unreadCount = await countUnreadMessages(convo.chatRequestId, userId, { lastReadAt });
 
               // ✅ Get last message and timestamp for sorting
               const { lastMessage: visibleLastMessage, lastMessageTimestamp: visibleLastTs } =
-                pickLastVisibleMessageForUser(convo);
+                await pickLastVisibleMessageForUser(convo);
               lastMessage = visibleLastMessage;
               lastMessageTimestamp = visibleLastTs;
             }
@@ -1159,7 +1045,7 @@ export const getRequestsByType = asyncHandler(async (req, res) => {
         }
 
         return obj;
-      });
+      }));
 
       // ✅ AUTO-REORDERING: Sort by last message timestamp (newest first)
       requests.sort((a, b) => {
@@ -10,6 +10,8 @@ import mongoose from "mongoose";
 import redisClient from "../../config/redis.js";
 import ChatConversation from "../../models/ChatConversation.js";
 import { removeDeletedUserFromGroups } from "../../utils/chatHelper.js";
+import { clearChatMessageCache } from "../../utils/messageHelper.js";
+import { storeUploadedFile } from "../../config/storage.js";
 
 export const getEligibleUsersForGroup = asyncHandler(async (req, res) => {
   const userId = req.user?.id;
@@ -34,7 +36,7 @@ export const createGroupViaJson = asyncHandler(async (req, res) => {
 
   // ✅ Handle image from file upload (multipart/form-data)
   if (file) {
-    groupImage = `/uploads/${file.filename}`;
+    groupImage = await storeUploadedFile(file);
   }
   // ✅ Handle image URL from JSON body (application/json)
   else if (image && typeof image === 'string' && image.trim()) {
@@ -932,7 +934,7 @@ export const updateGroupProfileByCreator = asyncHandler(async (req, res) => {
   // ✅ Handle image from file upload (multipart/form-data)
   const file = req.file;
   if (file) {
-    const newImagePath = `/uploads/${file.filename}`;
+    const newImagePath = await storeUploadedFile(file);
     if (newImagePath !== group.groupImage) {
       group.groupImage = newImagePath;
       changes.image = newImagePath;
@@ -979,11 +981,9 @@ export const updateGroupProfileByCreator = asyncHandler(async (req, res) => {
     }
 
     // Clear cache for all group members
+    await clearChatMessageCache(group._id);
     try {
-      const cacheKeys = allGroupMemberIds.flatMap(uid => [
-        `requests:${uid}:group`,
-        `chat:${String(group._id)}`
-      ]);
+      const cacheKeys = allGroupMemberIds.map(uid => `requests:${uid}:group`);
       await redisClient.del(cacheKeys);
     } catch (err) {
       console.warn("⚠️ Redis delete failed:", err.message);
@@ -0,0 +1,172 @@
+import mongoose from "mongoose";
+import ScheduledMessage, { SCHEDULED_MESSAGE_STATUSES } from "../../models/ScheduledMessage.js";
+import { asyncHandler } from "../../utils/errorHandler.js";
+import { successResponse } from "../../utils/response.js";
+import { resolveChatAccess } from "../../utils/chatHelper.js";
+import { resolveReplyTarget } from "../../utils/messageReplyHelper.js";
+
+// How far ahead a message can be scheduled
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+
+const formatScheduledMessage = (job) => ({
+  _id: String(job._id),
+  chatId: String(job.chatId),
+  content: job.content,
+  replyTo: job.replyTo ? String(job.replyTo) : null,
+  scheduledFor: job.scheduledFor,
+  status: job.status,
+  sentAt: job.sentAt || null,
+  sentMessageId: job.status === "sent" && job.sentMessage ? String(job.sentMessage) : null,
+  failureReason: job.failureReason || null,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+});
+
+/**
+ * Parse and check a requested send time
+ * @returns {{date?: Date, error?: string}}
+ */
+const parseScheduledFor = (value) => {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return { error: "scheduledFor must be a valid date" };
+  if (date.getTime() <= Date.now()) return { error: "scheduledFor must be in the future" };
+  if (date.getTime() - Date.now() > MAX_SCHEDULE_AHEAD_MS) return { error: "Messages can be scheduled at most one year ahead" };
+  return { date };
+};
+
+/**
+ * Schedule a text message to be sent to a chat later
+ */
+export const scheduleChatMessage = asyncHandler(async (req, res) => {
+  const { chatId } = req.params;
+  const userId = req.user?.id;
+  const { message, scheduledFor, replyTo } = req.body;
+
+  if (!message || !String(message).trim()) {
+    return successResponse(res, "message is required", null, null, 400, 0);
+  }
+  const when = parseScheduledFor(scheduledFor);
+  if (when.error) return successResponse(res, when.error, null, null, 400, 0);
+
+  const access = await resolveChatAccess(chatId, userId);
+  if (access.error) return successResponse(res, access.error, null, null, 200, 0);
+
+  if (replyTo) {
+    const resolved = await resolveReplyTarget(access.chatKeyId, replyTo, userId);
+    if (resolved.error) return successResponse(res, resolved.error, null, null, 200, 0);
+  }
+
+  const job = await ScheduledMessage.create({
+    chatId: access.chatKeyId,
+    sender: userId,
+    content: String(message),
+    replyTo: replyTo || null,
+    scheduledFor: when.date,
+  });
+
+  return successResponse(res, "Message scheduled", formatScheduledMessage(job), null, 200, 1);
+});
+
+/**
+ * The caller's scheduled messages in a chat, soonest first (pending only unless ?status= is given)
+ */
+export const getScheduledMessages = asyncHandler(async (req, res) => {
+  const { chatId } = req.params;
+  const userId = req.user?.id;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const status = req.query.status ? String(req.query.status) : "pending";
+
+  if (!SCHEDULED_MESSAGE_STATUSES.includes(status)) {
+    return successResponse(res, `status must be one of ${SCHEDULED_MESSAGE_STATUSES.join(", ")}`, null, null, 400, 0);
+  }
+
+  const access = await resolveChatAccess(chatId, userId);
+  if (access.error) return successResponse(res, access.error, null, null, 200, 0);
+
+  const query = { chatId: access.chatKeyId, sender: userId, status };
+  const [totalItems, jobs] = await Promise.all([
+    ScheduledMessage.countDocuments(query),
+    ScheduledMessage.find(query)
+      .sort({ scheduledFor: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+  ]);
+
+  const pagination = {
+    currentPage: page,
+    totalPages: Math.ceil(totalItems / limit),
+    totalItems,
+    itemsPerPage: limit,
+  };
+
+  return successResponse(res, "Scheduled messages fetched", jobs.map(formatScheduledMessage), pagination, 200, 1);
+});
+
+/**
+ * Change the text or send time of a pending scheduled message
+ */
+export const updateScheduledMessage = asyncHandler(async (req, res) => {
+  const { chatId, scheduledId } = req.params;
+  const userId = req.user?.id;
+  const { message, scheduledFor } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(scheduledId)) {
+    return successResponse(res, "Invalid scheduled message ID", null, null, 400, 0);
+  }
+
+  const update = {};
+  if (message !== undefined) {
+    if (!String(message).trim()) return successResponse(res, "message cannot be empty", null, null, 400, 0);
+    update.content = String(message);
+  }
+  if (scheduledFor !== undefined) {
+    const when = parseScheduledFor(scheduledFor);
+    if (when.error) return successResponse(res, when.error, null, null, 400, 0);
+    update.scheduledFor = when.date;
+  }
+  if (Object.keys(update).length === 0) {
+    return successResponse(res, "Nothing to update: send message and/or scheduledFor", null, null, 400, 0);
+  }
+
+  const access = await resolveChatAccess(chatId, userId);
+  if (access.error) return successResponse(res, access.error, null, null, 200, 0);
+
+  // Only while still pending: a job being sent or already handled cannot change
+  const job = await ScheduledMessage.findOneAndUpdate(
+    { _id: scheduledId, chatId: access.chatKeyId, sender: userId, status: "pending" },
+    { $set: update },
+    { new: true }
+  );
+  if (!job) {
+    return successResponse(res, "Pending scheduled message not found", null, null, 404, 0);
+  }
+
+  return successResponse(res, "Scheduled message updated", formatScheduledMessage(job), null, 200, 1);
+});
+
+/**
+ * Cancel a pending scheduled message
+ */
+export const cancelScheduledMessage = asyncHandler(async (req, res) => {
+  const { chatId, scheduledId } = req.params;
+  const userId = req.user?.id;
+
+  if (!mongoose.Types.ObjectId.isValid(scheduledId)) {
+    return successResponse(res, "Invalid scheduled message ID", null, null, 400, 0);
+  }
+
+  const access = await resolveChatAccess(chatId, userId);
+  if (access.error) return successResponse(res, access.error, null, null, 200, 0);
+
+  const job = await ScheduledMessage.findOneAndUpdate(
+    { _id: scheduledId, chatId: access.chatKeyId, sender: userId, status: "pending" },
+    { $set: { status: "cancelled" } },
+    { new: true }
+  );
+  if (!job) {
+    return successResponse(res, "Pending scheduled message not found", null, null, 404, 0);
+  }
+
+  return successResponse(res, "Scheduled message cancelled", formatScheduledMessage(job), null, 200, 1);
+});
@@ -1,5 +1,5 @@
 import ChatRequest from "../../models/ChatRequest.js";
-import ChatConversation from "../../models/ChatConversation.js";
+import Message from "../../models/Message.js";
 import redisClient from "../../config/redis.js";
 // GroupChat removed; use ChatRequest as unified model for groups
 import User from "../../models/User.js";
@@ -10,6 +10,10 @@ import { successResponse, errorResponse } from "../../utils/response.js";
 import { getIO } from "../../config/socket.js";
 import { sendFirebaseNotification } from "../../utils/firebaseHelper.js";
 import Notification from "../../models/Notification.js";
+import { reactToMessage } from "../../utils/messageReactionHelper.js";
+import { summarizeReactions } from "../../utils/messageUtils.js";
+import { clearChatMessageCache } from "../../utils/messageHelper.js";
+import { setMessagePinned, unpinDeletedMessages } from "../../utils/messagePinHelper.js";
 
 /**
  * Edit a message - user can only edit their own messages
@@ -56,23 +60,8 @@ export const editMessage = asyncHandler(async (req, res) => {
   }
 
   try {
-    // All messages (individual and group) are stored in ChatConversation
-    const conversation = await ChatConversation.findOne({ chatRequestId: chatId });
-    if (!conversation) {
-      return successResponse(res, "Chat not found", null, null, 200, 0);
-    }
-
-    // Backfill required chatType for legacy documents to avoid validation errors
-    if (!conversation.chatType) {
-      try {
-        const reqDocForType = await ChatRequest.findById(chatId).select("chatType");
-        conversation.chatType = reqDocForType?.chatType || "individual";
-        // ✅ FIXED: Save the chatType to prevent future issues
-        await conversation.save();
-      } catch { /* noop */ }
-    }
-
-    const message = conversation.messages.id(messageId);
+    // All messages (individual and group) are stored in the Message collection, keyed by chat
+    const message = await Message.findOne({ _id: messageId, chatId });
     if (!message) {
       return errorResponse(res, "Message not found", 404);
     }
@@ -100,20 +89,18 @@ export const editMessage = asyncHandler(async (req, res) => {
     message.content = newMessage.trim();
     message.isEdited = true;
     message.editedAt = new Date();
-    await conversation.save();
+    await message.save();
+    await clearChatMessageCache(chatId);
 
     const updatedMessage = message;
 
     // ✅ FIXED: Populate sender data for response (same format)
-    const populatedConversation = await ChatConversation.findOne(
-      { chatRequestId: chatId },
-      { messages: { $elemMatch: { _id: messageId } } }
-    ).populate("messages.sender", "firstname lastname profileimg");
+    const populatedMessage = await Message.findById(messageId)
+      .populate("sender", "firstname lastname profileimg");
 
     let messageResponse;
     
-    if (populatedConversation?.messages?.[0]) {
-      const populatedMessage = populatedConversation.messages[0];
+    if (populatedMessage) {
       messageResponse = {
         _id: populatedMessage._id,
         sender: populatedMessage.sender, // Now populated
@@ -300,23 +287,20 @@ export const deleteChatMessagesBulk = asyncHandler(async (req, res) => {
     isGroup = true;
   }
 
-  // Get conversation with populated sender information
-  const convo = await ChatConversation.findOne({ chatRequestId: chatKeyId })
-    .populate({ path: 'messages.sender', select: 'firstname lastname email profileimg' });
+  // Selected messages of this chat with populated sender information
+  const selectedMessages = await Message.find({ _id: { $in: messageIds }, chatId: chatKeyId })
+    .populate({ path: 'sender', select: 'firstname lastname email profileimg' });
 
-  if (!convo || !convo.messages || convo.messages.length === 0) {
+  if (selectedMessages.length === 0) {
     return successResponse(res, "No messages found in this chat", null, null, 200, 0);
   }
 
-  // ✅ CREATE A MAP OF DELETED MESSAGE IDs FOR CURRENT USER FROM deletedForMe
+  // ✅ IDs OF SELECTED MESSAGES THE CURRENT USER ALREADY DELETED FOR THEMSELVES
   const deletedForMeMap = new Map();
-  if (convo?.deletedForMe && Array.isArray(convo.deletedForMe)) {
-    convo.deletedForMe.forEach(deletion => {
-      if (deletion.userId && deletion.userId.toString() === userId.toString()) {
-        deletedForMeMap.set(deletion.messageId.toString(), deletion);
-      }
-    });
-  }
+  selectedMessages.forEach(m => {
+    const deletion = (m.deletedForMe || []).find(d => String(d.userId) === String(userId));
+    if (deletion) deletedForMeMap.set(String(m._id), deletion);
+  });
 
   // Categorize messages and check permissions
   const messagesToDelete = [];
@@ -325,7 +309,7 @@ export const deleteChatMessagesBulk = asyncHandler(async (req, res) => {
   let containsReceivedMessages = false;
 
   for (const msgId of messageIds) {
-    const message = convo.messages.find(m => String(m._id) === String(msgId));
+    const message = selectedMessages.find(m => String(m._id) === String(msgId));
 
     if (!message) {
       continue;
@@ -438,70 +422,33 @@ export const deleteChatMessagesBulk = asyncHandler(async (req, res) => {
 
   if (finalDeleteFor === 'everyone') {
     // ✅ SOFT DELETE FOR EVERYONE: Only for own messages
-    updateResult = await ChatConversation.findOneAndUpdate(
-      { chatRequestId: chatKeyId },
+    updateResult = await Message.updateMany(
+      { _id: { $in: objectIdsToDelete }, chatId: chatKeyId },
       {
         $set: {
-          "messages.$[elem].isDeleteEvery": true,
-          "messages.$[elem].isDeleteMe": false,
-          "messages.$[elem].deletedAt": now,
-          "messages.$[elem].deletedBy": userId,
-          "messages.$[elem].deletedFor": 'everyone',
-          "messages.$[elem].content": "This message has been deleted",
-          "messages.$[elem].mediaUrl": null,
-          "messages.$[elem].messageType": "text"
+          isDeleteEvery: true,
+          isDeleteMe: false,
+          deletedAt: now,
+          deletedBy: userId,
+          deletedFor: 'everyone',
+          content: "This message has been deleted",
+          mediaUrl: null,
+          messageType: "text",
+          audio: null,
+          media: null
         }
-      },
-      {
-        arrayFilters: [{ "elem._id": { $in: objectIdsToDelete } }],
-        new: true
       }
     );
+    await unpinDeletedMessages(chatKeyId, objectIdsToDelete);
   } else {
     // ✅ DELETE FOR ME ONLY: For both own and received messages
-    // Create user-specific deletion record in deletedForMe array
-    const userSpecificDeletions = messagesToDelete.map(m => ({
-      messageId: m.id,
-      userId: userId,
-      deletedAt: now,
-      deleteFor: 'me'
-    }));
-
-    // Get existing deletions for this user
-    const existingDeletions = convo.deletedForMe?.filter(d =>
-      d.userId.toString() === userId.toString()
-    ) || [];
-
-    const existingMessageIds = new Set(existingDeletions.map(d => d.messageId.toString()));
-
-    // Filter out messages that are already deleted for this user
-    const newDeletions = userSpecificDeletions.filter(d =>
-      !existingMessageIds.has(d.messageId.toString())
+    // DO NOT set isDeleteMe on the message itself (that's a global flag);
+    // the user-specific deletedForMe entries are checked during retrieval.
+    // messagesToDelete already excludes messages this user deleted before.
+    updateResult = await Message.updateMany(
+      { _id: { $in: objectIdsToDelete }, chatId: chatKeyId, "deletedForMe.userId": { $ne: userId } },
+      { $push: { deletedForMe: { userId, deletedAt: now } } }
     );
-
-    if (newDeletions.length > 0) {
-      // ✅ DELETE FOR ME: Only add to deletedForMe array (user-specific)
-      // DO NOT set isDeleteMe on the message itself (that's a global flag)
-      // The retrieval logic checks deletedForMe array to filter messages per user
-      updateResult = await ChatConversation.findOneAndUpdate(
-        { chatRequestId: chatKeyId },
-        {
-          $push: {
-            deletedForMe: { $each: newDeletions }
-          }
-          // Note: We don't update message flags for "delete for me" because:
-          // - isDeleteMe is a global flag that would hide message from everyone
-          // - deletedForMe array is user-specific and checked during retrieval
-        },
-        {
-          new: true
-          // Note: No arrayFilters needed here since we're only pushing to deletedForMe array,
-          // not updating messages in the messages array
-        }
-      );
-    } else {
-      updateResult = convo;
-    }
   }
 
   if (!updateResult) {
@@ -509,8 +456,9 @@ export const deleteChatMessagesBulk = asyncHandler(async (req, res) => {
   }
 
   // Clear cache
+  await clearChatMessageCache(chatKeyId);
   try {
-    const cacheKeys = [`chat:${String(chatKeyId)}`];
+    const cacheKeys = [];
     participants.forEach(participantId => {
       cacheKeys.push(`requests:${participantId}:accepted`);
     });
@@ -640,4 +588,98 @@ export const deleteChatMessagesBulk = asyncHandler(async (req, res) => {
     200,
     1
   );
-});
\ No newline at end of file
+});
+
+/**
+ * Add or remove the current user's emoji reaction on a message (individual or group)
+ */
+export const reactToChatMessage = asyncHandler(async (req, res) => {
+  const { chatId, messageId } = req.params;
+  const { emoji, action = "add" } = req.body;
+  const userId = req.user.id;
+
+  if (!chatId || !mongoose.Types.ObjectId.isValid(chatId)) {
+    return successResponse(res, "Invalid chat ID format", null, null, 400, 0);
+  }
+
+  const reqDoc = await ChatRequest.findById(chatId);
+  if (!reqDoc) {
+    return successResponse(res, "Chat id not found", null, null, 200, 0);
+  }
+
+  let chatKeyId = reqDoc._id;
+  if (reqDoc.chatType === 'individual') {
+    if (reqDoc.status !== 'accepted') return successResponse(res, "Chat request not accepted yet", null, null, 200, 0);
+    const participants = [reqDoc.senderId.toString(), reqDoc.receiverId.toString()];
+    if (!participants.includes(String(userId))) return successResponse(res, "Not a participant of this chat", null, null, 200, 0);
+  } else {
+    const groupRoot = reqDoc.receiverId === null ? reqDoc : await ChatRequest.findOne({ _id: reqDoc.groupId, chatType: 'group', receiverId: null });
+    if (!groupRoot) return successResponse(res, "Group id not found", null, null, 200, 0);
+    const isParticipant = String(groupRoot.groupAdmin) === String(userId)
+      || (groupRoot.superAdmins || []).map(String).includes(String(userId))
+      || (groupRoot.members || []).map(String).includes(String(userId));
+    if (!isParticipant) return successResponse(res, "You are not a member of this group", null, null, 200, 0);
+    chatKeyId = groupRoot._id;
+  }
+
+  const result = await reactToMessage({ chatKeyId, messageId, userId, emoji, action });
+  if (result.error) {
+    return successResponse(res, result.error, null, null, result.statusCode || 400, 0);
+  }
+
+  return successResponse(
+    res,
+    action === "remove" ? "Reaction removed" : "Reaction added",
+    { chatId: String(chatKeyId), messageId: String(messageId), reactions: summarizeReactions(result.reactions, userId) },
+    null,
+    200,
+    1
+  );
+});
+
+/**
+ * Pin (POST) or unpin (DELETE) a message in the chat header.
+ * Any participant can pin in an individual chat; in groups only the admin and super admins.
+ */
+export const pinChatMessage = asyncHandler(async (req, res) => {
+  const { chatId, messageId } = req.params;
+  const action = req.method === "DELETE" ? "unpin" : "pin";
+  const userId = req.user.id;
+
+  if (!chatId || !mongoose.Types.ObjectId.isValid(chatId)) {
+    return successResponse(res, "Invalid chat ID format", null, null, 400, 0);
+  }
+
+  const reqDoc = await ChatRequest.findById(chatId);
+  if (!reqDoc) {
+    return successResponse(res, "Chat id not found", null, null, 200, 0);
+  }
+
+  let chatKeyId = reqDoc._id;
+  if (reqDoc.chatType === 'individual') {
+    if (reqDoc.status !== 'accepted') return successResponse(res, "Chat request not accepted yet", null, null, 200, 0);
+    const participants = [reqDoc.senderId.toString(), reqDoc.receiverId.toString()];
+    if (!participants.includes(String(userId))) return successResponse(res, "Not a participant of this chat", null, null, 200, 0);
+  } else {
+    const groupRoot = reqDoc.receiverId === null ? reqDoc : await ChatRequest.findOne({ _id: reqDoc.groupId, chatType: 'group', receiverId: null });
+    if (!groupRoot) return successResponse(res, "Group id not found", null, null, 200, 0);
+    const isGroupAdmin = String(groupRoot.groupAdmin) === String(userId)
+      || (groupRoot.superAdmins || []).map(String).includes(String(userId));
+    if (!isGroupAdmin) return successResponse(res, "Only group admins can pin messages", null, null, 403, 0);
+    chatKeyId = groupRoot._id;
+  }
+
+  const result = await setMessagePinned({ chatKeyId, messageId, userId, action });
+  if (result.error) {
+    return successResponse(res, result.error, null, null, result.statusCode || 400, 0);
+  }
+
+  return successResponse(
+    res,
+    action === "pin" ? "Message pinned" : "Message unpinned",
+    { chatId: String(chatKeyId), messageId: String(messageId), pinnedMessageIds: result.pinnedMessageIds },
+    null,
+    200,
+    1
+  );
+});
@@ -1,6 +1,7 @@
 import Contact from "../models/Contact.js";
 import { successResponse } from "../utils/response.js";
 import { asyncHandler } from "../utils/errorHandler.js";
+import { hasPermission } from "../config/roles.js";
 
 /**
  * 1️⃣ POST /api/contact — User creates a contact message
@@ -88,7 +89,7 @@ export const getMyContacts = asyncHandler(async (req, res) => {
  */
 export const getAllContacts = asyncHandler(async (req, res) => {
   // 🧱 Allow only admins
-  if (!req.user?.isAdmin) {
+  if (!hasPermission(req.user, "contacts:read")) {
     return successResponse(
       res,
       "Access denied: only admins can view all contact requests.",
@@ -158,7 +159,7 @@ export const getContactById = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   // 🧱 Allow only admins
-  if (!req.user?.isAdmin) {
+  if (!hasPermission(req.user, "contacts:read")) {
     return successResponse(
       res,
       "Access denied: only admins can view contact details.",
@@ -0,0 +1,50 @@
+import crypto from "crypto";
+import { asyncHandler } from "../utils/errorHandler.js";
+import { successResponse, errorResponse } from "../utils/response.js";
+import { deliverScheduledMessages } from "../utils/scheduledMessageCron.js";
+import { sweepExpiredMessages } from "../utils/messageExpiryCron.js";
+
+/**
+ * Whether the request carries `Authorization: Bearer <CRON_SECRET>` (what Vercel Cron sends)
+ */
+const isAuthorizedCronRequest = (req) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const given = Buffer.from(String(req.headers.authorization || ""));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+/**
+ * @desc Run one scheduled message delivery pass (the interval in index.js does not run on Vercel)
+ * @route GET /api/cron/scheduled-messages
+ * @access Cron callers holding CRON_SECRET
+ */
+export const runScheduledMessageDelivery = asyncHandler(async (req, res) => {
+  if (!isAuthorizedCronRequest(req)) {
+    return errorResponse(res, "Unauthorized", 401);
+  }
+
+  const result = await deliverScheduledMessages();
+  if (result.error) {
+    return errorResponse(res, "Scheduled message delivery failed", 500);
+  }
+  return successResponse(res, "Scheduled messages delivered", result, null, 200, 1);
+});
+
+/**
+ * @desc Remove expired disappearing messages and their uploads (the interval in index.js does not run on Vercel)
+ * @route GET /api/cron/expired-messages
+ * @access Cron callers holding CRON_SECRET
+ */
+export const runExpiredMessageSweep = asyncHandler(async (req, res) => {
+  if (!isAuthorizedCronRequest(req)) {
+    return errorResponse(res, "Unauthorized", 401);
+  }
+
+  const result = await sweepExpiredMessages();
+  if (result.error) {
+    return errorResponse(res, "Expired message sweep failed", 500);
+  }
+  return successResponse(res, "Expired messages removed", result, null, 200, 1);
+});
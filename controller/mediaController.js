@@ -0,0 +1,29 @@
+import fs from "fs";
+import { asyncHandler } from "../utils/errorHandler.js";
+import { errorResponse } from "../utils/response.js";
+import { getLocalStorageDriver } from "../config/storage.js";
+
+/**
+ * @desc Download a private file kept on local disk through a signed, expiring URL
+ * @route GET /api/media/private/:key?expires=&signature=
+ * @access Anyone holding a valid signed URL
+ */
+export const getSignedPrivateMedia = asyncHandler(async (req, res) => {
+  const { key } = req.params;
+  const { expires, signature } = req.query;
+
+  const localDriver = getLocalStorageDriver();
+  if (!localDriver.verifySignedUrl(key, expires, signature)) {
+    return errorResponse(res, "This link is invalid or has expired", 403);
+  }
+
+  const filePath = localDriver.getLocalPath(key, "private");
+  if (!fs.existsSync(filePath)) {
+    return errorResponse(res, "File not found", 404);
+  }
+
+  // Browsers may keep the file until the link itself expires
+  const maxAge = Math.max(0, Math.floor(Number(expires) - Date.now() / 1000));
+  res.set("Cache-Control", `private, max-age=${maxAge}`);
+  return res.sendFile(filePath);
+});
@@ -4,6 +4,8 @@ import { asyncHandler } from "../utils/errorHandler.js";
 import { successResponse, errorResponse } from "../utils/response.js";
 import path from "path";
 import { paginate } from "../utils/paginate.js";
+import { auditRequest } from "../utils/auditHelper.js";
+import { getMediaInfo, storeUploadedMedia } from "../utils/mediaProcessingHelper.js";
 
 
 export const createNews = asyncHandler(async (req, res) => {
@@ -30,6 +32,7 @@ export const createNews = asyncHandler(async (req, res) => {
     description,
     mediaType,
     mediaUrl, // ✅ from JSON body
+    media: await getMediaInfo(mediaUrl),
     author: req.user.id,
   });
 
@@ -131,13 +134,21 @@ export const updateNews = asyncHandler(async (req, res) => {
   if (req.body.title) news.title = req.body.title;
   if (req.body.description) news.description = req.body.description;
   if (req.file) {
-    news.mediaUrl = `/uploads/${req.file.filename}`;
+    try {
+      const stored = await storeUploadedMedia(req.file, { uploadedBy: req.user?.id });
+      news.mediaUrl = stored.url;
+      news.media = stored.media;
+    } catch (error) {
+      console.warn("Could not process news media:", error.message);
+      return successResponse(res, "Could not process the media file", null, null, 400, 0);
+    }
     news.mediaType = "image"; // always image
   } else if (req.body.mediaUrl && typeof req.body.mediaUrl === "string") {
     const trimmedUrl = req.body.mediaUrl.trim();
     if (trimmedUrl) {
       news.mediaUrl = trimmedUrl;
       news.mediaType = "image";
+      news.media = await getMediaInfo(trimmedUrl);
     }
   }
 
@@ -191,6 +202,16 @@ export const bulkDeleteNews = asyncHandler(async (req, res) => {
   // ✅ Perform deletion
   const deletionResult = await News.deleteMany({ _id: { $in: foundIds } });
 
+  // 📝 One audit entry per deleted news item
+  await Promise.all(existingNews.map((news) => auditRequest(req, {
+    action: "news.bulk_deleted",
+    targetType: "news",
+    targetId: news._id,
+    before: news,
+    after: null,
+    metadata: { requestedCount: newsIds.length },
+  })));
+
   // ✅ Prepare success message
   let message = `Successfully deleted ${deletionResult.deletedCount} news item(s)`;
   if (notFoundIds.length > 0) {
@@ -1,7 +1,9 @@
 import Policy from "../models/Policy.js";
+import { hasPermission } from "../config/roles.js";
 import { asyncHandler } from "../utils/errorHandler.js";
 import { successResponse, errorResponse } from "../utils/response.js";
 import sanitizeHtml from "sanitize-html";
+import { auditRequest } from "../utils/auditHelper.js";
 
 /**
  * Sanitize HTML content to plain text
@@ -17,7 +19,7 @@ const sanitizeContent = (contentHtml) =>
 export const createPolicy = asyncHandler(async (req, res) => {
   const { contentHtml } = req.body;
 
-  if (!req.user || !req.user.isAdmin) {
+  if (!hasPermission(req.user, "policies:write")) {
     return errorResponse(res, "Access denied: admin only", 403);
   }
 
@@ -34,10 +36,12 @@ export const createPolicy = asyncHandler(async (req, res) => {
     policyType,
     contentHtml,
     contentText,
-    createdBy: req.user._id,
-    updatedBy: req.user._id,
+    createdBy: req.user.id,
+    updatedBy: req.user.id,
   });
 
+  await auditRequest(req, { action: "policy.created", targetType: "policy", targetId: policy._id, before: null, after: policy });
+
   return successResponse(res, "Privacy Policy created successfully", policy);
 });
 
@@ -50,7 +54,7 @@ export const updatePolicy = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { contentHtml } = req.body;
 
-  if (!req.user || !req.user.isAdmin) {
+  if (!hasPermission(req.user, "policies:write")) {
     return errorResponse(res, "Access denied: admin only", 403);
   }
 
@@ -64,13 +68,16 @@ export const updatePolicy = asyncHandler(async (req, res) => {
     return errorResponse(res, "Privacy Policy not found", 404);
   }
 
+  const previous = policy.toObject();
   policy.contentHtml = contentHtml;
   policy.contentText = sanitizeContent(contentHtml);
   policy.updatedAt = new Date();
-  policy.updatedBy = req.user._id;
+  policy.updatedBy = req.user.id;
 
   await policy.save();
 
+  await auditRequest(req, { action: "policy.updated", targetType: "policy", targetId: policy._id, before: previous, after: policy });
+
   return successResponse(res, "Privacy Policy updated successfully", policy);
 });
 
@@ -115,7 +122,7 @@ export const getPolicyById = asyncHandler(async (req, res) => {
  * @access Admin
  */
 export const deletePolicy = asyncHandler(async (req, res) => {
-  if (!req.user || !req.user.isAdmin) {
+  if (!hasPermission(req.user, "policies:write")) {
     return errorResponse(res, "Access denied: admin only", 403);
   }
 
@@ -130,5 +137,7 @@ export const deletePolicy = asyncHandler(async (req, res) => {
 
   await policy.deleteOne();
 
+  await auditRequest(req, { action: "policy.deleted", targetType: "policy", targetId: policy._id, before: policy, after: null });
+
   return successResponse(res, "Privacy Policy deleted successfully", null);
 });
@@ -2,9 +2,11 @@ import Post from "../models/Post.js";
 import mongoose from "mongoose";
 import { asyncHandler } from "../utils/errorHandler.js";
 import { successResponse, errorResponse } from "../utils/response.js";
-import path from "path";
 import User from "../models/User.js";
 import { notifyUsers } from "../utils/notificationHelper.js";
+import { auditRequest } from "../utils/auditHelper.js";
+import { hasPermission } from "../config/roles.js";
+import { getMediaInfo, storeUploadedMedia } from "../utils/mediaProcessingHelper.js";
 
 /* -------------------------------------------------------------------------- */
 /* 🧩 COMMON POST RESPONSE FORMATTER                                           */
@@ -61,6 +63,7 @@ export const createPost = asyncHandler(async (req, res) => {
     description,
     mediaType,
     mediaUrl, // JSON field instead of file
+    media: await getMediaInfo(mediaUrl),
     author: userId,
   });
 
@@ -118,7 +121,8 @@ export const updatePost = asyncHandler(async (req, res) => {
   const user = await User.findById(userId).select("isSubscription isAdmin");
   if (!user) return successResponse(res, "User not found", null, null, 200, 0);
 
-  if (!user.isAdmin && !user.isSubscription) {
+  // Moderators act on other members' posts without a subscription of their own
+  if (!hasPermission(req.user, "posts:delete") && !user.isSubscription) {
     return successResponse(
       res,
       "Your account does not have an active subscription. Please subscribe to edit posts.",
@@ -140,16 +144,22 @@ export const updatePost = asyncHandler(async (req, res) => {
   }
 
   if (req.file) {
-    const ext = path.extname(req.file.originalname).toLowerCase();
-    if ([".jpg", ".jpeg", ".png"].includes(ext)) post.mediaType = "image";
-    else if ([".mp4", ".mov", ".avi", ".mkv"].includes(ext)) post.mediaType = "video";
+    if (["image", "video"].includes(req.file.mediaType)) post.mediaType = req.file.mediaType;
     else return successResponse(res, "Invalid media file", null, null, 200, 0);
 
-    post.mediaUrl = `/uploads/${req.file.filename}`;
+    try {
+      const stored = await storeUploadedMedia(req.file, { uploadedBy: userId });
+      post.mediaUrl = stored.url;
+      post.media = stored.media;
+    } catch (error) {
+      console.warn("Could not process post media:", error.message);
+      return successResponse(res, "Could not process the media file", null, null, 400, 0);
+    }
   } else if (req.body.mediaUrl && typeof req.body.mediaUrl === "string") {
     const trimmedUrl = req.body.mediaUrl.trim();
     if (trimmedUrl) {
       post.mediaUrl = trimmedUrl;
+      post.media = await getMediaInfo(trimmedUrl);
     }
   }
 
@@ -180,8 +190,8 @@ export const deletePost = asyncHandler(async (req, res) => {
   const user = await User.findById(userId).select("isSubscription isAdmin");
   if (!user) return successResponse(res, "User not found", null, null, 200, 0);
 
-  // 🔒 Check subscription (skip if admin)
-  if (!user.isAdmin && !user.isSubscription) {
+  // 🔒 Check subscription (skip for admins and moderators)
+  if (!hasPermission(req.user, "posts:delete") && !user.isSubscription) {
     return successResponse(
       res,
       "Your account does not have an active subscription. Please subscribe to delete posts.",
@@ -193,6 +203,17 @@ export const deletePost = asyncHandler(async (req, res) => {
   }
 
   await post.deleteOne();
+
+  // 📝 Moderators removing someone else's post leave an audit entry, like bulk deletes
+  if (String(post.author) !== String(userId)) {
+    await auditRequest(req, {
+      action: "post.deleted",
+      targetType: "post",
+      targetId: post._id,
+      before: post,
+      after: null,
+    });
+  }
   return successResponse(res, "Post deleted successfully", null, null, 200, 1);
 });
 
@@ -300,6 +321,16 @@ export const bulkDeletePosts = asyncHandler(async (req, res) => {
   // ✅ Delete posts that exist
   const result = await Post.deleteMany({ _id: { $in: foundIds } });
 
+  // 📝 One audit entry per deleted post
+  await Promise.all(existingPosts.map((post) => auditRequest(req, {
+    action: "post.bulk_deleted",
+    targetType: "post",
+    targetId: post._id,
+    before: post,
+    after: null,
+    metadata: { requestedCount: postIds.length },
+  })));
+
   // ✅ Success message
   let message = `Successfully deleted ${result.deletedCount} post(s)`;
   if (notFoundIds.length > 0) {
@@ -9,6 +9,7 @@ import path from "path";
 import { asyncHandler } from "../utils/errorHandler.js";
 import { notifyUser } from "../utils/notificationHelper.js";
 import { formatSubscriptionResponse } from "../utils/subscriptionResponseFormatter.js";
+import { hasPermission } from "../config/roles.js";
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
@@ -909,7 +910,7 @@ export const cancelSubscription = asyncHandler(async (req, res) => {
  * @route GET /api/subscription/admin/list
  */
 export const getAllSubscriptionsAdmin = async (req, res) => {
-  if (!req.user?.isAdmin) {
+  if (!hasPermission(req.user, "subscriptions:read")) {
     return errorResponse(res, "Admin access required", 403);
   }
 
@@ -1034,7 +1035,7 @@ export const getSubscriptionById = asyncHandler(async (req, res) => {
   try {
     const { subscriptionId } = req.params;
 
-    if (!req.user?.isAdmin) {
+    if (!hasPermission(req.user, "subscriptions:read")) {
       return errorResponse(res, "Admin access required", 403);
     }
 
@@ -1387,7 +1388,7 @@ export const getUserTransactionsAdmin = asyncHandler(async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
 
-    if (!req.user?.isAdmin) {
+    if (!hasPermission(req.user, "subscriptions:read")) {
       return errorResponse(res, "Admin access required", 403);
     }
 
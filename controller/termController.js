@@ -1,7 +1,9 @@
 import Policy from "../models/Policy.js";
+import { hasPermission } from "../config/roles.js";
 import { asyncHandler } from "../utils/errorHandler.js";
 import { successResponse, errorResponse } from "../utils/response.js";
 import sanitizeHtml from "sanitize-html";
+import { auditRequest } from "../utils/auditHelper.js";
 
 /**
  * Sanitize HTML → plain text
@@ -16,7 +18,7 @@ const sanitizeContent = (contentHtml) => sanitizeHtml(contentHtml, { allowedTags
 export const createOrUpdateTerms = asyncHandler(async (req, res) => {
   const { contentHtml } = req.body;
 
-  if (!req.user || !req.user.isAdmin) {
+  if (!hasPermission(req.user, "terms:write")) {
     return errorResponse(res, "Access denied: admin only", 403);
   }
 
@@ -28,25 +30,34 @@ export const createOrUpdateTerms = asyncHandler(async (req, res) => {
   const contentText = sanitizeContent(contentHtml);
 
   let policy = await Policy.findOne({ policyType });
+  const previous = policy ? policy.toObject() : null;
 
   if (policy) {
     policy.contentHtml = contentHtml;
     policy.contentText = contentText;
     policy.updatedAt = new Date();
-    policy.updatedBy = req.user._id;
+    policy.updatedBy = req.user.id;
     await policy.save();
   } else {
     policy = await Policy.create({
       policyType,
       contentHtml,
       contentText,
-      createdBy: req.user._id,
-      updatedBy: req.user._id,
+      createdBy: req.user.id,
+      updatedBy: req.user.id,
       createdAt: new Date(),
       updatedAt: new Date(),
     });
   }
 
+  await auditRequest(req, {
+    action: previous ? "terms.updated" : "terms.created",
+    targetType: "terms",
+    targetId: policy._id,
+    before: previous,
+    after: policy,
+  });
+
   return successResponse(res, "Terms & Conditions saved successfully", policy);
 });
 
@@ -59,7 +70,7 @@ export const updateTermsById = asyncHandler(async (req, res) => {
   const { contentHtml } = req.body;
   const { id } = req.params;
 
-  if (!req.user || !req.user.isAdmin) {
+  if (!hasPermission(req.user, "terms:write")) {
     return errorResponse(res, "Access denied: admin only", 403);
   }
 
@@ -72,13 +83,16 @@ export const updateTermsById = asyncHandler(async (req, res) => {
     return errorResponse(res, "Terms & Conditions not found", 404);
   }
 
+  const previous = policy.toObject();
   policy.contentHtml = contentHtml;
   policy.contentText = sanitizeContent(contentHtml);
   policy.updatedAt = new Date();
-  policy.updatedBy = req.user._id;
+  policy.updatedBy = req.user.id;
 
   await policy.save();
 
+  await auditRequest(req, { action: "terms.updated", targetType: "terms", targetId: policy._id, before: previous, after: policy });
+
   return successResponse(res, "Terms & Conditions updated successfully", policy);
 });
 
@@ -90,7 +104,7 @@ export const updateTermsById = asyncHandler(async (req, res) => {
 export const deleteTermsById = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  if (!req.user || !req.user.isAdmin) {
+  if (!hasPermission(req.user, "terms:write")) {
     return errorResponse(res, "Access denied: admin only", 403);
   }
 
@@ -101,6 +115,8 @@ export const deleteTermsById = asyncHandler(async (req, res) => {
 
   await policy.deleteOne();
 
+  await auditRequest(req, { action: "terms.deleted", targetType: "terms", targetId: policy._id, before: policy, after: null });
+
   return successResponse(res, null, "Terms & Conditions deleted successfully");
 });
 
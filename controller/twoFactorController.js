@@ -0,0 +1,249 @@
+import User from "../models/User.js";
+import redisClient from "../config/redis.js";
+import { asyncHandler } from "../utils/errorHandler.js";
+import { successResponse, errorResponse } from "../utils/response.js";
+import { createSession } from "../utils/sessionHelper.js";
+import { auditRequest } from "../utils/auditHelper.js";
+import { isStaffAccount } from "../config/roles.js";
+import {
+  generateTotpSecret,
+  buildOtpauthUri,
+  verifyTotpCode,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  getLoginChallenge,
+  registerChallengeAttempt,
+  lockLoginChallenge,
+  completeLoginChallenge,
+  isTwoFactorRequiredForAdmins,
+} from "../utils/twoFactorHelper.js";
+
+const clearCachedUser = async (userId) => {
+  try {
+    await redisClient.del(`user:${userId}`);
+  } catch (redisError) {
+    console.warn("⚠️ Redis cache failed (non-critical):", redisError.message);
+  }
+};
+
+/**
+ * Two-factor status of the current user
+ */
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user?.id).select("+twoFactor.recoveryCodes");
+  if (!user) {
+    return successResponse(res, "User id not found", null, null, 200, 0);
+  }
+
+  return successResponse(res, "Two-factor status retrieved", {
+    enabled: user.twoFactor?.enabled === true,
+    enabledAt: user.twoFactor?.enabledAt || null,
+    recoveryCodesRemaining: user.twoFactor?.enabled ? user.twoFactor.recoveryCodes.length : 0,
+    required: isStaffAccount(user) && (await isTwoFactorRequiredForAdmins()),
+  }, null, 200, 1);
+});
+
+/**
+ * Start enrollment: new secret + otpauth URI for the authenticator app
+ */
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user?.id);
+  if (!user) {
+    return successResponse(res, "User id not found", null, null, 200, 0);
+  }
+
+  if (user.twoFactor?.enabled) {
+    return successResponse(res, "Two-factor authentication is already enabled", null, null, 200, 0);
+  }
+
+  const secret = generateTotpSecret();
+  await User.updateOne({ _id: user._id }, { "twoFactor.pendingSecret": secret });
+
+  return successResponse(res, "Scan the QR code with your authenticator app, then confirm with a code", {
+    secret,
+    otpauthUri: buildOtpauthUri(user.email, secret),
+  }, null, 200, 1);
+});
+
+/**
+ * Finish enrollment with a code from the app; returns the recovery codes (shown once)
+ */
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body || {};
+  if (!code) {
+    return successResponse(res, "Verification code is required", null, null, 200, 0);
+  }
+
+  const user = await User.findById(req.user?.id).select("+twoFactor.pendingSecret");
+  if (!user) {
+    return successResponse(res, "User id not found", null, null, 200, 0);
+  }
+
+  if (user.twoFactor?.enabled) {
+    return successResponse(res, "Two-factor authentication is already enabled", null, null, 200, 0);
+  }
+
+  const pendingSecret = user.twoFactor?.pendingSecret;
+  if (!pendingSecret) {
+    return successResponse(res, "Start two-factor setup first", null, null, 200, 0);
+  }
+
+  if (!(await verifyTotpCode(String(user._id), pendingSecret, code))) {
+    return successResponse(res, "Invalid verification code", null, null, 200, 0);
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, {
+    "twoFactor.enabled": true,
+    "twoFactor.secret": pendingSecret,
+    "twoFactor.pendingSecret": null,
+    "twoFactor.recoveryCodes": hashes,
+    "twoFactor.enabledAt": new Date(),
+  });
+  await clearCachedUser(user._id);
+
+  await auditRequest(req, { actor: user._id, action: "auth.2fa_enabled", targetType: "user", targetId: user._id });
+
+  return successResponse(res, "Two-factor authentication enabled. Store your recovery codes somewhere safe.", {
+    enabled: true,
+    recoveryCodes: codes,
+  }, null, 200, 1);
+});
+
+/**
+ * Turn two-factor authentication off (needs a current code or a recovery code)
+ */
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { code, recoveryCode } = req.body || {};
+  if (!code && !recoveryCode) {
+    return successResponse(res, "Verification code or recovery code is required", null, null, 200, 0);
+  }
+
+  const user = await User.findById(req.user?.id).select("+twoFactor.secret");
+  if (!user) {
+    return successResponse(res, "User id not found", null, null, 200, 0);
+  }
+
+  if (!user.twoFactor?.enabled) {
+    return successResponse(res, "Two-factor authentication is not enabled", null, null, 200, 0);
+  }
+
+  if (isStaffAccount(user) && (await isTwoFactorRequiredForAdmins())) {
+    return successResponse(res, "Two-factor authentication is required for administrator accounts", null, null, 200, 0);
+  }
+
+  if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+    return successResponse(res, "Invalid verification code", null, null, 200, 0);
+  }
+
+  await User.updateOne({ _id: user._id }, {
+    "twoFactor.enabled": false,
+    "twoFactor.secret": null,
+    "twoFactor.pendingSecret": null,
+    "twoFactor.recoveryCodes": [],
+    "twoFactor.enabledAt": null,
+  });
+  await clearCachedUser(user._id);
+
+  await auditRequest(req, { actor: user._id, action: "auth.2fa_disabled", targetType: "user", targetId: user._id });
+
+  return successResponse(res, "Two-factor authentication disabled", { enabled: false }, null, 200, 1);
+});
+
+/**
+ * Replace all recovery codes (the old ones stop working)
+ */
+export const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body || {};
+  if (!code) {
+    return successResponse(res, "Verification code is required", null, null, 200, 0);
+  }
+
+  const user = await User.findById(req.user?.id).select("+twoFactor.secret");
+  if (!user) {
+    return successResponse(res, "User id not found", null, null, 200, 0);
+  }
+
+  if (!user.twoFactor?.enabled) {
+    return successResponse(res, "Two-factor authentication is not enabled", null, null, 200, 0);
+  }
+
+  if (!(await verifyTotpCode(String(user._id), user.twoFactor.secret, code))) {
+    return successResponse(res, "Invalid verification code", null, null, 200, 0);
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { "twoFactor.recoveryCodes": hashes });
+
+  await auditRequest(req, { actor: user._id, action: "auth.2fa_recovery_codes_regenerated", targetType: "user", targetId: user._id });
+
+  return successResponse(res, "New recovery codes generated", { recoveryCodes: codes }, null, 200, 1);
+});
+
+/**
+ * Second login step: exchange the challenge token + code for a device session
+ */
+export const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body || {};
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return successResponse(res, "Challenge token and verification code are required", null, null, 200, 0);
+  }
+
+  const challenge = await getLoginChallenge(challengeToken);
+  if (!challenge) {
+    return errorResponse(res, "Login challenge expired. Please log in again.", 401);
+  }
+
+  const user = await User.findById(challenge.userId).select("+twoFactor.secret");
+  if (!user || user.isDeleted || !user.twoFactor?.enabled) {
+    await completeLoginChallenge(challenge.jti);
+    return errorResponse(res, "Login challenge expired. Please log in again.", 401);
+  }
+
+  const attempt = await registerChallengeAttempt(challenge.jti);
+  if (!attempt.allowed) {
+    return errorResponse(res, "Too many incorrect codes. Please log in again.", 401);
+  }
+
+  const method = await verifySecondFactor(user, { code, recoveryCode });
+  if (!method) {
+    if (attempt.last) {
+      await lockLoginChallenge(challenge.jti);
+      return errorResponse(res, "Too many incorrect codes. Please log in again.", 401);
+    }
+    return successResponse(res, "Invalid verification code", null, null, 200, 0);
+  }
+
+  if (!(await completeLoginChallenge(challenge.jti))) {
+    return errorResponse(res, "Login challenge expired. Please log in again.", 401);
+  }
+
+  if (method === "recovery_code") {
+    await auditRequest(req, { actor: user._id, action: "auth.2fa_recovery_code_used", targetType: "user", targetId: user._id });
+  }
+
+  const device = challenge.device || {};
+  const { sessionId, accessToken, refreshToken } = await createSession(user, device);
+
+  // Update push token captured at the first login step
+  try {
+    if (device.fcmToken && device.fcmToken !== user.fcmToken) {
+      await User.updateOne({ _id: user._id }, { fcmToken: device.fcmToken });
+      user.fcmToken = device.fcmToken;
+    }
+  } catch (saveErr) {
+    console.warn("⚠️ Failed to update fcmToken:", saveErr.message);
+  }
+
+  const userResponse = user.toObject();
+  delete userResponse.password;
+  delete userResponse.firebaseToken;
+  delete userResponse.twoFactor?.secret;
+
+  return successResponse(res, "Login successful", {
+    accessToken,
+    refreshToken,
+    sessionId,
+    user: userResponse,
+  }, null, 200, 1);
+});
@@ -1,33 +1,36 @@
 import { asyncHandler } from "../utils/errorHandler.js";
 import { successResponse, errorResponse } from "../utils/response.js";
-import path from "path";
 import { uploadMedia, uploadLimitErrorHandler } from "../middlewares/uploadMedia.js";
+import { storeUploadedMedia } from "../utils/mediaProcessingHelper.js";
 
 /**
  * Common file upload endpoint
  * Supports: images, videos, audio, PDFs
  * Can be used for posts, profiles, or any other file upload needs
+ * Images and videos go through the media pipeline; `media` holds their dimensions and variant URLs
  */
 export const uploadFile = asyncHandler(async (req, res) => {
   if (!req.file) {
     return successResponse(res, "No file uploaded", null, null, 200, 0);
   }
 
-  const fileUrl = `/uploads/${req.file.filename}`;
-  const ext = path.extname(req.file.originalname).toLowerCase();
-  
-  // Determine file type
-  let fileType = "unknown";
-  if ([".jpg", ".jpeg", ".png", ".gif", ".webp"].includes(ext)) fileType = "image";
-  else if ([".mp4", ".mov", ".avi", ".mkv", ".webm"].includes(ext)) fileType = "video";
-  else if ([".mp3", ".wav", ".aac", ".m4a", ".ogg"].includes(ext)) fileType = "audio";
-  else if ([".pdf"].includes(ext)) fileType = "pdf";
+  // Detected from the file content by the upload middleware
+  const fileType = req.file.mediaType;
+
+  let stored;
+  try {
+    stored = await storeUploadedMedia(req.file, { uploadedBy: req.user?.id });
+  } catch (error) {
+    console.warn("Could not process uploaded media:", error.message);
+    return successResponse(res, "Could not process the media file", null, null, 400, 0);
+  }
 
   return successResponse(res, "File uploaded successfully", {
-    fileUrl,
+    fileUrl: stored.url,
     originalName: req.file.originalname,
     fileType,
     fileSize: req.file.size,
+    media: stored.media,
   }, null, 200, 1);
 });
 
@@ -1,17 +1,59 @@
-import jwt from "jsonwebtoken";
-import path from "path";
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
 import User from "../models/User.js";
 import redisClient from "../config/redis.js";
 import mongoose from "mongoose";
+import authHelper from "../utils/authHelper.js";
 import { asyncHandler } from "../utils/errorHandler.js";
 import { successResponse, errorResponse } from "../utils/response.js";
-import authHelper from "../utils/authHelper.js";
-import { verifyFirebaseToken } from "../config/firebase.js";
+import { getAuthProvider, listAuthProviders } from "../config/authProviders.js";
 import Post from "../models/Post.js";
 import { createStripeCustomer, validateStripeCustomer } from "../utils/stripeHelper.js";
 import { checkAndExpireSubscription } from "../utils/subscriptionCron.js";
+import { sendPasswordResetEmail } from "../utils/mailHelper.js";
+import { sendVerificationCode, checkVerificationCode } from "../utils/verificationHelper.js";
+import { createLoginChallenge, isTwoFactorSetupRequired } from "../utils/twoFactorHelper.js";
+import {
+  normalizeLoginEmail,
+  getActiveLockout,
+  getLoginWait,
+  recordLoginFailure,
+  clearLoginFailures,
+  clearLockout,
+} from "../utils/loginAttemptHelper.js";
+import {
+  createSession,
+  getDeviceInfo,
+  getSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  rotateRefreshToken,
+  formatSession,
+  getClientIp,
+} from "../utils/sessionHelper.js";
+import { auditRequest } from "../utils/auditHelper.js";
+import { canManageAccount } from "../config/roles.js";
+import { storeUploadedFile } from "../config/storage.js";
 
 const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[\W_]).{8,}$/;
+const PASSWORD_RESET_TTL_SECONDS = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 15) * 60;
+
+// Reset codes are stored hashed so a Redis dump can't be replayed
+const hashResetCode = (code) => crypto.createHash("sha256").update(code).digest("hex");
+
+// One answer for unknown emails and wrong passwords, so login can't be used to probe emails
+const INVALID_LOGIN_MESSAGE = "Invalid email or password";
+const LOCKED_LOGIN_MESSAGE = "Too many failed login attempts. Please try again later.";
+const WAIT_LOGIN_MESSAGE = "Too many failed login attempts. Please wait before trying again.";
+
+// 429 with the wait in both the Retry-After header and data.retryAfter (seconds)
+const sendLoginRetryLater = (res, message, retryAfter) => {
+  res.set("Retry-After", String(retryAfter));
+  return successResponse(res, message, { retryAfter }, null, 429, 0);
+};
+// Compared against when the email is unknown, so both cases take as long as a real check
+const DUMMY_PASSWORD_HASH = "$2b$12$EdmsW5Q2wi70HvhlHlFSMODFmyjwh4htzz3kgqDtAOrQdszhFVQ8e";
 
 
 export const registerUser = asyncHandler(async (req, res) => {
@@ -45,16 +87,15 @@ export const registerUser = asyncHandler(async (req, res) => {
 
   user = await User.create({ firstname, lastname, email, password, profileimg, fcmToken, country });
 
-  // 🟢 Create Stripe customer and attach ID
+  // 📧 Email ownership must be proven before chat, posting or checkout (Stripe customer comes after)
   try {
-    await createStripeCustomer(user);
+    await sendVerificationCode(user);
   } catch (err) {
-    console.error("⚠️ Stripe customer creation failed at registration:", err.message);
+    console.error("⚠️ Verification code could not be sent at registration:", err.message);
   }
 
-  const accessToken = jwt.sign({ id: user._id, email: user.email }, process.env.JWT_SECRET, {
-    expiresIn: "7d",
-  });
+  // Registration opens the first device session, like a login
+  const { sessionId, accessToken, refreshToken } = await createSession(user, getDeviceInfo(req));
 
   // Try to cache user in Redis, but don't fail if Redis is unavailable
   try {
@@ -67,17 +108,62 @@ export const registerUser = asyncHandler(async (req, res) => {
   const userResponse = user.toObject();
   delete userResponse.password;
 
-  return successResponse(res, "Registration successful", { accessToken, user: userResponse }, null, 200, 1);
+  return successResponse(res, "Registration successful. A verification code has been sent to your email.", { accessToken, refreshToken, sessionId, user: userResponse }, null, 200, 1);
 });
 
 
 export const loginUser = asyncHandler(async (req, res) => {
   const { email, password, fcmToken } = req.body;
-  const user = await User.findOne({ email }).select("+password");
 
-  // User not found - return 200 with status 0 (API worked, but user not registered)
-  if (!user) {
-    return successResponse(res, "User not found", null, null, 200, 0);
+  if (!email || !password) {
+    return successResponse(res, "Email and password are required", null, null, 200, 0);
+  }
+
+  const ip = getClientIp(req);
+
+  // 🔒 Locked or still-waiting emails / IPs are refused before the password is even checked
+  let lockout = null;
+  let wait = null;
+  try {
+    lockout = await getActiveLockout(email, ip);
+    if (!lockout) wait = await getLoginWait(email, ip);
+  } catch (redisError) {
+    console.warn("⚠️ Login attempt check failed (non-critical):", redisError.message);
+  }
+  if (lockout) {
+    return sendLoginRetryLater(res, LOCKED_LOGIN_MESSAGE, lockout.retryAfter);
+  }
+  if (wait) {
+    return sendLoginRetryLater(res, WAIT_LOGIN_MESSAGE, wait.retryAfter);
+  }
+
+  const user = await User.findOne({ email: normalizeLoginEmail(email) }).select("+password");
+
+  // Unknown email, password-less (Google) account or wrong password all look the same
+  let match = false;
+  if (user?.password) {
+    match = await user.comparePassword(password);
+  } else {
+    await bcrypt.compare(String(password), DUMMY_PASSWORD_HASH);
+  }
+
+  if (!match) {
+    let failureLockout = null;
+    try {
+      failureLockout = await recordLoginFailure(email, ip, user && !user.isDeleted ? user : null);
+    } catch (redisError) {
+      console.warn("⚠️ Failed to record login attempt (non-critical):", redisError.message);
+    }
+    if (failureLockout) {
+      return sendLoginRetryLater(res, LOCKED_LOGIN_MESSAGE, failureLockout.retryAfter);
+    }
+    return successResponse(res, INVALID_LOGIN_MESSAGE, null, null, 200, 0);
+  }
+
+  try {
+    await clearLoginFailures(email);
+  } catch (redisError) {
+    console.warn("⚠️ Failed to reset login attempts (non-critical):", redisError.message);
   }
 
   if (user.isDeleted) {
@@ -91,32 +177,36 @@ export const loginUser = asyncHandler(async (req, res) => {
     );
   }
 
-  const match = await user.comparePassword(password);
-
-  // Password doesn't match - return 200 with status 0 (API worked, but credentials invalid)
-  if (!match) {
-    return successResponse(res, "Invalid credentials", null, null, 200, 0);
-  }
-
-  if (!process.env.JWT_SECRET) {
-    console.error("❌ JWT_SECRET is not configured in environment variables");
+  if (!authHelper.isConfigured()) {
+    console.error("❌ JWT signing keys are not configured in environment variables");
     return errorResponse(res, "Server configuration error", 500);
   }
 
-  try {
-    const isValidCustomer = await validateStripeCustomer(user.stripeCustomerId);
-    if (!isValidCustomer) {
-      console.log(`⚠️ Stripe customer invalid or missing for ${user.email}. Creating new...`);
-      await createStripeCustomer(user);
+  // Stripe customers are only created for verified email addresses
+  if (user.emailVerified) {
+    try {
+      const isValidCustomer = await validateStripeCustomer(user.stripeCustomerId);
+      if (!isValidCustomer) {
+        console.log(`⚠️ Stripe customer invalid or missing for ${user.email}. Creating new...`);
+        await createStripeCustomer(user);
+      }
+    } catch (stripeError) {
+      console.error("❌ Stripe customer validation/creation failed:", stripeError.message);
     }
-  } catch (stripeError) {
-    console.error("❌ Stripe customer validation/creation failed:", stripeError.message);
   }
 
-  // Generate access and refresh tokens using helper functions
-  const accessToken = authHelper.generateAccessToken(user);
-  const refreshToken = authHelper.generateRefreshToken(user);
-  const refreshTokenExpiry = process.env.JWT_REFRESH_TOKEN_EXPIRY || '30d';
+  // 🔐 Two-factor accounts get a short-lived challenge instead of session tokens
+  if (user.twoFactor?.enabled) {
+    const { challengeToken, expiresIn } = await createLoginChallenge(user, { method: "password", device: getDeviceInfo(req) });
+    return successResponse(res, "Two-factor authentication required", {
+      twoFactorRequired: true,
+      challengeToken,
+      expiresIn,
+    }, null, 200, 1);
+  }
+
+  // Open a device session and issue its access/refresh token pair
+  const { sessionId, accessToken, refreshToken } = await createSession(user, getDeviceInfo(req));
 
   // Update push token if provided
   try {
@@ -128,12 +218,7 @@ export const loginUser = asyncHandler(async (req, res) => {
     console.warn("⚠️ Failed to update fcmToken:", saveErr.message);
   }
 
-  // Store refresh token in Redis with matching TTL
   try {
-    // Parse expiry time to seconds for Redis (setEx expects seconds)
-    const refreshTokenExpiryMs = authHelper.parseExpiry(refreshTokenExpiry);
-    const refreshTokenExpirySeconds = Math.floor(refreshTokenExpiryMs / 1000);
-    await redisClient.setEx(`refreshToken:${user._id}`, refreshTokenExpirySeconds, refreshToken);
     await redisClient.setEx(`user:${user._id}`, 3600, JSON.stringify(user));
   } catch (redisError) {
     console.warn("⚠️ Redis cache failed (non-critical):", redisError.message);
@@ -146,6 +231,10 @@ export const loginUser = asyncHandler(async (req, res) => {
   // Success - return 200 with status 1 (user found and login successful)
   return successResponse(res, "Login successful", {
     accessToken,
+    refreshToken,
+    sessionId,
+    // Admin features stay locked until enrollment when 2FA is enforced for admins
+    twoFactorSetupRequired: await isTwoFactorSetupRequired(user),
     user: userResponse
   }, null, 200, 1);
 });
@@ -201,9 +290,8 @@ export const updateProfile = asyncHandler(async (req, res) => {
 
   // ✅ Handle uploaded image (via form-data)
   if (req.file) {
-    const ext = path.extname(req.file.originalname).toLowerCase();
-    if ([".jpg", ".jpeg", ".png"].includes(ext)) {
-      updateData.profileimg = `/uploads/${req.file.filename}`;
+    if (req.file.mediaType === "image") {
+      updateData.profileimg = await storeUploadedFile(req.file);
     } else {
       return successResponse(res, "Invalid profile image format", null, null, 200, 0);
     }
@@ -234,20 +322,36 @@ export const forgotPassword = asyncHandler(async (req, res) => {
   const { email } = req.body;
   if (!email) return successResponse(res, "Email is required", null, null, 200, 0);
 
-  const user = await User.findOne({ email });
-  // User not found - return 200 with status 0 (API worked, but user not found)
-  if (!user) {
-    return successResponse(res, "User id not found", null, null, 200, 0);
+  // Same answer whether or not the account exists, so this can't be used to probe emails
+  const genericMessage = "If an account exists for this email, a password reset code has been sent";
+
+  const user = await User.findOne({ email: String(email).toLowerCase() });
+  if (!user || user.isDeleted) {
+    return successResponse(res, genericMessage, null, null, 200, 1);
   }
 
-  if (!process.env.JWT_SECRET) {
-    console.error("❌ JWT_SECRET is not configured in environment variables");
-    return errorResponse(res, "Server configuration error", 500);
+  const resetCode = crypto.randomBytes(32).toString("hex");
+  const resetCodeHash = hashResetCode(resetCode);
+
+  try {
+    // Only the latest code stays valid: drop the one issued before it
+    const previousHash = await redisClient.get(`passwordReset:user:${user._id}`);
+    if (previousHash) {
+      await redisClient.del(`passwordReset:${previousHash}`);
+    }
+    await redisClient.setEx(`passwordReset:${resetCodeHash}`, PASSWORD_RESET_TTL_SECONDS, String(user._id));
+    await redisClient.setEx(`passwordReset:user:${user._id}`, PASSWORD_RESET_TTL_SECONDS, resetCodeHash);
+  } catch (redisError) {
+    console.error("❌ Failed to store password reset code:", redisError.message);
+    return errorResponse(res, "Unable to process password reset right now", 500);
   }
 
-  const resetToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "7d" });
+  const mailResult = await sendPasswordResetEmail(user, resetCode, PASSWORD_RESET_TTL_SECONDS / 60);
+  if (!mailResult.success) {
+    console.error(`❌ Password reset email failed for ${user.email}:`, mailResult.error || mailResult.message);
+  }
 
-  return successResponse(res, "Password reset token generated", { resetToken });
+  return successResponse(res, genericMessage, null, null, 200, 1);
 });
 
 
@@ -268,27 +372,38 @@ export const resetPassword = asyncHandler(async (req, res) => {
     );
   }
 
-  let payload;
+  // Consume the code: GETDEL makes it single-use even under concurrent requests
+  const resetCodeHash = hashResetCode(String(token));
+  let userId;
   try {
-    payload = jwt.verify(token, process.env.JWT_SECRET);
-  } catch {
+    userId = await redisClient.getdel(`passwordReset:${resetCodeHash}`);
+  } catch (redisError) {
+    console.error("❌ Failed to read password reset code:", redisError.message);
+    return errorResponse(res, "Unable to process password reset right now", 500);
+  }
+
+  if (!userId) {
     return successResponse(res, "Invalid or expired token", null, null, 200, 0);
   }
 
-  const user = await User.findById(payload.id).select("+password");
+  const user = await User.findById(userId).select("+password");
   // User not found - return 200 with status 0 (API worked, but user id not found)
-  if (!user) {
-    return successResponse(res, "User id not found", null, null, 200, 0);
+  if (!user || user.isDeleted) {
+    return successResponse(res, "Invalid or expired token", null, null, 200, 0);
   }
 
   user.password = newPassword; // Will be automatically hashed by User model pre-save hook
   await user.save();
 
-  // Try to clear user from Redis cache, but don't fail if Redis is unavailable
+  // Invalidate the code index and every session of this user, then clear cache
   try {
+    await redisClient.del(`passwordReset:user:${user._id}`);
+    await revokeAllSessions(String(user._id));
+    // A new password also lifts a login lockout of this account
+    await clearLockout("account", user.email);
     await redisClient.del(`user:${user._id}`);
   } catch (redisError) {
-    console.warn("⚠️ Redis cache failed (non-critical):", redisError.message);
+    console.warn("⚠️ Redis cleanup failed (non-critical):", redisError.message);
   }
 
   return successResponse(res, "Password changed successfully");
@@ -323,123 +438,162 @@ export const updateStatus = asyncHandler(async (req, res) => {
   return successResponse(res, "Status updated successfully", updatedUser);
 });
 
+const providerLabel = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+
 /**
- * Google Authentication using Firebase
- * Accepts Firebase ID token from frontend, verifies it, and logs in/registers user
+ * Find the user behind an external identity: linked provider first, then a
+ * verified email (links the provider), otherwise register a new user.
  */
-export const googleAuth = asyncHandler(async (req, res) => {
-  const { idToken } = req.body;
-
-  console.log("🔐 Google Auth - ID Token received:", idToken ? `Present (length: ${idToken.length})` : "Missing");
-
-  if (!idToken) {
-    return errorResponse(res, "ID Token missing", 400);
-  }
-
-  // STEP 1: Verify Firebase ID Token
-  const result = await verifyFirebaseToken(idToken);
-
-  console.log("🔐 Firebase verification result:", {
-    success: result.success,
-    error: result.error,
-    message: result.message,
-    email: result.email
+const resolveProviderUser = async (providerName, identity) => {
+  let user = await User.findOne({
+    providers: { $elemMatch: { name: providerName, subject: identity.subject } },
   });
+  if (user) return { user, created: false };
 
-  if (result.error || !result.success) {
-    console.error("❌ Firebase token verification failed:", result.message);
-    return errorResponse(res, result.message || "Invalid Firebase ID Token", 401);
+  if (!identity.email) {
+    return { error: "Email is required to sign in for the first time" };
   }
 
-  const { email, name, picture, uid } = result; // ✅ Get uid from result
+  const email = identity.email.toLowerCase();
+  user = await User.findOne({ email });
 
-  if (!email) {
-    console.error("❌ Firebase token missing email");
-    return errorResponse(res, "Firebase token missing email", 400);
+  if (user) {
+    // Only a provider-verified address may be attached to an existing account
+    if (!identity.emailVerified) {
+      return { error: "This email is already registered. Log in and link the provider from your profile." };
+    }
+    if (user.providers.some((provider) => provider.name === providerName)) {
+      return { error: `This account is already linked to another ${providerLabel(providerName)} account` };
+    }
+    user.providers.push({ name: providerName, subject: identity.subject, email, linkedAt: new Date() });
+    return { user, created: false };
   }
 
-  console.log("✅ Firebase token verified for email:", email);
-
-  // Split name
   let firstname = "";
   let lastname = "";
-
-  if (name) {
-    const parts = name.trim().split(" ");
+  if (identity.name) {
+    const parts = identity.name.trim().split(" ");
     firstname = parts[0];
     lastname = parts.slice(1).join(" ");
   } else {
     firstname = email.split("@")[0];
   }
 
-  // STEP 2: Check or create user
-  let user = await User.findOne({ email: email.toLowerCase() });
+  user = await User.create({
+    firstname,
+    lastname,
+    email,
+    profileimg: identity.picture || "/uploads/default.png",
+    emailVerified: identity.emailVerified === true,
+    emailVerifiedAt: identity.emailVerified ? new Date() : null,
+    providers: [{ name: providerName, subject: identity.subject, email, linkedAt: new Date() }],
+  });
+  return { user, created: true };
+};
 
-  if (!user) {
-    console.log("👤 Creating new user for email:", email);
-    
-    // ✅ CREATE USER WITH firebaseToken TO BYPASS PASSWORD REQUIREMENT
-    user = await User.create({
-      firstname,
-      lastname,
-      email: email.toLowerCase(),
-      profileimg: picture || "/uploads/default.png",
-      firebaseToken: uid, // ✅ THIS IS CRITICAL - sets firebaseToken to bypass password validation
-    });
-    console.log("✅ New Google auth user created:", user._id);
-  } else {
-    console.log("👤 Existing user found:", user._id);
-    // Update profile picture if changed and set firebaseToken
-    if (picture && picture !== user.profileimg) {
-      user.profileimg = picture;
+/**
+ * Sign in (or register) with an external provider's ID token
+ */
+const authenticateWithProvider = async (req, res, providerName) => {
+  const { idToken } = req.body || {};
+
+  const provider = getAuthProvider(providerName);
+  if (!provider) {
+    return errorResponse(res, "Unknown sign-in provider", 404);
+  }
+
+  if (!idToken) {
+    return errorResponse(res, "ID Token missing", 400);
+  }
+
+  // STEP 1: Verify the provider's ID token
+  const identity = await provider.verify(idToken, req.body);
+  if (!identity.success) {
+    console.error(`❌ ${providerLabel(providerName)} token verification failed:`, identity.message);
+    return errorResponse(res, identity.message || "Invalid ID Token", 401);
+  }
+
+  // STEP 2: Find, link or create the user
+  const resolved = await resolveProviderUser(providerName, identity);
+  if (resolved.error) {
+    return successResponse(res, resolved.error, null, null, 200, 0);
+  }
+  const { user, created } = resolved;
+
+  if (user.isDeleted) {
+    return successResponse(
+      res,
+      "This account has been deleted. Please contact support to restore your account.",
+      null,
+      null,
+      200,
+      0
+    );
+  }
+
+  if (!created) {
+    if (identity.picture && identity.picture !== user.profileimg) {
+      user.profileimg = identity.picture;
     }
-    // ✅ Ensure firebaseToken is set for existing users
-    if (!user.firebaseToken) {
-      user.firebaseToken = uid;
+    // A provider-verified sign-in proves ownership of the address
+    if (!user.emailVerified && identity.emailVerified && identity.email?.toLowerCase() === user.email) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
     }
     await user.save();
-    console.log("🔄 Updated user profile image and firebaseToken");
   }
 
-  // STEP 3: Issue tokens
-  const accessToken = authHelper.generateAccessToken(user);
-  const refreshToken = authHelper.generateRefreshToken(user);
-
-  const refreshTokenExpiry = process.env.JWT_REFRESH_TOKEN_EXPIRY || "30d";
-  const refreshTokenExpiryMs = authHelper.parseExpiry(refreshTokenExpiry);
-  const refreshTokenExpirySeconds = Math.floor(refreshTokenExpiryMs / 1000);
+  console.log(`✅ ${providerLabel(providerName)} identity verified for user:`, user._id);
 
-  // STEP 4: Save refresh token in Redis
-  try {
-    await redisClient.setEx(
-      `refreshToken:${user._id}`,
-      refreshTokenExpirySeconds,
-      refreshToken
-    );
-    console.log("✅ Refresh token stored in Redis");
-  } catch (err) {
-    console.warn("⚠️ Redis save failed:", err.message);
+  // 🔐 Two-factor accounts finish the login at /2fa/verify
+  if (user.twoFactor?.enabled) {
+    const { challengeToken, expiresIn } = await createLoginChallenge(user, { method: providerName, device: getDeviceInfo(req) });
+    return successResponse(res, "Two-factor authentication required", {
+      twoFactorRequired: true,
+      challengeToken,
+      expiresIn,
+    }, null, 200, 1);
   }
 
-  // STEP 5: Clean user response
+  // STEP 3: Open a device session (tokens + session record in Redis)
+  const { sessionId, accessToken, refreshToken } = await createSession(user, getDeviceInfo(req));
+
+  // STEP 4: Clean user response
   const userResponse = user.toObject();
   delete userResponse.password;
   delete userResponse.firebaseToken; // Remove sensitive data
 
-  console.log("✅ Google authentication successful for user:", user.email);
-
   return successResponse(
     res,
-    "Google login successful",
+    `${providerLabel(providerName)} login successful`,
     {
       accessToken,
+      refreshToken,
+      sessionId,
+      twoFactorSetupRequired: await isTwoFactorSetupRequired(user),
       user: userResponse,
     },
     null,
     200,
     1
   );
-});
+};
+
+/**
+ * Google Authentication using Firebase
+ * Accepts Firebase ID token from frontend, verifies it, and logs in/registers user
+ */
+export const googleAuth = asyncHandler(async (req, res) => authenticateWithProvider(req, res, "google"));
+
+/**
+ * Sign in with Apple (identity token from the iOS / web SDK)
+ */
+export const appleAuth = asyncHandler(async (req, res) => authenticateWithProvider(req, res, "apple"));
+
+/**
+ * Sign in with any registered provider (/auth/:provider)
+ */
+export const providerAuth = asyncHandler(async (req, res) => authenticateWithProvider(req, res, req.params.provider));
 
 export const refreshToken = asyncHandler(async (req, res) => {
   const { token } = req.body;
@@ -448,14 +602,15 @@ export const refreshToken = asyncHandler(async (req, res) => {
     return successResponse(res, "Token is required", null, null, 400, 0);
   }
 
-  if (!process.env.JWT_SECRET) {
-    console.error("❌ JWT_SECRET is not configured in environment variables");
+  if (!authHelper.isConfigured()) {
+    console.error("❌ JWT signing keys are not configured in environment variables");
     return errorResponse(res, "Server configuration error", 500);
   }
 
+  // Only refresh tokens are accepted here (typed, own key ring, must carry a session id)
   let decoded;
   try {
-    decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = authHelper.verifyRefreshToken(token);
   } catch (error) {
     if (error.name === "TokenExpiredError") {
       return successResponse(res, "Invalid or expired refresh token", null, null, 401, 0);
@@ -463,28 +618,35 @@ export const refreshToken = asyncHandler(async (req, res) => {
     return successResponse(res, "Invalid or expired refresh token", null, null, 401, 0);
   }
 
-  // Verify refresh token exists in Redis (optional security check)
-  try {
-    const storedToken = await redisClient.get(`refreshToken:${decoded.id}`);
-    if (!storedToken || storedToken !== token) {
-      return successResponse(res, "Invalid or expired refresh token", null, null, 401, 0);
-    }
-  } catch (redisError) {
-    // If Redis is unavailable, continue without validation (non-critical)
-    console.warn("⚠️ Redis verification failed (non-critical):", redisError.message);
-  }
-
   // Verify user still exists
   const user = await User.findById(decoded.id);
-  if (!user) {
+  if (!user || user.isDeleted) {
     return successResponse(res, "User not found", null, null, 401, 0);
   }
 
-  // Generate new access token
-  const newAccessToken = authHelper.generateAccessToken({ _id: decoded.id });
+  // Rotate: the presented refresh token is spent, a new pair is issued for the same session
+  let rotation;
+  try {
+    rotation = await rotateRefreshToken(token, decoded, {
+      ip: getClientIp(req),
+      userAgent: req.headers["user-agent"] || null,
+    });
+  } catch (redisError) {
+    console.error("❌ Refresh token rotation failed:", redisError.message);
+    return errorResponse(res, "Unable to refresh session right now", 500);
+  }
+
+  if (rotation.status === "reused") {
+    return successResponse(res, "Refresh token reuse detected. Please log in again.", null, null, 401, 0);
+  }
+  if (rotation.status !== "rotated") {
+    return successResponse(res, "Invalid or expired refresh token", null, null, 401, 0);
+  }
 
-  return successResponse(res, "New access token generated", {
-    accessToken: newAccessToken,
+  return successResponse(res, "New tokens generated", {
+    accessToken: rotation.accessToken,
+    refreshToken: rotation.refreshToken,
+    sessionId: rotation.sessionId,
   }, null, 200, 1);
 });
 
@@ -496,14 +658,28 @@ export const logoutUser = asyncHandler(async (req, res) => {
     return successResponse(res, "User not authenticated", null, null, 200, 0);
   }
 
+  const sessionId = req.user?.sessionId;
+
   try {
-    // Clear user's push token on logout
+    // Only this device is logged out; other sessions stay active
+    let pushToken = null;
+    if (sessionId) {
+      const session = await revokeSession(userId, sessionId);
+      pushToken = session?.fcmToken || null;
+    } else {
+      await redisClient.del(`refreshToken:${userId}`);
+    }
+
+    // Clear user's push token on logout (with sessions: only if it is this device's token)
     try {
-      await User.findByIdAndUpdate(userId, { fcmToken: null });
+      if (!sessionId) {
+        await User.findByIdAndUpdate(userId, { fcmToken: null });
+      } else if (pushToken) {
+        await User.updateOne({ _id: userId, fcmToken: pushToken }, { fcmToken: null });
+      }
     } catch (updateErr) {
       console.warn("⚠️ Failed to clear fcmToken on logout:", updateErr.message);
     }
-    await redisClient.del(`refreshToken:${userId}`);
     await redisClient.del(`user:${userId}`);
     return successResponse(res, "Logout successful", null, null, 200, 1);
   } catch (redisError) {
@@ -553,6 +729,16 @@ export const bulkDeleteUsers = asyncHandler(async (req, res) => {
     );
   }
 
+  // Role-holding staff accounts need roles:manage, like single deletes
+  const protectedUsers = usersToDelete.filter(user => !canManageAccount(req.user, user));
+  if (protectedUsers.length > 0) {
+    return errorResponse(
+      res,
+      `You do not have permission to delete staff accounts: ${protectedUsers.map(user => user.email).join(', ')}`,
+      403
+    );
+  }
+
   const nonAdminUserIds = usersToDelete
     .filter(user => user.isAdmin !== true)
     .map(user => user._id);
@@ -568,18 +754,31 @@ export const bulkDeleteUsers = asyncHandler(async (req, res) => {
   );
 
   // ✅ STEP 2: Soft delete the users themselves
+  const deletedAt = new Date();
   const userSoftDeleteResult = await User.updateMany(
     { _id: { $in: nonAdminUserIds }, isAdmin: { $ne: true }, isDeleted: { $ne: true } },
-    { $set: { isDeleted: true, deletedAt: new Date() } }
+    { $set: { isDeleted: true, deletedAt } }
   );
 
+  // 📝 One audit entry per soft-deleted user
+  await Promise.all(usersToDelete
+    .filter((user) => user.isAdmin !== true && user.isDeleted !== true)
+    .map((user) => auditRequest(req, {
+      action: "user.bulk_deleted",
+      targetType: "user",
+      targetId: user._id,
+      before: { isDeleted: false, deletedAt: user.deletedAt },
+      after: { isDeleted: true, deletedAt },
+      metadata: { email: user.email, requestedCount: userIds.length },
+    })));
+
   // 🧠 STEP 3: Clear Redis cache for soft-deleted users
   try {
     const deletePromises = nonAdminUserIds.map(userId =>
       redisClient.del(`user:${userId}`)
     );
     const refreshDeletePromises = nonAdminUserIds.map(userId =>
-      redisClient.del(`refreshToken:${userId}`)
+      revokeAllSessions(String(userId))
     );
     await Promise.all([...deletePromises, ...refreshDeletePromises]);
     console.log(`🧹 Cleared Redis cache for ${nonAdminUserIds.length} users`);
@@ -658,10 +857,288 @@ export const deleteMyAccount = asyncHandler(async (req, res) => {
   // Clear Redis cache
   try {
     await redisClient.del(`user:${userId}`);
-    await redisClient.del(`refreshToken:${userId}`);
+    await revokeAllSessions(String(userId));
   } catch (redisError) {
     console.warn("⚠️ Redis cleanup failed (non-critical):", redisError.message);
   }
 
   return successResponse(res, "Account deleted successfully", null, null, 200, 1);
 });
+
+/**
+ * Verify the current user's email address with the emailed 6-digit code
+ */
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+  const { code } = req.body || {};
+
+  if (!code) {
+    return successResponse(res, "Verification code is required", null, null, 200, 0);
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return successResponse(res, "User id not found", null, null, 200, 0);
+  }
+
+  if (user.emailVerified) {
+    return successResponse(res, "Email already verified", { emailVerified: true }, null, 200, 1);
+  }
+
+  let result;
+  try {
+    result = await checkVerificationCode(String(user._id), code);
+  } catch (redisError) {
+    console.error("❌ Failed to check verification code:", redisError.message);
+    return errorResponse(res, "Unable to verify email right now", 500);
+  }
+
+  if (result === "expired") {
+    return successResponse(res, "Verification code expired. Please request a new one.", null, null, 200, 0);
+  }
+  if (result === "locked") {
+    return successResponse(res, "Too many incorrect attempts. Please request a new code.", null, null, 200, 0);
+  }
+  if (result !== "verified") {
+    return successResponse(res, "Invalid verification code", null, null, 200, 0);
+  }
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  await user.save();
+
+  // 🟢 Verified accounts get their Stripe customer
+  try {
+    if (!user.stripeCustomerId) {
+      await createStripeCustomer(user);
+    }
+  } catch (err) {
+    console.error("⚠️ Stripe customer creation failed after verification:", err.message);
+  }
+
+  try {
+    await redisClient.del(`user:${user._id}`);
+  } catch (redisError) {
+    console.warn("⚠️ Redis cache failed (non-critical):", redisError.message);
+  }
+
+  return successResponse(res, "Email verified successfully", { emailVerified: true }, null, 200, 1);
+});
+
+/**
+ * Send a new email verification code (rate limited)
+ */
+export const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return successResponse(res, "User id not found", null, null, 200, 0);
+  }
+
+  if (user.emailVerified) {
+    return successResponse(res, "Email already verified", { emailVerified: true }, null, 200, 0);
+  }
+
+  let result;
+  try {
+    result = await sendVerificationCode(user);
+  } catch (redisError) {
+    console.error("❌ Failed to issue verification code:", redisError.message);
+    return errorResponse(res, "Unable to send verification code right now", 500);
+  }
+
+  if (result.status === "cooldown" || result.status === "limit") {
+    return successResponse(
+      res,
+      `Please wait ${result.retryAfter} seconds before requesting another code`,
+      { retryAfter: result.retryAfter },
+      null,
+      429,
+      0
+    );
+  }
+  if (result.status === "failed") {
+    return errorResponse(res, "Verification email could not be sent", 500);
+  }
+
+  return successResponse(res, "Verification code sent", null, null, 200, 1);
+});
+
+/**
+ * List the current user's device sessions
+ */
+export const getSessions = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+
+  let sessions;
+  try {
+    sessions = await listSessions(String(userId));
+  } catch (redisError) {
+    console.error("❌ Failed to list sessions:", redisError.message);
+    return errorResponse(res, "Unable to load sessions right now", 500);
+  }
+
+  return successResponse(
+    res,
+    "Sessions retrieved",
+    { sessions: sessions.map((session) => formatSession(session, req.user?.sessionId)) },
+    null,
+    200,
+    1
+  );
+});
+
+/**
+ * Revoke one of the current user's sessions (log out that device)
+ */
+export const deleteSession = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+  const { id } = req.params;
+
+  const session = await revokeSession(String(userId), id);
+  if (!session) {
+    return successResponse(res, "Session not found", null, null, 200, 0);
+  }
+
+  if (session.fcmToken) {
+    try {
+      await User.updateOne({ _id: userId, fcmToken: session.fcmToken }, { fcmToken: null });
+    } catch (updateErr) {
+      console.warn("⚠️ Failed to clear fcmToken of revoked session:", updateErr.message);
+    }
+  }
+
+  return successResponse(res, "Session revoked", { sessionId: id }, null, 200, 1);
+});
+
+/**
+ * Log out everywhere else: revoke every session except the current one
+ */
+export const deleteOtherSessions = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+  const currentSessionId = req.user?.sessionId;
+
+  if (!currentSessionId) {
+    return successResponse(res, "Current session unknown, please log in again", null, null, 200, 0);
+  }
+
+  const revoked = await revokeAllSessions(String(userId), { exceptSessionId: currentSessionId });
+
+  // Keep the push token only if it belongs to this device
+  try {
+    const current = await getSession(currentSessionId);
+    await User.findByIdAndUpdate(userId, { fcmToken: current?.fcmToken || null });
+  } catch (updateErr) {
+    console.warn("⚠️ Failed to reset fcmToken:", updateErr.message);
+  }
+
+  return successResponse(
+    res,
+    `Logged out of ${revoked.length} other session(s)`,
+    { revokedCount: revoked.length },
+    null,
+    200,
+    1
+  );
+});
+
+/**
+ * External sign-in providers linked to the current user
+ */
+export const getLinkedProviders = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user?.id).select("+password");
+  if (!user) {
+    return successResponse(res, "User id not found", null, null, 200, 0);
+  }
+
+  return successResponse(res, "Linked providers retrieved", {
+    providers: user.providers.map(({ name, email, linkedAt }) => ({ name, email, linkedAt })),
+    available: listAuthProviders(),
+    hasPassword: Boolean(user.password),
+  }, null, 200, 1);
+});
+
+/**
+ * Link an external identity to the current user (body: idToken)
+ */
+export const linkProvider = asyncHandler(async (req, res) => {
+  const providerName = req.params.provider;
+  const { idToken } = req.body || {};
+
+  const provider = getAuthProvider(providerName);
+  if (!provider) {
+    return errorResponse(res, "Unknown sign-in provider", 404);
+  }
+  if (!idToken) {
+    return successResponse(res, "ID Token missing", null, null, 200, 0);
+  }
+
+  const identity = await provider.verify(idToken, req.body);
+  if (!identity.success) {
+    return successResponse(res, identity.message || "Invalid ID Token", null, null, 200, 0);
+  }
+
+  const user = await User.findById(req.user?.id);
+  if (!user) {
+    return successResponse(res, "User id not found", null, null, 200, 0);
+  }
+
+  if (user.providers.some((linked) => linked.name === providerName)) {
+    return successResponse(res, `A ${providerLabel(providerName)} account is already linked. Unlink it first.`, null, null, 200, 0);
+  }
+
+  const owner = await User.findOne({
+    providers: { $elemMatch: { name: providerName, subject: identity.subject } },
+  });
+  if (owner) {
+    return successResponse(res, `This ${providerLabel(providerName)} account is linked to another user`, null, null, 200, 0);
+  }
+
+  user.providers.push({
+    name: providerName,
+    subject: identity.subject,
+    email: identity.email ? identity.email.toLowerCase() : null,
+    linkedAt: new Date(),
+  });
+  await user.save();
+
+  try {
+    await redisClient.del(`user:${user._id}`);
+  } catch (redisError) {
+    console.warn("⚠️ Redis cache failed (non-critical):", redisError.message);
+  }
+
+  return successResponse(res, `${providerLabel(providerName)} account linked`, { provider: providerName }, null, 200, 1);
+});
+
+/**
+ * Unlink an external identity; the account must keep another way to sign in
+ */
+export const unlinkProvider = asyncHandler(async (req, res) => {
+  const providerName = req.params.provider;
+
+  const user = await User.findById(req.user?.id).select("+password");
+  if (!user) {
+    return successResponse(res, "User id not found", null, null, 200, 0);
+  }
+
+  if (!user.providers.some((linked) => linked.name === providerName)) {
+    return successResponse(res, `No ${providerLabel(providerName)} account is linked`, null, null, 200, 0);
+  }
+
+  const remainingProviders = user.providers.filter((linked) => linked.name !== providerName);
+  if (!user.password && remainingProviders.length === 0) {
+    return successResponse(res, "Set a password or link another provider before unlinking your only sign-in method", null, null, 200, 0);
+  }
+
+  await User.updateOne({ _id: user._id }, { $pull: { providers: { name: providerName } } });
+
+  try {
+    await redisClient.del(`user:${user._id}`);
+  } catch (redisError) {
+    console.warn("⚠️ Redis cache failed (non-critical):", redisError.message);
+  }
+
+  return successResponse(res, `${providerLabel(providerName)} account unlinked`, { provider: providerName }, null, 200, 1);
+});
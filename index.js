@@ -7,13 +7,18 @@ import { specs, swaggerUi } from "./config/swagger.js";
 import { initializeFirebase } from "./config/firebase.js";
 import { initializeSocket } from "./config/socket.js";
 import { globalErrorHandler } from "./utils/errorHandler.js";
+import { getMailTransport } from "./config/mailer.js";
 import userRoutes from "./routes/userRoutes.js";
 import adminRoutes from "./routes/adminRoutes.js";
 import newsRoutes from "./routes/newsRoutes.js";
 import postRoutes from "./routes/postRoutes.js";
 import chatRoutes from "./routes/chatRoutes.js";
 import uploadRoutes from "./routes/uploadRoutes.js";
+import mediaRoutes from "./routes/mediaRoutes.js";
+import cronRoutes from "./routes/cronRoutes.js";
 // import { checkExpiredSubscriptions } from "./utils/subscriptionCron.js";
+import { sweepExpiredMessages } from "./utils/messageExpiryCron.js";
+import { deliverScheduledMessages } from "./utils/scheduledMessageCron.js";
 import policyRoutes from "./routes/policyRoutes.js"
 import termRoutes from "./routes/termRoutes.js"
 import contactRoutes from "./routes/contactRoutes.js"
@@ -22,8 +27,16 @@ import stripeRoutes from "./routes/stripeRoutes.js";
 import { stripeWebhook } from "./controller/stripeController.js";
 
 dotenv.config();
+
+// ✅ Refuse to start in production without a real mail transport (reset and verification codes)
+if (process.env.NODE_ENV === "production") getMailTransport();
+
 const app = express();
 
+// ✅ Proxies in front of the app (Vercel, nginx...): req.ip is read from X-Forwarded-For only
+// through this many hops, so clients cannot spoof it. Set TRUST_PROXY_HOPS=0 without a proxy.
+app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS ?? 1));
+
 // ✅ CORS config
 const corsOptions = {
   origin: process.env.FRONTEND_URL || "*",
@@ -43,6 +56,7 @@ app.post(
 
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+// Public files of the local storage driver (and uploads made before STORAGE_DRIVER=s3)
 app.use("/uploads", express.static("uploads"));
 
 // ✅ DB + Firebase
@@ -88,6 +102,8 @@ app.use("/api/news", newsRoutes);
 app.use("/api/post", postRoutes);
 app.use("/api/chat", chatRoutes);
 app.use("/api/upload", uploadRoutes);
+app.use("/api/media", mediaRoutes);
+app.use("/api/cron", cronRoutes);
 app.use("/api/policy", policyRoutes);
 app.use("/api/terms", termRoutes);
 app.use("/api/contact", contactRoutes);
@@ -102,6 +118,17 @@ app.use("/api/subscription", stripeRoutes);
 //   checkExpiredSubscriptions().catch(console.error);
 // }
 
+// ✅ Disappearing messages sweeper and scheduled message delivery (disabled on Vercel;
+// they run there through GET /api/cron/expired-messages and /api/cron/scheduled-messages)
+if (process.env.VERCEL !== "1") {
+  setInterval(() => {
+    sweepExpiredMessages().catch(console.error);
+  }, 60 * 1000);
+  setInterval(() => {
+    deliverScheduledMessages().catch(console.error);
+  }, 30 * 1000);
+}
+
 // ✅ Global error handler
 app.use(globalErrorHandler);
 
@@ -1,8 +1,39 @@
-import jwt from "jsonwebtoken";
 import User from "../models/User.js";
-import redisClient from "../config/redis.js";
 import { errorResponse, successResponse } from "../utils/response.js";
 import authHelper from "../utils/authHelper.js";
+import { getSession, touchSession, rotateRefreshToken, getClientIp } from "../utils/sessionHelper.js";
+import { getUserRoles, getUserPermissions } from "../config/roles.js";
+
+/**
+ * Load the device session named by the token's `sid` claim.
+ * Returns false when the session was revoked; Redis outages are non-critical.
+ */
+const loadActiveSession = async (decoded) => {
+  if (!decoded.sid) return null;
+  try {
+    const session = await getSession(decoded.sid);
+    if (!session || String(session.userId) !== String(decoded.id)) return false;
+    return session;
+  } catch (redisError) {
+    console.warn("⚠️ Redis session lookup failed (non-critical):", redisError.message);
+    return null;
+  }
+};
+
+/**
+ * Authenticated user attached to the request (roles resolved to permissions once)
+ */
+const buildRequestUser = (user, sessionId) => ({
+  id: user._id,
+  email: user.email,
+  isAdmin: user.isAdmin,
+  isSubscription: user.isSubscription,
+  emailVerified: user.emailVerified === true,
+  twoFactorEnabled: user.twoFactor?.enabled === true,
+  roles: getUserRoles(user),
+  permissions: getUserPermissions(user),
+  sessionId,
+});
 
 const auth = async (req, res, next) => {
   const authHeader = req.headers.authorization;
@@ -15,7 +46,13 @@ const auth = async (req, res, next) => {
 
   try {
     // ✅ Verify access token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Only access tokens are accepted here (refresh tokens have another type and key)
+    const decoded = authHelper.verifyAccessToken(token);
+
+    const session = await loadActiveSession(decoded);
+    if (session === false) {
+      return errorResponse(res, "Session has been revoked", 401);
+    }
 
     const user = await User.findById(decoded.id);
     if (!user) return successResponse(res, "User not found", null, null, 200, 0);
@@ -32,7 +69,9 @@ const auth = async (req, res, next) => {
       );
     }
 
-    req.user = { id: user._id, email: user.email, isAdmin: user.isAdmin, isSubscription: user.isSubscription };
+    await touchSession(session, { ip: getClientIp(req) });
+
+    req.user = buildRequestUser(user, decoded.sid || null);
     next();
   } catch (err) {
     // ✅ Handle expired access token
@@ -44,13 +83,7 @@ const auth = async (req, res, next) => {
 
       // Try refreshing
       try {
-        const refreshDecoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
-
-        // Validate refresh token in Redis
-        const storedToken = await redisClient.get(`refreshToken:${refreshDecoded.id}`);
-        if (!storedToken || storedToken !== refreshToken) {
-          return errorResponse(res, "Invalid or expired refresh token", 401);
-        }
+        const refreshDecoded = authHelper.verifyRefreshToken(refreshToken);
 
         const user = await User.findById(refreshDecoded.id);
         if (!user) {
@@ -69,11 +102,22 @@ const auth = async (req, res, next) => {
           );
         }
 
-        // Generate new access token
-        const newAccessToken = authHelper.generateAccessToken({ _id: refreshDecoded.id });
-        res.setHeader("x-new-access-token", newAccessToken);
+        // Rotate the refresh token; the client must store both new tokens
+        const rotation = await rotateRefreshToken(refreshToken, refreshDecoded, {
+          ip: getClientIp(req),
+          userAgent: req.headers["user-agent"] || null,
+        });
+        if (rotation.status === "reused") {
+          return errorResponse(res, "Refresh token reuse detected. Please log in again.", 401);
+        }
+        if (rotation.status !== "rotated") {
+          return errorResponse(res, "Invalid or expired refresh token", 401);
+        }
+
+        res.setHeader("x-new-access-token", rotation.accessToken);
+        res.setHeader("x-new-refresh-token", rotation.refreshToken);
 
-        req.user = { id: user._id, email: user.email, isAdmin: user.isAdmin, isSubscription: user.isSubscription };
+        req.user = buildRequestUser(user, rotation.sessionId);
         next();
       } catch (refreshErr) {
         if (refreshErr.name === "TokenExpiredError") {
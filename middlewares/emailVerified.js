@@ -0,0 +1,18 @@
+import { successResponse } from "../utils/response.js";
+
+const emailVerifiedRequired = (req, res, next) => {
+  // Allow admins to bypass email verification requirement
+  if (!req.user || (!req.user.emailVerified && !req.user.isAdmin)) {
+    return successResponse(
+      res,
+      "Please verify your email address to use this feature.",
+      null,
+      null,
+      200,
+      0
+    );
+  }
+  next();
+};
+
+export default emailVerifiedRequired;
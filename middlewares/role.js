@@ -1,19 +1,45 @@
 import { errorResponse } from "../utils/response.js";
+import { isTwoFactorRequiredForAdmins } from "../utils/twoFactorHelper.js";
+import { hasPermission, isStaffAccount } from "../config/roles.js";
 
-export const adminOnly = (req, res, next) => {
+// Enforced 2FA: staff must enroll (POST /api/users/2fa/setup) before using admin features
+const twoFactorMissing = async (req) => !req.user.twoFactorEnabled && (await isTwoFactorRequiredForAdmins());
+
+export const adminOnly = async (req, res, next) => {
   if (!req.user?.isAdmin) return errorResponse(res, "Only administrators can access this resource", 404);
+  if (await twoFactorMissing(req)) {
+    return errorResponse(res, "Two-factor authentication must be enabled for administrator accounts", 403);
+  }
+  next();
+};
+
+/**
+ * Allow staff holding every listed permission, e.g. requirePermission("news:write")
+ */
+export const requirePermission = (...permissions) => async (req, res, next) => {
+  if (!isStaffAccount(req.user)) return errorResponse(res, "Only administrators can access this resource", 404);
+  if (!hasPermission(req.user, ...permissions)) {
+    return errorResponse(res, "You do not have permission to perform this action", 403);
+  }
+  if (await twoFactorMissing(req)) {
+    return errorResponse(res, "Two-factor authentication must be enabled for administrator accounts", 403);
+  }
   next();
 };
 
-// Owner or Admin (for Posts)
+// Owner or staff holding posts:delete, e.g. content moderators (for Posts)
 import Post from "../models/Post.js";
 export const ownerOrAdmin = async (req, res, next) => {
   const post = await Post.findById(req.params.id);
   if (!post) return errorResponse(res, "Post not found", 404);
 
   const userId = req.user?._id?.toString() || req.user?.id?.toString();
+  const isOwner = post.author.toString() === userId;
 
-  if (req.user?.isAdmin || post.author.toString() === userId) {
+  if (isOwner || hasPermission(req.user, "posts:delete")) {
+    if (!isOwner && (await twoFactorMissing(req))) {
+      return errorResponse(res, "Two-factor authentication must be enabled for administrator accounts", 403);
+    }
     req.post = post;
     return next();
   }
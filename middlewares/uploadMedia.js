@@ -1,63 +1,116 @@
 // middlewares/uploadMedia.js
+import fs from "fs";
 import multer from "multer";
 import path from "path";
-import fs from "fs";
-
-const uploadDir = path.resolve("uploads");
-if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir);
+import { getUploadTempDir } from "../config/storage.js";
+import { getExtensionType, getMaxSizeMB, getUploadLimitsMB, identifyFile } from "../utils/mediaTypeRegistry.js";
+import { getMalwareScanner } from "../utils/malwareScanner.js";
+import { errorResponse } from "../utils/response.js";
 
+// Incoming files land in a temp folder; controllers hand them to the storage driver (config/storage.js)
 const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, "uploads/"),
+  destination: (req, file, cb) => cb(null, getUploadTempDir()),
   filename: (req, file, cb) => {
     const unique = Date.now() + "-" + Math.round(Math.random() * 1e9);
     cb(null, unique + path.extname(file.originalname));
   },
 });
 
-export const uploadMedia = (allowedTypes = ["image"], maxSizeMB = 0, perTypeLimitsMB = {}) => {
-  // Compute a per-request hard cap (multer-level) as the maximum of all type limits
-  const imageMax = Number(perTypeLimitsMB.image || process.env.IMAGE_MAX_MB || 10);
-  const videoMax = Number(perTypeLimitsMB.video || process.env.VIDEO_MAX_MB || 50);
-  const audioMax = Number(perTypeLimitsMB.audio || process.env.AUDIO_MAX_MB || 20);
-  const pdfMax = Number(perTypeLimitsMB.pdf || process.env.PDF_MAX_MB || 10);
-  const hardCapMB = Math.max(imageMax, videoMax, audioMax, pdfMax);
+const MB = 1024 * 1024;
 
-  return multer({
-    storage,
-    fileFilter: (req, file, cb) => {
-      const ext = path.extname(file.originalname).toLowerCase();
-      const mime = file.mimetype.toLowerCase();
+// Same body for multer's hard cap and the per-type check done once the file's type is known
+const sendFileTooLarge = (res, perTypeLimitsMB = {}) => res.status(413).json({
+  error: "File too large",
+  limits: getUploadLimitsMB(perTypeLimitsMB)
+});
 
-      // Determine type from extension
-      let fileType = null;
-      if ([".jpg", ".jpeg", ".png"].includes(ext)) fileType = "image";
-      else if ([".mp4", ".mov", ".avi", ".mkv"].includes(ext)) fileType = "video";
-      else if ([".mp3", ".wav", ".aac", ".m4a", ".ogg"].includes(ext)) fileType = "audio";
-      else if ([".pdf"].includes(ext)) fileType = "pdf";
+/**
+ * Checks run once multer has saved the file: the content must be a known format agreeing with
+ * the extension and one of `allowedTypes`, within that type's size limit, and pass the malware
+ * scanner. Rejected files are deleted. Accepted ones get `mediaType` ("image", "video", "audio",
+ * "pdf") and a `mimetype` taken from the content rather than from the client.
+ * @returns {Promise<boolean>} whether the request may continue (false: a response was sent)
+ */
+const verifyUploadedFile = async (req, res, allowedTypes, perTypeLimitsMB) => {
+  const file = req.file;
+  if (!file) return true;
 
-      if (!fileType || !allowedTypes.includes(fileType)) {
-        return cb(new Error(`Only ${allowedTypes.join(" or ")} files allowed`));
-      }
+  const reject = async (send) => {
+    await fs.promises.unlink(file.path).catch(() => { });
+    send();
+    return false;
+  };
 
-      // Note: Multer hard cap enforces size. We only classify type here.
+  const identified = await identifyFile(file.path, file.originalname);
+  if (identified.error) {
+    return reject(() => errorResponse(res, identified.error, 415));
+  }
+  if (!allowedTypes.includes(identified.type)) {
+    return reject(() => errorResponse(res, `Only ${allowedTypes.join(" or ")} files allowed`, 415));
+  }
+  if (file.size > getMaxSizeMB(identified.type, perTypeLimitsMB) * MB) {
+    return reject(() => sendFileTooLarge(res, perTypeLimitsMB));
+  }
 
+  let scan;
+  try {
+    scan = await getMalwareScanner().scanFile(file.path);
+  } catch (error) {
+    console.error("❌ Upload scan failed:", error.message);
+    return reject(() => errorResponse(res, "The file could not be scanned, please try again later", 503));
+  }
+  if (!scan.clean) {
+    console.warn(`⚠️ Upload rejected by malware scan (${scan.signature}): ${file.originalname}`);
+    return reject(() => errorResponse(res, "The file was rejected by the malware scan", 422));
+  }
+
+  file.mediaType = identified.type;
+  file.mimetype = identified.mime;
+  return true;
+};
+
+/**
+ * Single-file upload middleware factory: `uploadMedia(["image", "video"]).single("media")`
+ * @param {string[]} allowedTypes - media types accepted ("image", "video", "audio", "pdf")
+ * @param {Object} [perTypeLimitsMB] - size limits overriding the IMAGE_MAX_MB... env values, e.g. { image: 5 }
+ */
+export const uploadMedia = (allowedTypes = ["image"], perTypeLimitsMB = {}) => {
+  // Multer-level hard cap: the largest limit among the allowed types; the exact per-type
+  // limit is enforced once the content has been identified
+  const hardCapMB = Math.max(...allowedTypes.map((type) => getMaxSizeMB(type, perTypeLimitsMB)));
+
+  const upload = multer({
+    storage,
+    fileFilter: (req, file, cb) => {
+      // Early reject by extension; the content itself is checked after upload
+      const fileType = getExtensionType(file.originalname);
+      if (!fileType || !allowedTypes.includes(fileType)) {
+        const error = new Error(`Only ${allowedTypes.join(" or ")} files allowed`);
+        error.code = "UNSUPPORTED_FILE_TYPE";
+        return cb(error);
+      }
       return cb(null, true);
     },
-    limits: { fileSize: hardCapMB * 1024 * 1024 },
+    limits: { fileSize: hardCapMB * MB },
   });
+
+  return {
+    single: (fieldName) => (req, res, next) => {
+      upload.single(fieldName)(req, res, (err) => {
+        if (err?.code === "UNSUPPORTED_FILE_TYPE") return errorResponse(res, err.message, 415);
+        if (err) return next(err);
+        verifyUploadedFile(req, res, allowedTypes, perTypeLimitsMB)
+          .then((accepted) => { if (accepted) next(); })
+          .catch(next);
+      });
+    },
+  };
 };
 
 // Route-level error handler to convert Multer size errors into informative JSON with env-based limits
 export const uploadLimitErrorHandler = (err, req, res, next) => {
   if (err && (err.code === 'LIMIT_FILE_SIZE' || /file too large/i.test(err.message))) {
-    const imageMax = Number(process.env.IMAGE_MAX_MB || 10);
-    const videoMax = Number(process.env.VIDEO_MAX_MB || 50);
-    const audioMax = Number(process.env.AUDIO_MAX_MB || 20);
-    const pdfMax = Number(process.env.PDF_MAX_MB || 10);
-    return res.status(413).json({
-      error: "File too large",
-      limits: { imageMaxMB: imageMax, videoMaxMB: videoMax, audioMaxMB: audioMax, pdfMaxMB: pdfMax }
-    });
+    return sendFileTooLarge(res);
   }
   return next(err);
 };
@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // User who performed the action (null for system / anonymous events)
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    action: { type: String, required: true },
+    targetType: { type: String, default: null },
+    targetId: { type: String, default: null },
+    // Field-level diff of the target: { field: { before, after } }
+    changes: { type: mongoose.Schema.Types.Mixed, default: null },
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const AuditLog = mongoose.models.AuditLog || mongoose.model("AuditLog", auditLogSchema);
+export default AuditLog;
@@ -2,30 +2,6 @@ import mongoose from "mongoose";
 
 const { Schema } = mongoose;
 
-const groupMessageSchema = new Schema(
-  {
-    sender: { type: Schema.Types.ObjectId, ref: "User", required: true },
-    content: { type: String },
-    mediaUrl: { type: String },
-    messageType: { type: String, enum: ["text", "image", "video"], default: "text" },
-    time: { type: String }
-  },
-  { timestamps: { createdAt: true, updatedAt: false, currentTime: () => new Date()  } }
-);
-
-groupMessageSchema.pre('save', function(next) {
-  if (this.isNew) {
-    // Get current UTC time and format it as "HH:MM AM/PM"
-    this.time = new Date().toLocaleTimeString([], { 
-      hour: '2-digit', 
-      minute: '2-digit',
-      hour12: true,
-      timeZone: 'UTC'
-    });
-  }
-  next();
-});
-
 const chatRequestSchema = new Schema(
   {
     // Common fields for requests and group roots
@@ -42,7 +18,6 @@ const chatRequestSchema = new Schema(
     superAdmins: [{ type: Schema.Types.ObjectId, ref: "User" }],
     members: [{ type: Schema.Types.ObjectId, ref: "User" }],
     pendingMembers: [{ type: Schema.Types.ObjectId, ref: "User" }],
-    messages: [groupMessageSchema],
     isSystemGroup: { type: Boolean, default: false }
   },
    { 
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+// What feeds and chat clients need to lay out and preview an image or video without the original
+export const mediaInfoSchema = new Schema(
+  {
+    width: { type: Number, default: null },
+    height: { type: Number, default: null },
+    // Seconds, videos only
+    duration: { type: Number, default: null },
+    // Resized copies; only sizes smaller than the original are generated, the others stay null
+    variants: {
+      thumb: { type: String, default: null },
+      small: { type: String, default: null },
+      medium: { type: String, default: null },
+    },
+    // First frame of a video, full size
+    posterUrl: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const mediaAssetSchema = new Schema(
+  {
+    // URL of the original, as stored in mediaUrl fields
+    url: { type: String, required: true, unique: true },
+    kind: { type: String, enum: ["image", "video"], required: true },
+    info: { type: mediaInfoSchema, required: true },
+    uploadedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+const MediaAsset = mongoose.models.MediaAsset || mongoose.model("MediaAsset", mediaAssetSchema);
+export default MediaAsset;
@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+import { mediaInfoSchema } from "./MediaAsset.js";
+
+const { Schema } = mongoose;
+
+// One entry per recipient that acknowledged the message; no entry means "sent"
+const messageReceiptSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    deliveredAt: { type: Date, required: true },
+    readAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+const messageReactionSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    emoji: { type: String, required: true, maxlength: 32 },
+    reactedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const messageSchema = new Schema(
+  {
+    // Conversation key: the individual chat request or the group root (ChatConversation.chatRequestId)
+    chatId: { type: Schema.Types.ObjectId, ref: "ChatRequest", required: true },
+    sender: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    content: { type: String },
+    mediaUrl: { type: String },
+    // "system" messages announce chat events (e.g. disappearing message timer changes)
+    messageType: { type: String, enum: ["text", "image", "video", "audio", "pdf", "system"], default: "text" },
+    time: { type: Date },
+    // Message in the same chat this one answers
+    replyTo: { type: Schema.Types.ObjectId, ref: "Message", default: null },
+    // Voice note metadata for audio messages: seconds, codec and 0-100 peak levels for the player
+    audio: {
+      type: new Schema(
+        {
+          duration: { type: Number, required: true },
+          codec: { type: String, default: null },
+          waveform: { type: [Number], default: [] },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    // Dimensions, resized variants and video poster of image/video messages
+    media: { type: mediaInfoSchema, default: null },
+    // Copy of a message forwarded from another chat (the original is not exposed to recipients)
+    isForwarded: { type: Boolean, default: false },
+    forwardedFrom: { type: Schema.Types.ObjectId, ref: "Message", default: null },
+
+    isDeleteMe: { type: Boolean, default: false },
+    isDeleteEvery: { type: Boolean, default: false },
+    deletedAt: { type: Date },
+    deletedBy: { type: Schema.Types.ObjectId, ref: "User" },
+    deletedFor: { type: String, enum: ["me", "everyone"], default: null },
+    // Users who deleted the message for themselves only
+    deletedForMe: [{
+      _id: false,
+      userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+      deletedAt: { type: Date, default: Date.now },
+    }],
+
+    // Set from the chat's disappearing timer when sent; hidden once passed and removed by the sweeper
+    expiresAt: { type: Date, default: null },
+
+    isEdited: { type: Boolean, default: false },
+    editedAt: { type: Date },
+
+    // Per-recipient delivery / read state
+    receipts: { type: [messageReceiptSchema], default: [] },
+    // At most one reaction per user
+    reactions: { type: [messageReactionSchema], default: [] },
+  },
+  { timestamps: { createdAt: true, updatedAt: false, currentTime: () => new Date() } }
+);
+
+// History pages, newest first; _id breaks ties between messages created in the same millisecond
+messageSchema.index({ chatId: 1, createdAt: -1, _id: -1 });
+// Full-text search across a user's chats (GET /api/chat/search)
+messageSchema.index({ content: "text" });
+// Expiry sweeper (utils/messageExpiryCron.js); only messages with a timer are indexed
+messageSchema.index({ expiresAt: 1 }, { partialFilterExpression: { expiresAt: { $type: "date" } } });
+
+const Message = mongoose.models.Message || mongoose.model("Message", messageSchema);
+export default Message;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { mediaInfoSchema } from "./MediaAsset.js";
 
 const postSchema = new mongoose.Schema(
   {
@@ -6,6 +7,8 @@ const postSchema = new mongoose.Schema(
     description: { type: String, required: true },
     mediaType: { type: String, enum: ["image", "video"], required: true },
     mediaUrl: { type: String, required: true },
+    // Dimensions, resized variants and video poster recorded when mediaUrl was uploaded
+    media: { type: mediaInfoSchema, default: null },
     author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // User or Admin
     isDeleted: {
       type: Boolean,
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const SCHEDULED_MESSAGE_STATUSES = ["pending", "sending", "sent", "failed", "cancelled"];
+
+const scheduledMessageSchema = new Schema(
+  {
+    // Conversation key (individual chat request or group root), as for Message.chatId
+    chatId: { type: Schema.Types.ObjectId, ref: "ChatRequest", required: true },
+    sender: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    content: { type: String, required: true },
+    replyTo: { type: Schema.Types.ObjectId, ref: "Message", default: null },
+    scheduledFor: { type: Date, required: true },
+
+    status: { type: String, enum: SCHEDULED_MESSAGE_STATUSES, default: "pending" },
+    // Set when a worker claims the job, so a crashed delivery can be picked up again
+    lockedAt: { type: Date, default: null },
+    attempts: { type: Number, default: 0 },
+    sentAt: { type: Date, default: null },
+    // Id of the message this job creates, assigned before delivery: a job picked up again after
+    // a crash finds the message already stored instead of sending it twice
+    sentMessage: { type: Schema.Types.ObjectId, ref: "Message", default: null },
+    failureReason: { type: String, default: null },
+  },
+  { timestamps: { currentTime: () => new Date() } }
+);
+
+// Due jobs for the delivery worker
+scheduledMessageSchema.index({ status: 1, scheduledFor: 1 });
+// A user's scheduled messages in a chat
+scheduledMessageSchema.index({ sender: 1, chatId: 1, scheduledFor: 1 });
+
+const ScheduledMessage = mongoose.models.ScheduledMessage || mongoose.model("ScheduledMessage", scheduledMessageSchema);
+export default ScheduledMessage;
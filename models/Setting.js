@@ -0,0 +1,14 @@
+import mongoose from "mongoose";
+
+// Application-wide settings changed at runtime by administrators (one document per key)
+const settingSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true, trim: true },
+    value: { type: mongoose.Schema.Types.Mixed, default: null },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+const Setting = mongoose.models.Setting || mongoose.model("Setting", settingSchema);
+export default Setting;
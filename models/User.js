@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { ROLE_NAMES } from "../config/roles.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -28,6 +29,19 @@ const userSchema = new mongoose.Schema(
     profileimg: { type: String, default: "/uploads/default.png" },
     status: { type: String, enum: ["active", "inactive"], default: "active" },
     isAdmin: { type: Boolean, default: false },
+    // Staff roles (config/roles.js); admins without roles count as super admins
+    roles: { type: [{ type: String, enum: ROLE_NAMES }], default: [] },
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date, default: null },
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      // Base32 TOTP secret; pendingSecret holds an enrollment that is not confirmed yet
+      secret: { type: String, default: null, select: false },
+      pendingSecret: { type: String, default: null, select: false },
+      // sha256 hashes of the unused recovery codes
+      recoveryCodes: { type: [String], default: [], select: false },
+      enabledAt: { type: Date, default: null },
+    },
     isSubscription: { type: Boolean, default: false },
     subscriptionType: {
       type: String,
@@ -46,6 +60,19 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // External sign-in identities (Google, Apple, ...) linked to this account
+    providers: {
+      type: [
+        {
+          _id: false,
+          name: { type: String, required: true },
+          subject: { type: String, required: true },
+          email: { type: String, default: null },
+          linkedAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
     firebaseToken: {
       type: String,
       default: null,
@@ -76,6 +103,12 @@ const userSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// One external identity can belong to one user only
+userSchema.index(
+  { "providers.name": 1, "providers.subject": 1 },
+  { unique: true, partialFilterExpression: { "providers.subject": { $exists: true } } }
+);
+
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password") || !this.password) return next();
   const salt = await bcrypt.genSalt(12);
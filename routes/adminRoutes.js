@@ -7,9 +7,17 @@ import {
   updateUser,
   updateUserStatus,
   deleteUser,
+  getTwoFactorEnforcement,
+  updateTwoFactorEnforcement,
+  getLoginLockouts,
+  deleteLoginLockout,
+  getRoles,
+  getUserRoleAssignment,
+  updateUserRoles,
 } from "../controller/adminController.js";
-import { adminOnly } from "../middlewares/role.js";
+import { requirePermission } from "../middlewares/role.js";
 import { getAdminAnalytics } from "../controller/adminAnalyticsController.js";
+import { getAuditLogs, exportAuditLogs } from "../controller/auditLogController.js";
 import { bulkDeleteUsers } from "../controller/userController.js";
 
 const router = express.Router();
@@ -67,7 +75,7 @@ const router = express.Router();
  *       404:
  *         description: API logic issue - token missing or invalid
  */
-router.get("/users", auth, adminOnly, getAllUsers);
+router.get("/users", auth, requirePermission("users:read"), getAllUsers);
 
 /**
  * @swagger
@@ -90,7 +98,7 @@ router.get("/users", auth, adminOnly, getAllUsers);
  *       404:
  *         description: API logic issue - token missing or invalid
  */
-router.get("/users/:id", auth, adminOnly, getUserById);
+router.get("/users/:id", auth, requirePermission("users:read"), getUserById);
 
 /**
  * @swagger
@@ -135,7 +143,7 @@ router.get("/users/:id", auth, adminOnly, getUserById);
  *       404:
  *         description: API logic issue - token missing or invalid
  */
-router.post("/users", auth, adminOnly, createUser);
+router.post("/users", auth, requirePermission("users:write"), createUser);
 
 /**
  * @swagger
@@ -175,10 +183,12 @@ router.post("/users", auth, adminOnly, createUser);
  *     responses:
  *       200:
  *         description: User updated successfully (status 1) or User not found (status 0)
+ *       403:
+ *         description: Missing permission, or the target is a staff account and the caller lacks roles:manage
  *       404:
  *         description: API logic issue - token missing or invalid
  */
-router.put("/users/:id", auth, adminOnly, updateUser);
+router.put("/users/:id", auth, requirePermission("users:write"), updateUser);
 
 /**
  * @swagger
@@ -211,10 +221,12 @@ router.put("/users/:id", auth, adminOnly, updateUser);
  *     responses:
  *       200:
  *         description: User status updated successfully (status 1) or User not found (status 0)
+ *       403:
+ *         description: Missing permission, or the target is a staff account and the caller lacks roles:manage
  *       404:
  *         description: API logic issue - token missing or invalid
  */
-router.put("/users/:id/status", auth, adminOnly, updateUserStatus);
+router.put("/users/:id/status", auth, requirePermission("users:write"), updateUserStatus);
 
 /**
  * @swagger
@@ -234,10 +246,12 @@ router.put("/users/:id/status", auth, adminOnly, updateUserStatus);
  *     responses:
  *       200:
  *         description: User deleted successfully (status 1) or User not found (status 0)
+ *       403:
+ *         description: Missing permission, or the target is a staff account and the caller lacks roles:manage
  *       404:
  *         description: API logic issue - token missing or invalid
  */
-router.delete("/users/:id", auth, adminOnly, deleteUser);
+router.delete("/users/:id", auth, requirePermission("users:delete"), deleteUser);
 
 /**
  * @swagger
@@ -253,7 +267,276 @@ router.delete("/users/:id", auth, adminOnly, deleteUser);
  *       404:
  *         description: API logic issue - token missing or invalid
  */
-router.get("/analytics", auth, adminOnly, getAdminAnalytics);
+router.get("/analytics", auth, requirePermission("analytics:read"), getAdminAnalytics);
+
+/**
+ * @swagger
+ * /api/admin/security/two-factor:
+ *   get:
+ *     summary: Get two-factor enforcement for admin accounts (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Enforcement flag and number of admins without two-factor authentication
+ *       403:
+ *         description: Two-factor authentication is enforced and the calling admin has not enabled it
+ *       404:
+ *         description: API logic issue - token missing or invalid
+ *   put:
+ *     summary: Require two-factor authentication for every admin account (Admin only)
+ *     description: While enforced, admins without two-factor authentication get 403 from admin endpoints until they enroll via /api/users/2fa/setup, and cannot disable it. The calling admin must have it enabled before turning enforcement on.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - required
+ *             properties:
+ *               required:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Enforcement updated (status 1) or Invalid value / caller has no two-factor authentication (status 0)
+ *       404:
+ *         description: API logic issue - token missing or invalid
+ */
+router.get("/security/two-factor", auth, requirePermission("security:manage"), getTwoFactorEnforcement);
+router.put("/security/two-factor", auth, requirePermission("security:manage"), updateTwoFactorEnforcement);
+
+/**
+ * @swagger
+ * /api/admin/security/lockouts:
+ *   get:
+ *     summary: List active login lockouts (Admin only)
+ *     description: Emails and IPs locked after too many failed logins, with attempts, lockedUntil and retryAfter seconds.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lockouts retrieved
+ *       404:
+ *         description: API logic issue - token missing or invalid
+ */
+router.get("/security/lockouts", auth, requirePermission("lockouts:manage"), getLoginLockouts);
+
+/**
+ * @swagger
+ * /api/admin/security/lockouts/{type}/{value}:
+ *   delete:
+ *     summary: Clear a login lockout (Admin only)
+ *     description: Resets the failure counter too. The account owner is emailed that sign-in works again.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [account, ip]
+ *       - in: path
+ *         name: value
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Email (account) or IP address
+ *     responses:
+ *       200:
+ *         description: Lockout cleared (status 1) or Lockout not found (status 0)
+ *       404:
+ *         description: API logic issue - token missing or invalid
+ */
+router.delete("/security/lockouts/:type/:value", auth, requirePermission("lockouts:manage"), deleteLoginLockout);
+
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   get:
+ *     summary: List staff roles and their permissions (Admin only)
+ *     description: Requires roles:manage. Roles are super_admin, content_moderator, support_agent and billing_admin. Admin accounts without any role count as super admins.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles and the full permission list
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: API logic issue - token missing or invalid
+ */
+router.get("/roles", auth, requirePermission("roles:manage"), getRoles);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/roles:
+ *   get:
+ *     summary: Get a user's roles and effective permissions (Admin only)
+ *     description: Requires roles:manage.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Roles retrieved (status 1) or User not found (status 0)
+ *       403:
+ *         description: Missing permission
+ *   put:
+ *     summary: Replace a user's roles (Admin only)
+ *     description: Requires roles:manage. Send an empty array to remove every role. You cannot remove your own super admin role.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - roles
+ *             properties:
+ *               roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [super_admin, content_moderator, support_agent, billing_admin]
+ *                 example: [content_moderator]
+ *     responses:
+ *       200:
+ *         description: Roles updated (status 1) or Invalid roles / User not found (status 0)
+ *       403:
+ *         description: Missing permission
+ */
+router.get("/users/:id/roles", auth, requirePermission("roles:manage"), getUserRoleAssignment);
+router.put("/users/:id/roles", auth, requirePermission("roles:manage"), updateUserRoles);
+
+/**
+ * @swagger
+ * /api/admin/audit-logs:
+ *   get:
+ *     summary: List audit log entries of privileged actions (Admin only)
+ *     description: Requires audit:read. Each entry has actor, action, target, a before/after diff of the changed fields, IP and timestamp. Newest first.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: Actor user ID or email
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Action name, or several separated by commas
+ *         example: user.deleted,user.bulk_deleted
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           example: user
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Audit logs retrieved (status 1) or Invalid filter (status 0)
+ *       403:
+ *         description: Missing permission
+ */
+router.get("/audit-logs", auth, requirePermission("audit:read"), getAuditLogs);
+
+/**
+ * @swagger
+ * /api/admin/audit-logs/export:
+ *   get:
+ *     summary: Export audit log entries as CSV (Admin only)
+ *     description: Requires audit:read. Accepts the same filters as /api/admin/audit-logs (without paging) and returns at most 10000 rows.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Missing permission
+ */
+router.get("/audit-logs/export", auth, requirePermission("audit:read"), exportAuditLogs);
 
 
 export default router;
\ No newline at end of file
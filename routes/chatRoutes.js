@@ -1,11 +1,18 @@
 import express from "express";
 import auth from "../middlewares/auth.js";
 import subscriptionRequired from "../middlewares/subscription.js";
+import emailVerifiedRequired from "../middlewares/emailVerified.js";
 import { uploadMedia, uploadLimitErrorHandler } from "../middlewares/uploadMedia.js";
 import { actOnChatRequest, getRequestsByType, sendChatRequest } from "../controller/chatController/chatRequestController.js";
 import { createGroupViaJson, deleteGroupByCreator, updateGroupByCreator, updateGroupProfileByCreator } from "../controller/chatController/groupController.js";
-import { getChatMessages, sendChatMessage, uploadChatMedia } from "../controller/chatController/chatController.js";
-import { deleteChatMessagesBulk, editMessage } from "../controller/chatController/updateChatController.js";
+import { forwardChatMessage, getChatMedia, getChatMessages, getMessageReceipts, searchMessages, sendChatMessage, updateDisappearingTimer, uploadChatMedia } from "../controller/chatController/chatController.js";
+import {
+  cancelScheduledMessage,
+  getScheduledMessages,
+  scheduleChatMessage,
+  updateScheduledMessage
+} from "../controller/chatController/scheduledMessageController.js";
+import { deleteChatMessagesBulk, editMessage, pinChatMessage, reactToChatMessage } from "../controller/chatController/updateChatController.js";
 
 const router = express.Router();
 
@@ -42,7 +49,7 @@ const router = express.Router();
  *       404:
  *         description: API logic issue - token missing or invalid
  */
-router.post("/request", auth, subscriptionRequired, sendChatRequest);
+router.post("/request", auth, emailVerifiedRequired, subscriptionRequired, sendChatRequest);
 
 /**
  * @swagger
@@ -83,6 +90,86 @@ router.post("/request", auth, subscriptionRequired, sendChatRequest);
  */
 router.get("/requests", auth, subscriptionRequired, getRequestsByType);
 
+/**
+ * @swagger
+ * /api/chat/search:
+ *   get:
+ *     tags: [Chat]
+ *     summary: Search messages across all of my chats
+ *     description: |
+ *       Full-text search over every individual chat and group the caller belongs to. Messages deleted for everyone,
+ *       deleted for the caller, or sent before the caller joined a group are never returned. Newest hits first.
+ *
+ *       Each hit has the chat name and image, the sender, a `snippet` with `highlights` (`start`/`end` offsets of the
+ *       matched terms inside the snippet) and `cursor.around`, which opens the chat at that message via
+ *       `GET /api/chat/{chatId}?around=`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *         description: Search terms
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Search hits with pagination
+ *       400:
+ *         description: Query shorter than 2 characters
+ */
+router.get("/search", auth, subscriptionRequired, searchMessages);
+
+/**
+ * @swagger
+ * /api/chat/media/{messageId}:
+ *   get:
+ *     tags: [Chat]
+ *     summary: Download the file of a chat message
+ *     description: |
+ *       Chat files are stored privately; message payloads point `mediaUrl`, `content` and the `media` URLs
+ *       of chat files at this route. The caller must be a participant of the chat the message belongs to
+ *       and able to see the message (not deleted for them, not expired, not sent before they joined).
+ *       Responds with a redirect to a link to the stored file that is valid for 5 minutes.
+ *       Chat files uploaded before this change keep their /uploads URL until `npm run migrate:uploads` has run.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variant
+ *         schema:
+ *           type: string
+ *           enum: [thumb, small, medium, poster]
+ *         description: Resized copy or video poster instead of the original
+ *     responses:
+ *       302:
+ *         description: Redirect to the file
+ *       400:
+ *         description: Unknown variant
+ *       403:
+ *         description: Not a participant of the chat
+ *       404:
+ *         description: Message, file or variant not found
+ */
+router.get("/media/:messageId", auth, subscriptionRequired, getChatMedia);
+
 /**
  * @swagger
  * /api/chat/request/{id}:
@@ -141,9 +228,12 @@ router.put("/request/:id", auth, subscriptionRequired, actOnChatRequest);
  *               message:
  *                 type: string
  *                 description: Text message
+ *               replyTo:
+ *                 type: string
+ *                 description: Optional ID of a message in this chat being replied to; responses include a `replyTo` preview (sender, snippet, messageType)
  *     responses:
  *       200:
- *         description: Message sent (status 1)
+ *         description: Message sent (status 1); status 0 when the replied message is missing or deleted
  */
 // Unified message endpoint for individual and group
 router.post("/:chatId/message", auth, subscriptionRequired, sendChatMessage);
@@ -154,6 +244,15 @@ router.post("/:chatId/message", auth, subscriptionRequired, sendChatMessage);
  *   post:
  *     tags: [Chat]
  *     summary: Upload a media message (image, video, or audio) to a chat
+ *     description: |
+ *       Audio is treated as a voice note: the response and socket payloads carry `audio` with `duration` (seconds),
+ *       `codec` and `waveform` (64 peak levels, 0-100). Audio that cannot be read, or is longer than
+ *       VOICE_NOTE_MAX_SECONDS (default 300), is rejected with 400. Requires ffprobe/ffmpeg on the server
+ *       (FFPROBE_PATH / FFMPEG_PATH to override).
+ *       Images and videos have EXIF/GPS metadata stripped and carry `media` (dimensions, resized variants,
+ *       video poster; see MediaInfo). Media that cannot be processed is rejected with 400.
+ *       Chat files are stored privately: `mediaUrl`, `content` and the media URLs in responses point at
+ *       the authenticated `GET /api/chat/media/{messageId}` route.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -176,6 +275,8 @@ router.post("/:chatId/message", auth, subscriptionRequired, sendChatMessage);
  *     responses:
  *       200:
  *         description: Media message sent (status 1)
+ *       400:
+ *         description: Unreadable or too long audio
  *       404:
  *         description: API logic issue - token missing or invalid
  */
@@ -185,7 +286,7 @@ router.post(
 	auth,
 	subscriptionRequired,
 	// Per-type limits via env: IMAGE_MAX_MB, VIDEO_MAX_MB, AUDIO_MAX_MB, PDF_MAX_MB
-	uploadMedia(["image", "video", "audio", "pdf"], 0, {}).single("file"),
+	uploadMedia(["image", "video", "audio", "pdf"]).single("file"),
 	uploadChatMedia,
 	uploadLimitErrorHandler
 );
@@ -221,6 +322,31 @@ router.post(
  *         schema:
  *           type: string
  *         description: Search query to filter messages by content
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Message ID cursor; returns the messages older than it ("load older"). Use `pagination.olderCursor`.
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Message ID cursor; returns the messages newer than it ("load newer"). Use `pagination.newerCursor`.
+ *       - in: query
+ *         name: around
+ *         schema:
+ *           type: string
+ *         description: Message ID; returns that message with the messages on both sides of it (e.g. to jump to a search hit)
+ *     description: |
+ *       Fetching marks the returned conversation as read for the caller (read receipts).
+ *       Own messages carry `status`: sent, delivered (every recipient received it) or read (every recipient read it).
+ *
+ *       `pinnedMessages` lists the messages pinned to the chat header, most recently pinned first.
+ *
+ *       Messages are newest first. Pass at most one of `before`, `after` or `around`; with a cursor `page` is ignored
+ *       and `pagination.currentPage` is null. `pagination.hasOlder` / `hasNewer` tell whether more messages exist in
+ *       either direction, and `olderCursor` / `newerCursor` are the ids to use for the next request (null at the ends).
+ *       The socket `getMessages` event accepts the same parameters.
  *     responses:
  *       200:
  *         description: Chat messages fetched with pagination
@@ -318,8 +444,9 @@ router.delete("/:chatId/messages", auth, subscriptionRequired, deleteChatMessage
 router.post(
 	"/group",
 	auth,
+	emailVerifiedRequired,
 	subscriptionRequired,
-	uploadMedia(["image"], 0, {}).single("image"),
+	uploadMedia(["image"]).single("image"),
 	createGroupViaJson,
 	uploadLimitErrorHandler
 );
@@ -368,6 +495,374 @@ router.post(
  */
 router.put("/:chatId/message/:messageId", auth, subscriptionRequired, editMessage);
 
+/**
+ * @swagger
+ * /api/chat/{chatId}/message/{messageId}/receipts:
+ *   get:
+ *     tags: [Chat]
+ *     summary: Delivery and read state of a group message per member
+ *     description: Lists every member the message was sent to (members who joined later are excluded) with status sent, delivered or read.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Message receipts fetched (status 0 for non-group chats or non-members)
+ *       404:
+ *         description: Message not found
+ */
+router.get("/:chatId/message/:messageId/receipts", auth, subscriptionRequired, getMessageReceipts);
+
+/**
+ * @swagger
+ * /api/chat/{chatId}/message/{messageId}/reactions:
+ *   post:
+ *     tags: [Chat]
+ *     summary: Add or remove your emoji reaction on a message
+ *     description: |
+ *       Each user has at most one reaction per message; adding another emoji replaces it.
+ *       Participants in the chat room receive a `message:reaction` socket event.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chat ID (individual or group)
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               emoji:
+ *                 type: string
+ *                 description: A single emoji (required for add)
+ *                 example: "👍"
+ *               action:
+ *                 type: string
+ *                 enum: [add, remove]
+ *                 default: add
+ *     responses:
+ *       200:
+ *         description: Reaction updated; returns per-emoji counts with reactedByMe
+ *       400:
+ *         description: Invalid emoji or action, or the message was deleted
+ *       404:
+ *         description: Message not found
+ */
+router.post("/:chatId/message/:messageId/reactions", auth, subscriptionRequired, reactToChatMessage);
+
+/**
+ * @swagger
+ * /api/chat/{chatId}/message/{messageId}/pin:
+ *   post:
+ *     tags: [Chat]
+ *     summary: Pin a message to the chat header
+ *     description: |
+ *       Either participant can pin in an individual chat; in groups only the group admin and super admins.
+ *       A chat holds at most 3 pinned messages. `GET /api/chat/{chatId}` returns them as `pinnedMessages`,
+ *       most recently pinned first. Participants in the chat room receive a `message:pinned` socket event
+ *       with `action` and the current `pinnedMessageIds`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chat ID (individual or group)
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Message pinned; returns the pinned message ids
+ *       400:
+ *         description: Already pinned, pin limit reached, or the message was deleted
+ *       403:
+ *         description: Not a group admin
+ *       404:
+ *         description: Message not found
+ *   delete:
+ *     tags: [Chat]
+ *     summary: Unpin a message
+ *     description: Same permissions as pinning. Emits `message:pinned` with `action` unpin.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Message unpinned; returns the remaining pinned message ids
+ *       403:
+ *         description: Not a group admin
+ *       404:
+ *         description: Message is not pinned
+ */
+router.post("/:chatId/message/:messageId/pin", auth, subscriptionRequired, pinChatMessage);
+router.delete("/:chatId/message/:messageId/pin", auth, subscriptionRequired, pinChatMessage);
+
+/**
+ * @swagger
+ * /api/chat/{chatId}/message/{messageId}/forward:
+ *   post:
+ *     tags: [Chat]
+ *     summary: Forward a message to other chats
+ *     description: |
+ *       Copies a text or media message into each target chat the caller belongs to, reusing the stored `mediaUrl`.
+ *       Copies are sent by the caller and carry `isForwarded: true`. Each target gets the usual `newMessage`
+ *       and `chatList:update` socket events. Targets the caller cannot post in are reported in `failed`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chat the message is forwarded from (individual or group)
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [chatIds]
+ *             properties:
+ *               chatIds:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                 description: Target chat IDs (individual chats or groups)
+ *     responses:
+ *       200:
+ *         description: "`forwarded` lists the new messages per chat, `failed` the targets that were refused (status 0 when none succeeded)"
+ *       400:
+ *         description: Missing or too many targets, or the message was deleted or is a system message
+ *       404:
+ *         description: Message not found
+ */
+router.post("/:chatId/message/:messageId/forward", auth, subscriptionRequired, forwardChatMessage);
+
+/**
+ * @swagger
+ * /api/chat/{chatId}/disappearing:
+ *   put:
+ *     tags: [Chat]
+ *     summary: Turn disappearing messages on or off
+ *     description: |
+ *       Messages sent after the change expire after the chosen time; earlier messages keep their expiry.
+ *       Either participant can change it in an individual chat; in groups only the group admin and super admins.
+ *       The change is announced with a `system` message (`newMessage`) and a `chat:disappearingTimer` socket event.
+ *       Expired messages are never returned and are removed with their uploads by a background sweeper,
+ *       which emits `message:expired` with the removed `messageIds`. `GET /api/chat/{chatId}` returns the current `disappearingTimer`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chat ID (individual or group)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [timer]
+ *             properties:
+ *               timer:
+ *                 type: string
+ *                 enum: [off, 24h, 7d, 90d]
+ *     responses:
+ *       200:
+ *         description: Timer updated (with the system message) or unchanged
+ *       400:
+ *         description: Invalid timer
+ *       403:
+ *         description: Not a group admin
+ */
+router.put("/:chatId/disappearing", auth, subscriptionRequired, updateDisappearingTimer);
+
+/**
+ * @swagger
+ * /api/chat/{chatId}/scheduled:
+ *   post:
+ *     tags: [Chat]
+ *     summary: Schedule a text message to be sent later
+ *     description: |
+ *       At `scheduledFor` the message is sent like `POST /api/chat/{chatId}/message`, after checking again that the
+ *       author still has an active subscription, still belongs to the chat and that no participant profile was deleted.
+ *       If a check fails the job becomes `failed` with a `failureReason`, and the author gets a notification and a
+ *       `scheduledMessage:failed` socket event. On success the author gets `scheduledMessage:sent` with the
+ *       `sentMessageId` (and the `message`, null when delivery resumed after a worker crash).
+ *       On Vercel delivery only happens when `GET /api/cron/scheduled-messages` is called.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chat ID (individual or group)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [message, scheduledFor]
+ *             properties:
+ *               message:
+ *                 type: string
+ *               scheduledFor:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Future time, at most one year ahead
+ *               replyTo:
+ *                 type: string
+ *                 description: ID of a message in this chat to reply to
+ *     responses:
+ *       200:
+ *         description: Message scheduled
+ *       400:
+ *         description: Missing message or invalid scheduledFor
+ *   get:
+ *     tags: [Chat]
+ *     summary: List my scheduled messages in a chat
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sending, sent, failed, cancelled]
+ *           default: pending
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Scheduled messages, soonest first, with pagination
+ */
+router.post("/:chatId/scheduled", auth, subscriptionRequired, scheduleChatMessage);
+router.get("/:chatId/scheduled", auth, subscriptionRequired, getScheduledMessages);
+
+/**
+ * @swagger
+ * /api/chat/{chatId}/scheduled/{scheduledId}:
+ *   put:
+ *     tags: [Chat]
+ *     summary: Edit a pending scheduled message
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: scheduledId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *               scheduledFor:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Scheduled message updated
+ *       404:
+ *         description: No pending scheduled message with this ID
+ *   delete:
+ *     tags: [Chat]
+ *     summary: Cancel a pending scheduled message
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: scheduledId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Scheduled message cancelled
+ *       404:
+ *         description: No pending scheduled message with this ID
+ */
+router.put("/:chatId/scheduled/:scheduledId", auth, subscriptionRequired, updateScheduledMessage);
+router.delete("/:chatId/scheduled/:scheduledId", auth, subscriptionRequired, cancelScheduledMessage);
+
 /**
  * @swagger
  * /api/chat/group:
@@ -476,7 +971,7 @@ router.put(
   "/group/profile",
   auth,
   subscriptionRequired,
-  uploadMedia(["image"], 0, {}).single("image"),
+  uploadMedia(["image"]).single("image"),
   updateGroupProfileByCreator,
   uploadLimitErrorHandler
 );
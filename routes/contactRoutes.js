@@ -6,6 +6,7 @@ import {
   getMyContacts,
 } from "../controller/contactController.js";
 import auth from "../middlewares/auth.js";
+import { requirePermission } from "../middlewares/role.js";
 
 const router = express.Router();
 
@@ -120,7 +121,7 @@ router.get("/me", auth, getMyContacts);
  *       403:
  *         description: Forbidden — Only admins can access this route
  */
-router.get("/all", auth, getAllContacts);
+router.get("/all", auth, requirePermission("contacts:read"), getAllContacts);
 
 
 /**
@@ -148,6 +149,6 @@ router.get("/all", auth, getAllContacts);
  *       403:
  *         description: Forbidden — Only admins can access this route
  */
-router.get("/:id", auth, getContactById);
+router.get("/:id", auth, requirePermission("contacts:read"), getContactById);
 
 export default router;
@@ -0,0 +1,71 @@
+import express from "express";
+import { runExpiredMessageSweep, runScheduledMessageDelivery } from "../controller/cronController.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Cron
+ *   description: Background jobs triggered from outside, for deployments without a long-running process
+ */
+
+/**
+ * @swagger
+ * /api/cron/scheduled-messages:
+ *   get:
+ *     summary: Deliver due scheduled messages
+ *     description: |
+ *       On a long-running server scheduled messages are delivered every 30 seconds by an interval.
+ *       That interval does not run on Vercel, so scheduled messages stay pending there until this
+ *       route is called: add a Vercel Cron job (or any external scheduler) for it, running every
+ *       minute or as often as the plan allows, and set CRON_SECRET. Messages go out on the first
+ *       call after their `scheduledFor`. Without CRON_SECRET the route always answers 401.
+ *     tags: [Cron]
+ *     parameters:
+ *       - in: header
+ *         name: Authorization
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bearer <CRON_SECRET>
+ *     responses:
+ *       200:
+ *         description: Pass finished; `data` holds the `delivered` and `failed` counts
+ *       401:
+ *         description: Missing or wrong CRON_SECRET
+ *       500:
+ *         description: The delivery pass failed
+ */
+router.get("/scheduled-messages", runScheduledMessageDelivery);
+
+/**
+ * @swagger
+ * /api/cron/expired-messages:
+ *   get:
+ *     summary: Remove expired disappearing messages
+ *     description: |
+ *       On a long-running server expired messages are removed every minute by an interval, which
+ *       does not run on Vercel. Reads already hide expired messages, but their documents and
+ *       uploads are only deleted (and `message:expired` only emitted) by this sweep, so schedule
+ *       this route like /api/cron/scheduled-messages. A call made while a sweep is still running
+ *       returns `skipped: true`.
+ *     tags: [Cron]
+ *     parameters:
+ *       - in: header
+ *         name: Authorization
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bearer <CRON_SECRET>
+ *     responses:
+ *       200:
+ *         description: Sweep finished or skipped; `data` holds the `removed` count
+ *       401:
+ *         description: Missing or wrong CRON_SECRET
+ *       500:
+ *         description: The sweep failed
+ */
+router.get("/expired-messages", runExpiredMessageSweep);
+
+export default router;
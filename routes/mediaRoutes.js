@@ -0,0 +1,50 @@
+import express from "express";
+import { getSignedPrivateMedia } from "../controller/mediaController.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Media
+ *   description: Downloads of privately stored uploads
+ */
+
+/**
+ * @swagger
+ * /api/media/private/{key}:
+ *   get:
+ *     summary: Download a private file through a signed URL
+ *     description: |
+ *       With STORAGE_DRIVER=local, private files (chat media) are served through signed, expiring
+ *       links to this route, handed out by `GET /api/chat/media/{messageId}` after its access check.
+ *       With STORAGE_DRIVER=s3 presigned S3 URLs are used instead and this route is not involved.
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: expires
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Unix time the link expires at
+ *       - in: query
+ *         name: signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The file
+ *       403:
+ *         description: Invalid or expired link
+ *       404:
+ *         description: File not found
+ */
+router.get("/private/:key", getSignedPrivateMedia);
+
+export default router;
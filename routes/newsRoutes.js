@@ -1,6 +1,6 @@
 import express from "express";
 import auth from "../middlewares/auth.js";
-import { adminOnly } from "../middlewares/role.js";
+import { requirePermission } from "../middlewares/role.js";
 import { uploadMedia } from "../middlewares/uploadMedia.js";
 import {
   createNews,
@@ -169,7 +169,7 @@ router.get("/:id", getNewsById);
  *       404:
  *         description: API logic issue - token missing or invalid
  */
-router.post("/", auth, adminOnly, createNews);
+router.post("/", auth, requirePermission("news:write"), createNews);
 
 
 /**
@@ -209,7 +209,7 @@ router.post("/", auth, adminOnly, createNews);
  *       404:
  *         description: API logic issue - token missing or invalid / News not found
  */
-router.put("/:id", auth, adminOnly, conditionalNewsMediaUpload, updateNews);
+router.put("/:id", auth, requirePermission("news:write"), conditionalNewsMediaUpload, updateNews);
 
 /**
  * @swagger
@@ -241,7 +241,7 @@ router.put("/:id", auth, adminOnly, conditionalNewsMediaUpload, updateNews);
  *       500:
  *         description: Internal server error
  */
-router.delete("/bulk-delete", auth, adminOnly, bulkDeleteNews);
+router.delete("/bulk-delete", auth, requirePermission("news:delete"), bulkDeleteNews);
 
 
 /**
@@ -265,7 +265,7 @@ router.delete("/bulk-delete", auth, adminOnly, bulkDeleteNews);
  *       404:
  *         description: API logic issue - token missing or invalid / News not found
  */
-router.delete("/:id", auth, adminOnly, deleteNews);
+router.delete("/:id", auth, requirePermission("news:delete"), deleteNews);
 
 
 
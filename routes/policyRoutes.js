@@ -1,5 +1,6 @@
 import express from "express";
 import auth from "../middlewares/auth.js";
+import { requirePermission } from "../middlewares/role.js";
 import {
   createPolicy,
   updatePolicy,
@@ -41,7 +42,7 @@ const router = express.Router();
  *       403:
  *         description: Admin access required
  */
-router.post("/", auth, createPolicy);
+router.post("/", auth, requirePermission("policies:write"), createPolicy);
 
 /**
  * @swagger
@@ -76,7 +77,7 @@ router.post("/", auth, createPolicy);
  *       404:
  *         description: Policy not found
  */
-router.put("/:id", auth, updatePolicy);
+router.put("/:id", auth, requirePermission("policies:write"), updatePolicy);
 
 /**
  * @swagger
@@ -134,6 +135,6 @@ router.get("/:id", getPolicyById);
  *       404:
  *         description: Policy not found
  */
-router.delete("/:id", auth, deletePolicy);
+router.delete("/:id", auth, requirePermission("policies:write"), deletePolicy);
 
 export default router;
@@ -1,6 +1,7 @@
 import express from "express";
 import auth from "../middlewares/auth.js";
-import { adminOnly, ownerOrAdmin } from "../middlewares/role.js";
+import emailVerifiedRequired from "../middlewares/emailVerified.js";
+import { requirePermission, ownerOrAdmin } from "../middlewares/role.js";
 import { uploadMedia } from "../middlewares/uploadMedia.js";
 import {
   createPost,
@@ -138,7 +139,7 @@ router.get("/:id", getPostById);
  *       400:
  *         description: Validation error or missing required fields
  */
-router.post("/", auth, createPost);
+router.post("/", auth, emailVerifiedRequired, createPost);
 
 
 /**
@@ -146,6 +147,7 @@ router.post("/", auth, createPost);
  * /api/post/{id}:
  *   put:
  *     summary: Update a post
+ *     description: Allowed for the post author and for staff holding `posts:delete` (e.g. content moderators)
  *     tags: [Posts]
  *     security:
  *       - bearerAuth: []
@@ -180,6 +182,8 @@ router.post("/", auth, createPost);
  *     responses:
  *       200:
  *         description: Post updated successfully
+ *       403:
+ *         description: Staff account acting on another member's post without two-factor authentication while it is enforced
  *       404:
  *         description: API logic issue - token missing or invalid / Post not found
  */
@@ -215,13 +219,14 @@ router.put("/:id", auth, ownerOrAdmin, conditionalPostMediaUpload, updatePost);
  *       500:
  *         description: Internal server error
  */
-router.delete("/bulk-delete", auth, adminOnly, bulkDeletePosts);
+router.delete("/bulk-delete", auth, requirePermission("posts:delete"), bulkDeletePosts);
 
 /**
  * @swagger
  * /api/post/{id}:
  *   delete:
  *     summary: Delete a post
+ *     description: Allowed for the post author and for staff holding `posts:delete` (e.g. content moderators)
  *     tags: [Posts]
  *     security:
  *       - bearerAuth: []
@@ -236,6 +241,8 @@ router.delete("/bulk-delete", auth, adminOnly, bulkDeletePosts);
  *     responses:
  *       200:
  *         description: Post deleted successfully
+ *       403:
+ *         description: Staff account acting on another member's post without two-factor authentication while it is enforced
  *       404:
  *         description: API logic issue - token missing or invalid / Post not found
  */
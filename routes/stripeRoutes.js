@@ -1,6 +1,7 @@
 // routes/stripeRoutes.js
 import express from "express";
 import auth from "../middlewares/auth.js";
+import emailVerifiedRequired from "../middlewares/emailVerified.js";
 import {
   getPlans,
   stripeWebhook,
@@ -12,7 +13,7 @@ import {
   verifyCheckoutSession,
   getUserTransactionsAdmin,
 } from "../controller/stripeController.js";
-import { adminOnly } from "../middlewares/role.js";
+import { requirePermission } from "../middlewares/role.js";
 
 const router = express.Router();
 
@@ -71,7 +72,7 @@ router.get("/plans", getPlans);
  *       500:
  *         description: Internal server error
  */
-router.post("/select-plan", auth, selectPlan);
+router.post("/select-plan", auth, emailVerifiedRequired, selectPlan);
 
 /**
  * @swagger
@@ -200,7 +201,7 @@ router.get("/list", auth, getUserSubscriptions);
  *       500:
  *         description: Internal server error
  */
-router.get("/admin/list", auth, adminOnly, getAllSubscriptionsAdmin);
+router.get("/admin/list", auth, requirePermission("subscriptions:read"), getAllSubscriptionsAdmin);
 
 /**
  * @swagger
@@ -227,7 +228,7 @@ router.get("/admin/list", auth, adminOnly, getAllSubscriptionsAdmin);
  *       500:
  *         description: Internal server error
  */
-router.get("/admin/:subscriptionId", auth, adminOnly, getSubscriptionById);
+router.get("/admin/:subscriptionId", auth, requirePermission("subscriptions:read"), getSubscriptionById);
 
 /**
  * @swagger
@@ -285,6 +286,6 @@ router.delete("/cancel", auth, cancelSubscription);
  *       404:
  *         description: User not found
  */
-router.get("/admin/user/:userId/transactions", auth, adminOnly, getUserTransactionsAdmin);
+router.get("/admin/user/:userId/transactions", auth, requirePermission("subscriptions:read"), getUserTransactionsAdmin);
 
 export default router;
\ No newline at end of file
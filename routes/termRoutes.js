@@ -1,5 +1,6 @@
 import express from "express";
 import auth from "../middlewares/auth.js";
+import { requirePermission } from "../middlewares/role.js";
 import {
   createOrUpdateTerms,
   updateTermsById,
@@ -42,7 +43,7 @@ const router = express.Router();
  *       403:
  *         description: Access denied (admin only)
  */
-router.post("/", auth, createOrUpdateTerms);
+router.post("/", auth, requirePermission("terms:write"), createOrUpdateTerms);
 
 /**
  * @swagger
@@ -78,7 +79,7 @@ router.post("/", auth, createOrUpdateTerms);
  *       404:
  *         description: Not found
  */
-router.put("/:id", auth, updateTermsById);
+router.put("/:id", auth, requirePermission("terms:write"), updateTermsById);
 
 /**
  * @swagger
@@ -104,7 +105,7 @@ router.put("/:id", auth, updateTermsById);
  *       404:
  *         description: Not found
  */
-router.delete("/:id", auth, deleteTermsById);
+router.delete("/:id", auth, requirePermission("terms:write"), deleteTermsById);
 
 /**
  * @swagger
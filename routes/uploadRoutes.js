@@ -22,10 +22,29 @@ const router = express.Router();
  *               file:
  *                 type: string
  *                 format: binary
- *                 description: File to upload (image, video, audio, or PDF)
+ *                 description: |
+ *                   File to upload (image, video, audio, or PDF). The type is read from the file's
+ *                   content and must agree with its extension: .jpg/.jpeg/.png/.gif/.webp,
+ *                   .mp4/.mov/.avi/.mkv/.webm, .mp3/.wav/.aac/.m4a/.ogg, .pdf. Size limits per type
+ *                   come from IMAGE_MAX_MB, VIDEO_MAX_MB, AUDIO_MAX_MB and PDF_MAX_MB.
  *     responses:
  *       200:
- *         description: File uploaded successfully (status 1) or No file uploaded (status 0)
+ *         description: |
+ *           File uploaded successfully (status 1) or No file uploaded (status 0).
+ *           Images and videos have EXIF/GPS metadata stripped; `data.media` holds their dimensions,
+ *           resized variants and (videos) poster frame — see MediaInfo. Posts and news created with
+ *           the returned `fileUrl` carry the same `media`. GIFs and animated WebPs keep every frame
+ *           and get dimensions only, without variants.
+ *       400:
+ *         description: Image or video could not be processed (status 0)
+ *       413:
+ *         description: File larger than the limit for its type; `limits` lists every limit in MB
+ *       415:
+ *         description: File content is not a supported type or does not match the extension
+ *       422:
+ *         description: File rejected by the malware scan (MALWARE_SCANNER=clamav)
+ *       503:
+ *         description: The malware scanner could not be reached; the upload is refused
  */
 router.post("/", uploadMedia(["image", "video", "audio", "pdf"]).single("file"), uploadLimitErrorHandler, uploadFile);
 
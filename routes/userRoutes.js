@@ -9,13 +9,31 @@ import {
   resetPassword,
   updateStatus,
   googleAuth,
+  appleAuth,
+  providerAuth,
+  getLinkedProviders,
+  linkProvider,
+  unlinkProvider,
   logoutUser,
   refreshToken,
   bulkDeleteUsers,
   deleteMyAccount,
+  verifyEmail,
+  resendVerificationEmail,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
 } from "../controller/userController.js";
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin,
+} from "../controller/twoFactorController.js";
 import { uploadMedia } from "../middlewares/uploadMedia.js";
-import { adminOnly } from "../middlewares/role.js";
+import { requirePermission } from "../middlewares/role.js";
 
 
 const router = express.Router();
@@ -68,9 +86,9 @@ const router = express.Router();
  *                 example: United States
  *     responses:
  *       200:
- *         description: User registered successfully (status 1) or Registration failed - validation error (status 0)
+ *         description: User registered successfully (status 1) - a 6-digit verification code is emailed - or Registration failed - validation error (status 0)
  */
-router.post("/register", uploadMedia(["image"], 0, {}).single("profileimg"), registerUser);
+router.post("/register", uploadMedia(["image"]).single("profileimg"), registerUser);
 
 /**
  * @swagger
@@ -100,9 +118,19 @@ router.post("/register", uploadMedia(["image"], 0, {}).single("profileimg"), reg
  *                 type: string
  *                 description: Optional Firebase Cloud Messaging token for push notifications
  *                 example: d9Hk...YourDeviceFcmToken
+ *               deviceName:
+ *                 type: string
+ *                 description: Optional device name shown in the session list
+ *                 example: John's iPad
+ *               platform:
+ *                 type: string
+ *                 description: Optional device platform
+ *                 example: ios
  *     responses:
  *       200:
- *         description: Login successful (status 1) or Invalid credentials/User not found (status 0)
+ *         description: Login successful (status 1) with accessToken, refreshToken and sessionId - or, for two-factor accounts, twoFactorRequired with a challengeToken for /api/users/2fa/verify - or "Invalid email or password" (status 0), the same message for unknown emails and wrong passwords
+ *       429:
+ *         description: Too many failed attempts for this email or IP - locked out, or retried before the progressive wait after the last failure (doubling per failure) is over. The wait is in the Retry-After header and data.retryAfter, in seconds (status 0).
  */
 router.post("/login", loginUser);
 
@@ -160,13 +188,14 @@ router.get("/me", auth, getProfile);
  *       404:
  *         description: API logic issue - token missing or invalid
  */
-router.put("/update", auth, uploadMedia(["image"], 0, {}).single("profileimg"), updateProfile);
+router.put("/update", auth, uploadMedia(["image"]).single("profileimg"), updateProfile);
 
 /**
  * @swagger
  * /api/users/forgot-password:
  *   post:
  *     summary: Request password reset
+ *     description: Emails a single-use reset code (valid for PASSWORD_RESET_TTL_MINUTES, default 15). The response is the same whether or not the email is registered.
  *     tags: [Users]
  *     requestBody:
  *       required: true
@@ -183,9 +212,9 @@ router.put("/update", auth, uploadMedia(["image"], 0, {}).single("profileimg"),
  *                 example: john.doe@example.com
  *     responses:
  *       200:
- *         description: Password reset email sent
- *       404:
- *         description: User not found
+ *         description: Reset code sent if the account exists (status 1) or Email missing (status 0)
+ *       500:
+ *         description: Reset code could not be stored
  */
 router.post("/forgot-password", forgotPassword);
 
@@ -193,7 +222,8 @@ router.post("/forgot-password", forgotPassword);
  * @swagger
  * /api/users/reset-password:
  *   post:
- *     summary: Reset password using token
+ *     summary: Reset password using the emailed reset code
+ *     description: Consumes the reset code (it cannot be reused) and revokes every refresh token of the user.
  *     tags: [Users]
  *     requestBody:
  *       required: true
@@ -207,7 +237,8 @@ router.post("/forgot-password", forgotPassword);
  *             properties:
  *               token:
  *                 type: string
- *                 example: reset-token-here
+ *                 description: Reset code received by email
+ *                 example: 9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08
  *               newPassword:
  *                 type: string
  *                 format: password
@@ -223,7 +254,7 @@ router.post("/reset-password", resetPassword);
  * /api/users/google-login:
  *   post:
  *     summary: Google Authentication (Login or Register)
- *     description: Authenticate user using Firebase ID token from Google Sign-In. Automatically registers new users or logs in existing users. Saves Google profile picture to database. Stores Firebase token in database (nullable field).
+ *     description: Authenticate user using Firebase ID token from Google Sign-In. Signs in the user linked to this Google account; otherwise links it to the account with the same verified email, or registers a new user. Saves Google profile picture to database.
  *     tags: [Users]
  *     requestBody:
  *       required: true
@@ -246,6 +277,144 @@ router.post("/reset-password", resetPassword);
  */
 router.post("/google-login", googleAuth);
 
+/**
+ * @swagger
+ * /api/users/apple-login:
+ *   post:
+ *     summary: Sign in with Apple (Login or Register)
+ *     description: Authenticate with the identity token from Sign in with Apple. Apple shares the user's name only on the first authorization, so send firstname/lastname when the SDK provides them. Accounts are matched by linked Apple ID first, then by verified email (private relay addresses included).
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - idToken
+ *             properties:
+ *               idToken:
+ *                 type: string
+ *                 description: Apple identity token (JWT)
+ *               nonce:
+ *                 type: string
+ *                 description: Raw nonce whose sha256 was passed to Apple (optional)
+ *               firstname:
+ *                 type: string
+ *                 example: John
+ *               lastname:
+ *                 type: string
+ *                 example: Doe
+ *     responses:
+ *       200:
+ *         description: Apple login successful (status 1) with accessToken, refreshToken and sessionId - or twoFactorRequired with a challengeToken - or Authentication failed (status 0)
+ *       401:
+ *         description: Invalid or expired Apple token
+ */
+router.post("/apple-login", appleAuth);
+
+/**
+ * @swagger
+ * /api/users/auth/{provider}:
+ *   post:
+ *     summary: Sign in with any registered provider
+ *     description: Same flow as google-login / apple-login for the provider named in the path.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: apple
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - idToken
+ *             properties:
+ *               idToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful (status 1) or Authentication failed (status 0)
+ *       404:
+ *         description: Unknown provider
+ */
+router.post("/auth/:provider", providerAuth);
+
+/**
+ * @swagger
+ * /api/users/providers:
+ *   get:
+ *     summary: List sign-in providers linked to the current user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked providers, available providers and whether a password is set
+ *       404:
+ *         description: API logic issue - token missing or invalid
+ */
+router.get("/providers", auth, getLinkedProviders);
+
+/**
+ * @swagger
+ * /api/users/providers/{provider}:
+ *   post:
+ *     summary: Link a sign-in provider to the current user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, apple]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - idToken
+ *             properties:
+ *               idToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Provider linked (status 1) or Already linked / linked to another user / invalid token (status 0)
+ *       404:
+ *         description: Unknown provider, or token missing or invalid
+ *   delete:
+ *     summary: Unlink a sign-in provider from the current user
+ *     description: Refused when it is the account's only way to sign in (no password and no other provider).
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, apple]
+ *     responses:
+ *       200:
+ *         description: Provider unlinked (status 1) or Not linked / last sign-in method (status 0)
+ *       404:
+ *         description: API logic issue - token missing or invalid
+ */
+router.post("/providers/:provider", auth, linkProvider);
+router.delete("/providers/:provider", auth, unlinkProvider);
+
 /**
  * @swagger
  * /api/users/status:
@@ -280,7 +449,7 @@ router.put("/status", auth, updateStatus);
  * /api/users/refresh:
  *   post:
  *     summary: Refresh access token using refresh token
- *     description: Generate a new access token using a valid refresh token. The refresh token must be valid and stored in the system.
+ *     description: Rotates the refresh token - returns a new access token and a new refresh token for the same device session, and the presented refresh token stops working. Presenting the same refresh token again within REFRESH_REUSE_GRACE_SECONDS (default 30) returns the same new pair, so parallel requests do not log the device out; presenting it after that counts as token reuse, revokes every session of the user and records an audit event.
  *     tags: [Users]
  *     requestBody:
  *       required: true
@@ -297,7 +466,7 @@ router.put("/status", auth, updateStatus);
  *                 example: eyJhbGciOiJSUzI1NiIsImtpZCI6IjEyMzQ1NiIsInR5cCI6IkpXVCJ9...
  *     responses:
  *       200:
- *         description: New access token generated successfully (status 1)
+ *         description: New access and refresh tokens generated successfully (status 1)
  *       404:
  *         description: Invalid or expired refresh token
  */
@@ -307,8 +476,8 @@ router.post("/refresh", refreshToken);
  * @swagger
  * /api/users/logout:
  *   post:
- *     summary: Logout user and invalidate refresh token
- *     description: This API logs out the user by removing the refresh token from the server or database.
+ *     summary: Logout the current device session
+ *     description: Revokes the session of the access token used for this call. Sessions on other devices stay active.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -320,6 +489,262 @@ router.post("/refresh", refreshToken);
  */
 router.post("/logout", auth, logoutUser);
 
+/**
+ * @swagger
+ * /api/users/verify-email:
+ *   post:
+ *     summary: Verify email address with the emailed code
+ *     description: Chat requests, group creation, post creation and checkout are blocked until the email is verified. Google sign-ins are verified automatically.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "482913"
+ *     responses:
+ *       200:
+ *         description: Email verified (status 1) or Invalid/expired code (status 0)
+ *       404:
+ *         description: API logic issue - token missing or invalid
+ */
+router.post("/verify-email", auth, verifyEmail);
+
+/**
+ * @swagger
+ * /api/users/resend-verification:
+ *   post:
+ *     summary: Resend the email verification code
+ *     description: Rate limited - one code per minute and at most 5 per hour.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification code sent (status 1) or Email already verified (status 0)
+ *       429:
+ *         description: Too many requests - retryAfter seconds in data
+ */
+router.post("/resend-verification", auth, resendVerificationEmail);
+
+/**
+ * @swagger
+ * /api/users/2fa:
+ *   get:
+ *     summary: Two-factor authentication status of the current user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: enabled, enabledAt, recoveryCodesRemaining and required (enforced for admins)
+ *       404:
+ *         description: API logic issue - token missing or invalid
+ */
+router.get("/2fa", auth, getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/users/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a new TOTP secret and an otpauth URI to render as a QR code. Nothing changes until /2fa/enable confirms a code.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: secret and otpauthUri (status 1) or Already enabled (status 0)
+ *       404:
+ *         description: API logic issue - token missing or invalid
+ */
+router.post("/2fa/setup", auth, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/users/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment with a code from the authenticator app
+ *     description: Turns two-factor authentication on and returns 10 single-use recovery codes. They are shown only once.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Enabled with recoveryCodes (status 1) or Invalid code / setup not started (status 0)
+ *       404:
+ *         description: API logic issue - token missing or invalid
+ */
+router.post("/2fa/enable", auth, enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/users/2fa/disable:
+ *   post:
+ *     summary: Turn two-factor authentication off
+ *     description: Needs a current code or an unused recovery code. Not allowed for admins while two-factor authentication is enforced.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "3f9a1-07c2e"
+ *     responses:
+ *       200:
+ *         description: Disabled (status 1) or Invalid code / not allowed (status 0)
+ *       404:
+ *         description: API logic issue - token missing or invalid
+ */
+router.post("/2fa/disable", auth, disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/users/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     description: Needs a current code. All previous recovery codes stop working.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: New recoveryCodes (status 1) or Invalid code (status 0)
+ *       404:
+ *         description: API logic issue - token missing or invalid
+ */
+router.post("/2fa/recovery-codes", auth, regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /api/users/2fa/verify:
+ *   post:
+ *     summary: Second login step for two-factor accounts
+ *     description: When login or Google login answers with twoFactorRequired, send its challengeToken here with a code from the authenticator app (or a recovery code) to receive the session tokens. The challenge expires after 5 minutes and 5 wrong codes.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "3f9a1-07c2e"
+ *     responses:
+ *       200:
+ *         description: Login successful with accessToken, refreshToken and sessionId (status 1) or Invalid code (status 0)
+ *       401:
+ *         description: Challenge expired, already used or locked after too many wrong codes
+ */
+router.post("/2fa/verify", verifyTwoFactorLogin);
+
+/**
+ * @swagger
+ * /api/users/sessions:
+ *   get:
+ *     summary: List active device sessions of the current user
+ *     description: Each session has device name, platform, IP and last-seen time. The session of the calling token is flagged with current true.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved (status 1)
+ *       404:
+ *         description: API logic issue - token missing or invalid
+ */
+router.get("/sessions", auth, getSessions);
+
+/**
+ * @swagger
+ * /api/users/sessions/others:
+ *   delete:
+ *     summary: Log out everywhere else
+ *     description: Revokes every session of the current user except the one making this call.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked (status 1) or Current session unknown (status 0)
+ *       404:
+ *         description: API logic issue - token missing or invalid
+ */
+router.delete("/sessions/others", auth, deleteOtherSessions);
+
+/**
+ * @swagger
+ * /api/users/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one device session
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID from the session list
+ *     responses:
+ *       200:
+ *         description: Session revoked (status 1) or Session not found (status 0)
+ *       404:
+ *         description: API logic issue - token missing or invalid
+ */
+router.delete("/sessions/:id", auth, deleteSession);
+
 /**
  * @swagger
  * /api/users/bulk-delete:
@@ -349,8 +774,10 @@ router.post("/logout", auth, logoutUser);
  *         description: Users deleted successfully
  *       400:
  *         description: Invalid input
+ *       403:
+ *         description: Some users are staff accounts and the caller lacks roles:manage
  */
-router.delete("/bulk-delete", auth, adminOnly, bulkDeleteUsers); 
+router.delete("/bulk-delete", auth, requirePermission("users:delete"), bulkDeleteUsers); 
 
 /**
  * @swagger
@@ -0,0 +1,99 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import ChatConversation from "../models/ChatConversation.js";
+import ChatRequest from "../models/ChatRequest.js";
+import Message from "../models/Message.js";
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+/**
+ * Copy legacy embedded messages into the Message collection.
+ * Message ids are kept, so replies, receipts and client caches keep working,
+ * and re-running the script skips what was already copied.
+ */
+const insertMessages = async (docs) => {
+  let inserted = 0;
+  for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+    const batch = docs.slice(i, i + BATCH_SIZE);
+    try {
+      const result = await Message.collection.insertMany(batch, { ordered: false });
+      inserted += result.insertedCount;
+    } catch (error) {
+      // 11000 = already migrated; anything else is a real failure
+      const writeErrors = error.writeErrors || [];
+      if (writeErrors.length === 0 || writeErrors.some((e) => e.code !== 11000)) throw error;
+      inserted += error.result?.insertedCount ?? batch.length - writeErrors.length;
+    }
+  }
+  return inserted;
+};
+
+const toMessageDoc = (chatId, { time, ...message }, deletedForMe = []) => ({
+  ...message,
+  // Group roots stored a formatted "HH:MM AM" string; Message.time is a Date
+  ...(time instanceof Date ? { time } : {}),
+  chatId,
+  replyTo: message.replyTo || null,
+  receipts: message.receipts || [],
+  reactions: message.reactions || [],
+  deletedForMe: deletedForMe
+    .filter((entry) => entry?.userId && String(entry.messageId) === String(message._id))
+    .map((entry) => ({ userId: entry.userId, deletedAt: entry.deletedAt || new Date() })),
+  createdAt: message.createdAt || new Date(),
+});
+
+const migrateConversations = async () => {
+  const cursor = ChatConversation.collection.find(
+    { $or: [{ "messages.0": { $exists: true } }, { "deletedForMe.0": { $exists: true } }] },
+    { projection: { chatRequestId: 1, messages: 1, deletedForMe: 1 } }
+  );
+
+  let conversations = 0;
+  let inserted = 0;
+  for await (const convo of cursor) {
+    const docs = (convo.messages || []).map((m) => toMessageDoc(convo.chatRequestId, m, convo.deletedForMe || []));
+    inserted += await insertMessages(docs);
+    await ChatConversation.collection.updateOne({ _id: convo._id }, { $unset: { messages: "", deletedForMe: "" } });
+    conversations += 1;
+  }
+  console.log(`✅ Conversations: ${conversations} migrated, ${inserted} messages inserted`);
+};
+
+// Group roots stored messages on the ChatRequest itself before ChatConversation existed
+const migrateGroupRoots = async () => {
+  const cursor = ChatRequest.collection.find(
+    { "messages.0": { $exists: true } },
+    { projection: { messages: 1 } }
+  );
+
+  let groups = 0;
+  let inserted = 0;
+  for await (const group of cursor) {
+    const docs = group.messages.map((m) => toMessageDoc(group._id, m));
+    inserted += await insertMessages(docs);
+    await ChatRequest.collection.updateOne({ _id: group._id }, { $unset: { messages: "" } });
+    groups += 1;
+  }
+  console.log(`✅ Group roots: ${groups} migrated, ${inserted} messages inserted`);
+};
+
+const run = async () => {
+  await connectDB();
+  console.log("🚚 Migrating embedded chat messages to the messages collection...");
+
+  await Message.syncIndexes();
+  await migrateConversations();
+  await migrateGroupRoots();
+
+  console.log("🎉 Message migration complete");
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Message migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,50 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import User from "../models/User.js";
+
+dotenv.config();
+
+const DRY_RUN = process.argv.includes("--dry-run");
+// --before=<date>: grandfather every unverified account created before that date
+const BEFORE_ARG = process.argv.find((arg) => arg.startsWith("--before="));
+
+/**
+ * Accounts created before email verification existed have no emailVerified field and would be
+ * locked out of chat, posting and checkout by middlewares/emailVerified.js. Mark them verified.
+ * With --before, unverified accounts are selected by creation date instead, which also covers
+ * accounts that were saved (and given emailVerified: false) since the cut-over.
+ */
+const buildFilter = () => {
+  if (!BEFORE_ARG) return { emailVerified: { $exists: false } };
+
+  const before = new Date(BEFORE_ARG.slice("--before=".length));
+  if (Number.isNaN(before.getTime())) throw new Error(`Invalid --before date: ${BEFORE_ARG}`);
+  return { emailVerified: { $ne: true }, createdAt: { $lt: before } };
+};
+
+const run = async () => {
+  const filter = buildFilter();
+  await connectDB();
+  console.log(`🚚 Marking existing accounts as email-verified${DRY_RUN ? " (dry run)" : ""}...`);
+
+  const matching = await User.collection.countDocuments(filter);
+  if (DRY_RUN) {
+    console.log(`• ${matching} accounts would be marked verified`);
+    return;
+  }
+
+  // Timestamps are left alone; emailVerifiedAt stays null as the address was never confirmed
+  const result = await User.collection.updateMany(filter, {
+    $set: { emailVerified: true, emailVerifiedAt: null },
+  });
+  console.log(`✅ ${result.modifiedCount} accounts marked verified`);
+  console.log("🎉 Email verification backfill complete");
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Email verification backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,159 @@
+import fs from "fs";
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import { getLocalStorageDriver, getStorage, PRIVATE_REF_PREFIX, storeFile } from "../config/storage.js";
+import ChatRequest from "../models/ChatRequest.js";
+import MediaAsset from "../models/MediaAsset.js";
+import Message from "../models/Message.js";
+import News from "../models/News.js";
+import Post from "../models/Post.js";
+import User from "../models/User.js";
+
+dotenv.config();
+
+const LEGACY_PREFIX = "/uploads/";
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const mediaFields = (prefix) => [
+  `${prefix}posterUrl`,
+  `${prefix}variants.thumb`,
+  `${prefix}variants.small`,
+  `${prefix}variants.medium`,
+];
+
+// Every field holding a file reference; chat files become private, everything else stays public
+const PRIVATE_FIELDS = [
+  { model: Message, fields: ["mediaUrl", "content", ...mediaFields("media.")] },
+];
+const PUBLIC_FIELDS = [
+  { model: Post, fields: ["mediaUrl", ...mediaFields("media.")] },
+  { model: News, fields: ["mediaUrl", ...mediaFields("media.")] },
+  { model: User, fields: ["profileimg"] },
+  { model: ChatRequest, fields: ["groupImage"] },
+];
+const ASSET_FIELDS = { model: MediaAsset, fields: ["url", ...mediaFields("info.")] };
+
+const distinctRefs = async ({ model, fields }, pattern) => {
+  const refs = new Set();
+  for (const field of fields) {
+    const values = await model.distinct(field, { [field]: pattern });
+    values.forEach((value) => refs.add(value));
+  }
+  return refs;
+};
+
+/**
+ * Point every field holding `from` at `to`; timestamps are left alone
+ */
+const replaceRef = async (from, to) => {
+  let updated = 0;
+  for (const { model, fields } of [...PRIVATE_FIELDS, ...PUBLIC_FIELDS, ASSET_FIELDS]) {
+    for (const field of fields) {
+      const result = await model.collection.updateMany({ [field]: from }, { $set: { [field]: to } });
+      updated += result.modifiedCount;
+    }
+  }
+  return updated;
+};
+
+/**
+ * Move files still referenced as /uploads/<name> into the configured storage driver and
+ * rewrite the references. Chat files are stored privately. Re-running it only picks up
+ * what is left; files missing on disk are reported and their references kept.
+ */
+const migrateLegacyUploads = async () => {
+  const legacyPattern = new RegExp(`^${LEGACY_PREFIX}`);
+  const privateRefs = await distinctRefs(PRIVATE_FIELDS[0], legacyPattern);
+  // Variants of chat media are only referenced from the message's media info and the asset
+  const chatAssets = await MediaAsset.find({ url: { $in: [...privateRefs] } }).select("info").lean();
+  chatAssets.forEach(({ info }) => mediaFields("").forEach((field) => {
+    const ref = field.split(".").reduce((value, part) => value?.[part], info);
+    if (ref?.startsWith(LEGACY_PREFIX)) privateRefs.add(ref);
+  }));
+
+  const allRefs = new Set(privateRefs);
+  for (const entry of [...PUBLIC_FIELDS, ASSET_FIELDS]) {
+    (await distinctRefs(entry, legacyPattern)).forEach((ref) => allRefs.add(ref));
+  }
+  allRefs.delete(`${LEGACY_PREFIX}default.png`);
+
+  const localDriver = getLocalStorageDriver();
+  const storage = getStorage();
+  let moved = 0;
+  let unchanged = 0;
+  let missing = 0;
+
+  for (const ref of allRefs) {
+    const key = ref.slice(LEGACY_PREFIX.length);
+    const visibility = privateRefs.has(ref) ? "private" : "public";
+    const target = visibility === "private" ? `${PRIVATE_REF_PREFIX}${key}` : storage.getPublicUrl(key);
+    if (target === ref) {
+      unchanged += 1;
+      continue;
+    }
+
+    const localPath = localDriver.getLocalPath(key, "public");
+    if (!fs.existsSync(localPath)) {
+      console.warn(`⚠️ ${ref}: file not found on disk, reference kept`);
+      missing += 1;
+      continue;
+    }
+
+    if (DRY_RUN) {
+      console.log(`• ${ref} → ${target}`);
+    } else {
+      await storeFile(localPath, { visibility, key });
+      const updated = await replaceRef(ref, target);
+      console.log(`• ${ref} → ${target} (${updated} fields)`);
+    }
+    moved += 1;
+  }
+
+  console.log(`✅ Legacy uploads: ${moved} moved, ${unchanged} already in place, ${missing} missing`);
+};
+
+/**
+ * With a remote driver, upload private files that were stored on local disk before it was configured
+ */
+const migrateLocalPrivateFiles = async () => {
+  const storage = getStorage();
+  const localDriver = getLocalStorageDriver();
+  if (storage === localDriver) return;
+
+  const privatePattern = new RegExp(`^${PRIVATE_REF_PREFIX}`);
+  const refs = await distinctRefs(PRIVATE_FIELDS[0], privatePattern);
+  (await distinctRefs(ASSET_FIELDS, privatePattern)).forEach((ref) => refs.add(ref));
+
+  let uploaded = 0;
+  for (const ref of refs) {
+    const key = ref.slice(PRIVATE_REF_PREFIX.length);
+    const localPath = localDriver.getLocalPath(key, "private");
+    if (!fs.existsSync(localPath)) continue;
+
+    if (DRY_RUN) {
+      console.log(`• ${ref}: local private file → ${storage.name}`);
+    } else {
+      await storage.put(localPath, key, { visibility: "private" });
+    }
+    uploaded += 1;
+  }
+  console.log(`✅ Local private files: ${uploaded} uploaded to ${storage.name}`);
+};
+
+const run = async () => {
+  await connectDB();
+  console.log(`🚚 Migrating uploads to ${getStorage().name} storage${DRY_RUN ? " (dry run)" : ""}...`);
+
+  await migrateLegacyUploads();
+  await migrateLocalPrivateFiles();
+
+  console.log("🎉 Upload migration complete");
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Upload migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
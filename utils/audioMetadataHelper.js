@@ -0,0 +1,79 @@
+import { execFileAsync, FFMPEG_PATH, FFPROBE_PATH, hasMediaTools } from "./mediaToolsHelper.js";
+
+// Bars in a voice note waveform and the mono sample rate it is computed from
+export const WAVEFORM_POINTS = 64;
+const WAVEFORM_SAMPLE_RATE = 8000;
+
+/**
+ * Longest accepted voice note, in seconds (VOICE_NOTE_MAX_SECONDS, default 5 minutes)
+ */
+export const getMaxVoiceNoteSeconds = () => Number(process.env.VOICE_NOTE_MAX_SECONDS || 300);
+
+/**
+ * Duration (seconds) and codec of the first audio stream of a file
+ * @returns {Promise<{duration: number, codec: string}>}
+ */
+export const probeAudio = async (filePath) => {
+  const { stdout } = await execFileAsync(
+    FFPROBE_PATH,
+    ["-v", "error", "-select_streams", "a:0", "-show_entries", "stream=codec_name:format=duration", "-of", "json", filePath],
+    { timeout: 15000 }
+  );
+  const info = JSON.parse(stdout);
+  const stream = info.streams?.[0];
+  const duration = Number(info.format?.duration);
+  if (!stream || !Number.isFinite(duration)) {
+    throw new Error("No audio stream found");
+  }
+  return { duration, codec: stream.codec_name || null };
+};
+
+/**
+ * Peak level per bucket of 16-bit little-endian mono PCM, scaled to 0-100 against the loudest bucket
+ * @param {Buffer} pcm - raw s16le samples
+ * @param {number} points - number of buckets
+ * @returns {number[]}
+ */
+export const downsampleWaveform = (pcm, points = WAVEFORM_POINTS) => {
+  const sampleCount = Math.floor(pcm.length / 2);
+  if (sampleCount === 0) return new Array(points).fill(0);
+
+  const bucketSize = sampleCount / points;
+  const peaks = [];
+  for (let i = 0; i < points; i++) {
+    const start = Math.floor(i * bucketSize);
+    const end = Math.min(sampleCount, Math.max(start + 1, Math.floor((i + 1) * bucketSize)));
+    let peak = 0;
+    for (let s = start; s < end; s++) {
+      peak = Math.max(peak, Math.abs(pcm.readInt16LE(s * 2)));
+    }
+    peaks.push(peak);
+  }
+
+  const loudest = Math.max(...peaks);
+  return peaks.map((peak) => (loudest > 0 ? Math.round((peak / loudest) * 100) : 0));
+};
+
+/**
+ * Waveform of an audio file, decoded to mono PCM with ffmpeg
+ */
+export const extractWaveform = async (filePath, points = WAVEFORM_POINTS) => {
+  const { stdout } = await execFileAsync(
+    FFMPEG_PATH,
+    ["-v", "error", "-i", filePath, "-ac", "1", "-ar", String(WAVEFORM_SAMPLE_RATE), "-f", "s16le", "-"],
+    { encoding: "buffer", maxBuffer: 64 * 1024 * 1024, timeout: 30000 }
+  );
+  return downsampleWaveform(stdout, points);
+};
+
+/**
+ * Everything a client needs to render a voice note player without downloading the file,
+ * or null when ffmpeg/ffprobe are not installed
+ * @returns {Promise<{duration: number, codec: string|null, waveform: number[]}|null>}
+ */
+export const readVoiceNoteMetadata = async (filePath) => {
+  if (!(await hasMediaTools())) return null;
+  const { duration, codec } = await probeAudio(filePath);
+  const waveform = duration <= getMaxVoiceNoteSeconds() ? await extractWaveform(filePath) : [];
+  return { duration: Math.round(duration * 10) / 10, codec, waveform };
+};
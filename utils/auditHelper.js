@@ -0,0 +1,74 @@
+import AuditLog from "../models/AuditLog.js";
+import { getClientIp } from "./sessionHelper.js";
+
+// Never copied into audit entries
+const REDACTED_FIELDS = ["password", "firebaseToken", "fcmToken", "twoFactor", "__v"];
+// Bookkeeping fields that change on every save
+const IGNORED_FIELDS = ["updatedAt"];
+
+/**
+ * Plain, redacted copy of a document for the audit trail
+ */
+export const auditSnapshot = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === "function" ? doc.toObject() : { ...doc };
+  REDACTED_FIELDS.forEach((field) => delete plain[field]);
+  return JSON.parse(JSON.stringify(plain));
+};
+
+/**
+ * Field-level diff of two snapshots: { field: { before, after } } for changed fields only
+ */
+export const diffSnapshots = (before, after) => {
+  const from = before || {};
+  const to = after || {};
+  const changes = {};
+
+  for (const field of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if (IGNORED_FIELDS.includes(field) || REDACTED_FIELDS.includes(field)) continue;
+    const previous = from[field] === undefined ? null : from[field];
+    const next = to[field] === undefined ? null : to[field];
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes[field] = { before: previous, after: next };
+    }
+  }
+  return changes;
+};
+
+/**
+ * Record an audit event. Never throws: auditing must not break the request.
+ * @param {Object} entry - { actor, action, targetType, targetId, before, after, ip, userAgent, metadata }
+ *   `before` / `after` are documents or snapshots; only their diff is stored.
+ */
+export const recordAudit = async ({ actor = null, action, targetType = null, targetId = null, before, after, ip = null, userAgent = null, metadata = {} }) => {
+  try {
+    const changes = before !== undefined || after !== undefined
+      ? diffSnapshots(auditSnapshot(before), auditSnapshot(after))
+      : null;
+
+    return await AuditLog.create({
+      actor,
+      action,
+      targetType,
+      targetId: targetId ? String(targetId) : null,
+      changes,
+      ip,
+      userAgent,
+      metadata,
+    });
+  } catch (error) {
+    console.error(`❌ Failed to record audit event ${action}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Record an action performed by the authenticated user of a request
+ */
+export const auditRequest = (req, entry) =>
+  recordAudit({
+    actor: req.user?.id || null,
+    ip: getClientIp(req),
+    userAgent: req.headers?.["user-agent"] || null,
+    ...entry,
+  });
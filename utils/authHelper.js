@@ -1,85 +1,222 @@
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
 import dotenv from "dotenv";
 import { successResponse, errorResponse } from "../utils/response.js";
 
 dotenv.config();
 
+const ISSUER = "sak-soti";
+
+/**
+ * Token types
+ * Each type has its own key ring and audience, and carries a `typ` claim,
+ * so a refresh token can never pass as an access token (and vice versa).
+ */
+const TOKEN_TYPES = {
+  access: {
+    keysEnv: "JWT_ACCESS_KEYS",
+    secretEnv: "JWT_ACCESS_SECRET",
+    expiryEnv: "JWT_ACCESS_TOKEN_EXPIRY",
+    defaultExpiry: "7d",
+  },
+  refresh: {
+    keysEnv: "JWT_REFRESH_KEYS",
+    secretEnv: "JWT_REFRESH_SECRET",
+    expiryEnv: "JWT_REFRESH_TOKEN_EXPIRY",
+    defaultExpiry: "30d",
+  },
+  // Issued by login when two-factor authentication is on; only exchangeable at /2fa/verify
+  challenge: {
+    keysEnv: "JWT_CHALLENGE_KEYS",
+    secretEnv: "JWT_CHALLENGE_SECRET",
+    expiryEnv: "TWO_FACTOR_CHALLENGE_EXPIRY",
+    defaultExpiry: "5m",
+  },
+};
+
 /**
  * Authentication Helper
  * Handles JWT generation, verification, and expiry parsing
+ *
+ * Key rings: JWT_<TYPE>_KEYS="kid2:secret2,kid1:secret1" - the first key signs,
+ * every listed key verifies (tokens carry the `kid` header), so secrets can be
+ * rotated without logging everyone out. Without it JWT_<TYPE>_SECRET is used,
+ * and as a last resort a per-type secret derived from JWT_SECRET.
  */
 class AuthHelper {
   constructor() {
     this.jwtSecret = process.env.JWT_SECRET;
     this.defaultExpiry = process.env.JWT_ACCESS_TOKEN_EXPIRY || "7d";
+    this.keyRings = {};
   }
 
   /**
-   * Generate JWT Token
+   * Register an additional token type (e.g. short-lived challenge tokens)
    */
-  generateAuthToken(payload, expiry = this.defaultExpiry) {
-    if (!this.jwtSecret) {
-      throw new Error("JWT_SECRET is not configured in environment variables");
+  registerTokenType(type, config) {
+    TOKEN_TYPES[type] = config;
+    delete this.keyRings[type];
+  }
+
+  /**
+   * Load (and cache) the key ring of a token type
+   * @returns {{kid: string, secret: string}[]} first entry is the signing key
+   */
+  getKeyRing(type) {
+    if (this.keyRings[type]) return this.keyRings[type];
+
+    const config = TOKEN_TYPES[type];
+    if (!config) {
+      throw new Error(`Unknown token type "${type}"`);
     }
 
-    return jwt.sign(payload, this.jwtSecret, { expiresIn: expiry });
+    let keys = [];
+    const keyList = process.env[config.keysEnv];
+    if (keyList) {
+      keys = keyList
+        .split(",")
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .map((entry) => {
+          const separator = entry.indexOf(":");
+          return { kid: entry.slice(0, separator), secret: entry.slice(separator + 1) };
+        })
+        .filter((key) => key.kid && key.secret);
+    } else if (process.env[config.secretEnv]) {
+      keys = [{ kid: `${type}-1`, secret: process.env[config.secretEnv] }];
+    } else if (this.jwtSecret) {
+      const derived = crypto.createHmac("sha256", this.jwtSecret).update(`${ISSUER}:${type}`).digest("hex");
+      keys = [{ kid: `${type}-derived`, secret: derived }];
+    }
+
+    if (keys.length === 0) {
+      throw new Error(`No signing key configured for ${type} tokens (set ${config.keysEnv}, ${config.secretEnv} or JWT_SECRET)`);
+    }
+
+    this.keyRings[type] = keys;
+    return keys;
   }
 
   /**
-   * Verify JWT with unified response structure
-   * @returns {Promise<{statusCode, status, message, data}>}
+   * True when access and refresh tokens can be signed
    */
-  async verifyToken(token) {
-    return new Promise((resolve) => {
-      jwt.verify(token, this.jwtSecret, (err, decoded) => {
-        if (err) {
-          if (err.name === "TokenExpiredError") {
-            return resolve({
-              statusCode: 401,
-              message: "Token expired",
-              data: null,
-            });
-          }
+  isConfigured() {
+    try {
+      this.getKeyRing("access");
+      this.getKeyRing("refresh");
+      return true;
+    } catch {
+      return false;
+    }
+  }
 
-          return resolve({
-            statusCode: 401,
-            message: "Invalid token",
-            data: null,
-          });
-        }
-
-        return resolve({
-          statusCode: 200,
-          status: 1,
-          message: "Token verified successfully",
-          data: decoded,
-        });
-      });
+  getExpiry(type) {
+    const config = TOKEN_TYPES[type];
+    return process.env[config.expiryEnv] || config.defaultExpiry;
+  }
+
+  /**
+   * Sign a typed token with the active key of its type
+   */
+  signToken(type, payload, options = {}) {
+    const [activeKey] = this.getKeyRing(type);
+    return jwt.sign({ ...payload, typ: type }, activeKey.secret, {
+      algorithm: "HS256",
+      expiresIn: options.expiresIn || this.getExpiry(type),
+      audience: `${ISSUER}:${type}`,
+      issuer: ISSUER,
+      keyid: activeKey.kid,
+      ...(options.jwtid ? { jwtid: options.jwtid } : {}),
     });
   }
 
   /**
-   * Verify token ignoring expiration (for refresh use)
+   * Verify a typed token (synchronous, throws jsonwebtoken errors like jwt.verify)
+   * Rejects unknown key ids, other token types and other audiences.
    */
-  async ignoreExpiration(token) {
-    return new Promise((resolve) => {
-      jwt.verify(token, this.jwtSecret, { ignoreExpiration: true }, (err, decoded) => {
-        if (err) {
-          return resolve({
-            statusCode: 401,
-            message: "Invalid token",
-            data: null,
-          });
-        }
-
-        return resolve({
-          statusCode: 200,
-          status: 1,
-          message: "Token verified (expiry ignored)",
-          data: decoded,
-        });
-      });
+  verifyTypedToken(type, token, options = {}) {
+    const decodedHeader = jwt.decode(token, { complete: true });
+    const kid = decodedHeader?.header?.kid;
+    const key = this.getKeyRing(type).find((candidate) => candidate.kid === kid);
+    if (!key) {
+      throw new jwt.JsonWebTokenError("Unknown token key");
+    }
+
+    const decoded = jwt.verify(token, key.secret, {
+      algorithms: ["HS256"],
+      audience: `${ISSUER}:${type}`,
+      issuer: ISSUER,
+      ignoreExpiration: options.ignoreExpiration === true,
     });
+
+    if (decoded.typ !== type) {
+      throw new jwt.JsonWebTokenError("Invalid token type");
+    }
+    return decoded;
+  }
+
+  verifyAccessToken(token) {
+    return this.verifyTypedToken("access", token);
+  }
+
+  verifyRefreshToken(token) {
+    const decoded = this.verifyTypedToken("refresh", token);
+    if (!decoded.sid) {
+      throw new jwt.JsonWebTokenError("Refresh token has no session");
+    }
+    return decoded;
+  }
+
+  /**
+   * Generate JWT Token (access type)
+   */
+  generateAuthToken(payload, expiry = this.defaultExpiry) {
+    return this.signToken("access", payload, { expiresIn: expiry });
+  }
+
+  /**
+   * Verify access token with unified response structure
+   * @returns {Promise<{statusCode, status, message, data}>}
+   */
+  async verifyToken(token, type = "access") {
+    try {
+      const decoded = this.verifyTypedToken(type, token);
+      return {
+        statusCode: 200,
+        status: 1,
+        message: "Token verified successfully",
+        data: decoded,
+      };
+    } catch (err) {
+      return {
+        statusCode: 401,
+        status: 0,
+        message: err.name === "TokenExpiredError" ? "Token expired" : "Invalid token",
+        data: null,
+      };
+    }
+  }
+
+  /**
+   * Verify token ignoring expiration (for refresh use)
+   */
+  async ignoreExpiration(token, type = "access") {
+    try {
+      const decoded = this.verifyTypedToken(type, token, { ignoreExpiration: true });
+      return {
+        statusCode: 200,
+        status: 1,
+        message: "Token verified (expiry ignored)",
+        data: decoded,
+      };
+    } catch {
+      return {
+        statusCode: 401,
+        status: 0,
+        message: "Invalid token",
+        data: null,
+      };
+    }
   }
 
   /**
@@ -125,30 +262,23 @@ class AuthHelper {
 
   /**
    * Generate Access Token
+   * @param {string} [sessionId] - Device session the token belongs to (`sid` claim)
    */
-  generateAccessToken(user) {
-    if (!this.jwtSecret) {
-      throw new Error("JWT_SECRET is not configured in environment variables");
-    }
-
+  generateAccessToken(user, sessionId = null) {
     const payload = { id: user._id || user.id };
-    return jwt.sign(payload, this.jwtSecret, {
-      expiresIn: process.env.JWT_ACCESS_TOKEN_EXPIRY || "7d",
-    });
+    if (sessionId) payload.sid = sessionId;
+    return this.signToken("access", payload);
   }
 
   /**
    * Generate Refresh Token
+   * @param {string} [sessionId] - Device session the token belongs to (`sid` claim)
    */
-  generateRefreshToken(user) {
-    if (!this.jwtSecret) {
-      throw new Error("JWT_SECRET is not configured in environment variables");
-    }
-
+  generateRefreshToken(user, sessionId = null) {
     const payload = { id: user._id || user.id };
-    return jwt.sign(payload, this.jwtSecret, {
-      expiresIn: process.env.JWT_REFRESH_TOKEN_EXPIRY || "30d",
-    });
+    if (sessionId) payload.sid = sessionId;
+    // Unique jti: two tokens issued in the same second must never be identical (rotation)
+    return this.signToken("refresh", payload, { jwtid: crypto.randomUUID() });
   }
 
   /**
@@ -5,6 +5,79 @@ import { getIO } from "../config/socket.js";
 import mongoose from "mongoose";
 import redisClient from "../config/redis.js";
 
+/**
+ * Resolve a chat id (individual request, group root or group invite) to its conversation key
+ * and check the user takes part in it
+ * @returns {Promise<{chatKeyId?: Object, chatType?: string, participantIds?: string[], adminIds?: string[], error?: string}>}
+ */
+export const resolveChatAccess = async (chatId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(chatId)) return { error: "Chat id not found" };
+
+  const reqDoc = await ChatRequest.findById(chatId);
+  if (!reqDoc) return { error: "Chat id not found" };
+
+  if (reqDoc.chatType === 'individual') {
+    if (reqDoc.status !== 'accepted') return { error: "Chat request not accepted yet" };
+    const participantIds = [reqDoc.senderId.toString(), reqDoc.receiverId.toString()];
+    if (!participantIds.includes(String(userId))) return { error: "Not a participant of this chat" };
+    return { chatKeyId: reqDoc._id, chatType: 'individual', participantIds };
+  }
+
+  const groupRoot = reqDoc.receiverId === null ? reqDoc : await ChatRequest.findOne({ _id: reqDoc.groupId, chatType: 'group', receiverId: null });
+  if (!groupRoot) return { error: "Group id not found" };
+  const participantIds = Array.from(new Set([
+    String(groupRoot.groupAdmin),
+    ...(groupRoot.superAdmins || []).map(String),
+    ...(groupRoot.members || []).map(String)
+  ]));
+  if (!participantIds.includes(String(userId))) return { error: "You are not a member of this group" };
+  const adminIds = [String(groupRoot.groupAdmin), ...(groupRoot.superAdmins || []).map(String)];
+  return { chatKeyId: groupRoot._id, chatType: 'group', participantIds, adminIds };
+};
+
+const chatParticipantsCache = new Map();
+
+/**
+ * Users taking part in a conversation (chat key: individual request or group root),
+ * cached for a minute. Used by the socket events and the chat media route.
+ * @returns {Promise<string[]>}
+ */
+export const getChatParticipantIds = async (chatId) => {
+  const cacheKey = String(chatId);
+  const cached = chatParticipantsCache.get(cacheKey);
+  if (cached && Date.now() - cached.cachedAt < 60_000) {
+    return cached.participants;
+  }
+
+  const chatRequest = await ChatRequest.findById(chatId).select(
+    "chatType senderId receiverId groupAdmin superAdmins members"
+  );
+  if (!chatRequest) return [];
+
+  let participants = [];
+  if (chatRequest.chatType === "individual") {
+    participants = [
+      String(chatRequest.senderId),
+      String(chatRequest.receiverId),
+    ];
+  } else {
+    participants = [
+      String(chatRequest.groupAdmin),
+      ...(chatRequest.superAdmins || []).map(String),
+      ...(chatRequest.members || []).map(String),
+    ];
+  }
+
+  const uniqueParticipants = Array.from(
+    new Set(participants.filter(Boolean))
+  );
+  chatParticipantsCache.set(cacheKey, {
+    participants: uniqueParticipants,
+    cachedAt: Date.now(),
+  });
+  return uniqueParticipants;
+};
+
 /**
  * Check if a user is deleted and return deleted user info
  * @param {string} userId - User ID to check
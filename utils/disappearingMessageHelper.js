@@ -0,0 +1,89 @@
+import ChatConversation from "../models/ChatConversation.js";
+import User from "../models/User.js";
+import { getIO } from "../config/socket.js";
+import { createMessageResponse } from "./messageUtils.js";
+import { clearChatMessageCache, createChatMessage } from "./messageHelper.js";
+
+// Allowed timers, in seconds; "off" disables disappearing messages
+export const DISAPPEARING_TIMERS = {
+  off: null,
+  "24h": 24 * 60 * 60,
+  "7d": 7 * 24 * 60 * 60,
+  "90d": 90 * 24 * 60 * 60,
+};
+
+const TIMER_LABELS = {
+  "24h": "24 hours",
+  "7d": "7 days",
+  "90d": "90 days",
+};
+
+/**
+ * Timer key ("off", "24h", ...) for a stored number of seconds
+ */
+export const getDisappearingTimerKey = (seconds) =>
+  Object.keys(DISAPPEARING_TIMERS).find((key) => DISAPPEARING_TIMERS[key] === (seconds || null)) || "off";
+
+/**
+ * Change the disappearing messages timer of a chat. New messages expire after the timer;
+ * messages already sent keep their expiry. The change is announced with a system message
+ * (which never expires) and a `chat:disappearingTimer` event to the chat room.
+ * The caller must already have checked that the user may change the setting.
+ * @param {Object} params - { chatKeyId, chatType, participantIds, userId, timer }
+ * @returns {Promise<{timer?: string, changed?: boolean, systemMessage?: Object, error?: string}>}
+ */
+export const setDisappearingTimer = async ({ chatKeyId, chatType, participantIds, userId, timer }) => {
+  if (!Object.prototype.hasOwnProperty.call(DISAPPEARING_TIMERS, timer)) {
+    return { error: `timer must be one of ${Object.keys(DISAPPEARING_TIMERS).join(", ")}` };
+  }
+  const seconds = DISAPPEARING_TIMERS[timer];
+
+  const update = { $set: { disappearingTimer: seconds }, $setOnInsert: { chatType } };
+  if (chatType === "individual") update.$setOnInsert.participants = participantIds;
+  const previous = await ChatConversation.findOneAndUpdate({ chatRequestId: chatKeyId }, update, { upsert: true });
+
+  if ((previous?.disappearingTimer || null) === seconds) {
+    return { timer, changed: false };
+  }
+
+  const actor = await User.findById(userId).select("firstname lastname email");
+  const actorName = `${actor?.firstname || ""} ${actor?.lastname || ""}`.trim() || actor?.email || "Someone";
+  const content = seconds
+    ? `${actorName} set messages to disappear after ${TIMER_LABELS[timer]}`
+    : `${actorName} turned off disappearing messages`;
+
+  const message = await createChatMessage(chatKeyId, {
+    sender: userId,
+    content,
+    messageType: "system",
+    expiresAt: null
+  });
+  const baseMessage = createMessageResponse(message, userId, chatKeyId);
+  const systemMessage = { ...baseMessage, type: "send" };
+
+  await clearChatMessageCache(chatKeyId);
+
+  try {
+    const io = getIO();
+    const socketMessage = { ...baseMessage, type: "receive" };
+    io.to(`chat:${String(chatKeyId)}`).emit("newMessage", socketMessage);
+    io.to(`chat:${String(chatKeyId)}`).emit("chat:disappearingTimer", {
+      chatId: String(chatKeyId),
+      timer,
+      seconds,
+      updatedBy: String(userId)
+    });
+
+    participantIds.forEach((memberId) => {
+      io.to(`user:${memberId}`).emit("chatList:update", {
+        chatId: String(chatKeyId),
+        action: "newMessage",
+        lastMessage: String(memberId) === String(userId) ? systemMessage : socketMessage
+      });
+    });
+  } catch (error) {
+    console.error("Socket emit error (disappearing timer):", error.message);
+  }
+
+  return { timer, changed: true, systemMessage };
+};
@@ -0,0 +1,71 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Move a file, falling back to copy + delete across devices (e.g. from /tmp to the app disk)
+ */
+export const moveFile = async (from, to) => {
+  try {
+    await fs.promises.rename(from, to);
+  } catch (error) {
+    if (error.code !== "EXDEV") throw error;
+    await fs.promises.copyFile(from, to);
+    await fs.promises.unlink(from);
+  }
+};
+
+/**
+ * Storage driver keeping files on the server's disk. Public files live in `publicDir`, which
+ * index.js serves at /uploads; private files live in `privateDir`, which is never served
+ * statically and is read through HMAC-signed, expiring URLs under `signedUrlPath`.
+ * @param {Object} options - { publicDir, privateDir, signedUrlPath, getSigningSecret }
+ */
+export const createLocalStorageDriver = ({ publicDir, privateDir, signedUrlPath, getSigningSecret }) => {
+  const dirFor = (visibility) => path.resolve(visibility === "private" ? privateDir : publicDir);
+  // Keys are flat file names; basename keeps a crafted key from leaving the folder
+  const pathFor = (key, visibility) => path.join(dirFor(visibility), path.basename(String(key)));
+  const sign = (key, expires) => crypto
+    .createHmac("sha256", getSigningSecret())
+    .update(`${path.basename(String(key))}:${expires}`)
+    .digest("hex");
+
+  return {
+    name: "local",
+
+    async put(localPath, key, { visibility = "public" } = {}) {
+      await fs.promises.mkdir(dirFor(visibility), { recursive: true });
+      const target = pathFor(key, visibility);
+      if (path.resolve(localPath) !== target) await moveFile(localPath, target);
+    },
+
+    async delete(key, visibility = "public") {
+      try {
+        await fs.promises.unlink(pathFor(key, visibility));
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    },
+
+    getPublicUrl: (key) => `/uploads/${key}`,
+
+    parsePublicUrl: (url) => (url.startsWith("/uploads/") ? url.slice("/uploads/".length) : null),
+
+    getSignedUrl(key, expiresIn) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return `${signedUrlPath}/${encodeURIComponent(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+    },
+
+    /**
+     * Whether a signed URL's query is genuine and not expired
+     */
+    verifySignedUrl(key, expires, signature) {
+      if (!expires || !signature || Number(expires) < Date.now() / 1000) return false;
+      const expected = Buffer.from(sign(key, expires));
+      const given = Buffer.from(String(signature));
+      return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    },
+
+    getLocalPath: (key, visibility = "public") => pathFor(key, visibility),
+  };
+};
@@ -0,0 +1,179 @@
+import redisClient from "../config/redis.js";
+import { sendAccountLockedEmail, sendAccountUnlockedEmail } from "./mailHelper.js";
+
+/**
+ * Login brute-force protection (Redis)
+ * loginFail:account:<email> -> failed logins for an email in the current window
+ * loginFail:ip:<ip>         -> failed logins from an IP in the current window
+ * loginLock:account:<email> -> JSON lock record while the email is locked out
+ * loginLock:ip:<ip>         -> JSON lock record while the IP is locked out
+ * loginWait:<type>:<value>  -> set after a failure; no new attempt is accepted until it expires
+ * loginLocks                -> set of "<type>:<value>" for the admin lockout list
+ *
+ * Counters are kept for unknown emails too, so a lockout doesn't reveal whether an account exists.
+ */
+
+const MAX_ACCOUNT_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS_ACCOUNT || 5);
+const MAX_IP_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS_IP || 20);
+const ATTEMPT_WINDOW_SECONDS = Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || 15) * 60;
+const LOCKOUT_SECONDS = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15) * 60;
+const DELAY_BASE_MS = Number(process.env.LOGIN_DELAY_BASE_MS || 500);
+const DELAY_MAX_MS = Number(process.env.LOGIN_DELAY_MAX_MS || 8000);
+
+export const LOCKOUT_TYPES = ["account", "ip"];
+
+const failKey = (type, value) => `loginFail:${type}:${value}`;
+const lockKey = (type, value) => `loginLock:${type}:${value}`;
+const waitKey = (type, value) => `loginWait:${type}:${value}`;
+const LOCK_INDEX_KEY = "loginLocks";
+
+export const normalizeLoginEmail = (email) => String(email || "").trim().toLowerCase();
+
+/**
+ * Active lockout for this email or IP, if any
+ * @returns {Promise<{type, value, retryAfter}|null>}
+ */
+export const getActiveLockout = async (email, ip) => {
+  const candidates = [["account", normalizeLoginEmail(email)]];
+  if (ip) candidates.push(["ip", ip]);
+
+  for (const [type, value] of candidates) {
+    const ttl = await redisClient.ttl(lockKey(type, value));
+    if (ttl > 0) return { type, value, retryAfter: ttl };
+  }
+  return null;
+};
+
+/**
+ * Progressive delay: after a failure the email / IP must wait before trying again, twice as long
+ * with every recent failure (capped). Attempts made sooner are refused rather than held open.
+ * @returns {Promise<{type, value, retryAfter}|null>} retryAfter in whole seconds
+ */
+export const getLoginWait = async (email, ip) => {
+  const candidates = [["account", normalizeLoginEmail(email)]];
+  if (ip) candidates.push(["ip", ip]);
+
+  for (const [type, value] of candidates) {
+    const pttl = await redisClient.pttl(waitKey(type, value));
+    if (pttl > 0) return { type, value, retryAfter: Math.ceil(pttl / 1000) };
+  }
+  return null;
+};
+
+const startLoginWait = async (type, value, failures) => {
+  if (failures <= 0) return;
+  const delay = Math.min(DELAY_BASE_MS * 2 ** (failures - 1), DELAY_MAX_MS);
+  await redisClient.set(waitKey(type, value), "1", "PX", delay);
+};
+
+const lock = async (type, value, details) => {
+  const now = Date.now();
+  const record = {
+    type,
+    value,
+    lockedAt: new Date(now).toISOString(),
+    lockedUntil: new Date(now + LOCKOUT_SECONDS * 1000).toISOString(),
+    ...details,
+  };
+  await redisClient.setEx(lockKey(type, value), LOCKOUT_SECONDS, JSON.stringify(record));
+  await redisClient.sadd(LOCK_INDEX_KEY, `${type}:${value}`);
+  await redisClient.del(failKey(type, value));
+  return record;
+};
+
+const countFailure = async (type, value) => {
+  const attempts = await redisClient.incr(failKey(type, value));
+  if (attempts === 1) {
+    await redisClient.expire(failKey(type, value), ATTEMPT_WINDOW_SECONDS);
+  }
+  return attempts;
+};
+
+/**
+ * Record a failed login; locks the email / IP once its limit is reached
+ * @param {Object|null} user - the account behind the email (null when unknown), notified on lockout
+ * @returns {Promise<{type, value, retryAfter}|null>} the lockout this failure caused
+ */
+export const recordLoginFailure = async (email, ip, user = null) => {
+  const account = normalizeLoginEmail(email);
+
+  const accountAttempts = await countFailure("account", account);
+  if (accountAttempts >= MAX_ACCOUNT_ATTEMPTS) {
+    const record = await lock("account", account, { attempts: accountAttempts, ip });
+    console.warn(`🔒 Login locked for ${account} until ${record.lockedUntil}`);
+    if (user) {
+      const mailResult = await sendAccountLockedEmail(user, record.lockedUntil);
+      if (!mailResult.success) {
+        console.error(`❌ Lockout email failed for ${user.email}:`, mailResult.error || mailResult.message);
+      }
+    }
+    return { type: "account", value: account, retryAfter: LOCKOUT_SECONDS };
+  }
+  await startLoginWait("account", account, accountAttempts);
+
+  if (ip) {
+    const ipAttempts = await countFailure("ip", ip);
+    if (ipAttempts >= MAX_IP_ATTEMPTS) {
+      const record = await lock("ip", ip, { attempts: ipAttempts });
+      console.warn(`🔒 Login locked for IP ${ip} until ${record.lockedUntil}`);
+      return { type: "ip", value: ip, retryAfter: LOCKOUT_SECONDS };
+    }
+    // An IP is shared by more people than an email, so it slows down at half the rate
+    await startLoginWait("ip", ip, Math.floor(ipAttempts / 2));
+  }
+
+  return null;
+};
+
+/**
+ * Successful login: forget the email's failures (the IP counter keeps running)
+ */
+export const clearLoginFailures = async (email) => {
+  await redisClient.del(failKey("account", normalizeLoginEmail(email)));
+  await redisClient.del(waitKey("account", normalizeLoginEmail(email)));
+};
+
+/**
+ * Active lockouts, newest first (expired ones are pruned from the index)
+ */
+export const listLockouts = async () => {
+  const members = await redisClient.smembers(LOCK_INDEX_KEY);
+  const lockouts = [];
+
+  for (const member of members) {
+    const separator = member.indexOf(":");
+    const type = member.slice(0, separator);
+    const value = member.slice(separator + 1);
+
+    const raw = await redisClient.get(lockKey(type, value));
+    if (!raw) {
+      await redisClient.srem(LOCK_INDEX_KEY, member);
+      continue;
+    }
+    const ttl = await redisClient.ttl(lockKey(type, value));
+    lockouts.push({ ...JSON.parse(raw), retryAfter: Math.max(ttl, 0) });
+  }
+
+  return lockouts.sort((a, b) => new Date(b.lockedAt) - new Date(a.lockedAt));
+};
+
+/**
+ * Lift a lockout and reset its failure counter
+ * @param {Object|null} user - account to notify (account lockouts only)
+ * @returns {Promise<boolean>} false when nothing was locked
+ */
+export const clearLockout = async (type, value, user = null) => {
+  const key = type === "account" ? normalizeLoginEmail(value) : value;
+  const removed = await redisClient.del(lockKey(type, key));
+  await redisClient.del(failKey(type, key));
+  await redisClient.del(waitKey(type, key));
+  await redisClient.srem(LOCK_INDEX_KEY, `${type}:${key}`);
+
+  if (removed && user) {
+    const mailResult = await sendAccountUnlockedEmail(user);
+    if (!mailResult.success) {
+      console.error(`❌ Unlock email failed for ${user.email}:`, mailResult.error || mailResult.message);
+    }
+  }
+  return removed > 0;
+};
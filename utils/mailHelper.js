@@ -0,0 +1,118 @@
+import { getMailTransport } from "../config/mailer.js";
+
+const getFromAddress = () => process.env.MAIL_FROM || "SAK SOTI <no-reply@saksoti.com>";
+
+/**
+ * Send an email through the configured transport
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  if (!to) {
+    console.warn("⚠️ Missing recipient — email skipped");
+    return { success: false, message: "Missing recipient" };
+  }
+
+  try {
+    const info = await getMailTransport().sendMail({
+      from: getFromAddress(),
+      to,
+      subject,
+      text,
+      html,
+    });
+    console.log(`✅ Email "${subject}" sent to ${to}`);
+    return { success: true, info };
+  } catch (error) {
+    console.error("❌ Email send error:", error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Password reset email with the single-use reset code (and link when configured)
+ */
+export const sendPasswordResetEmail = async (user, resetCode, ttlMinutes) => {
+  const name = user.firstname || "there";
+  const resetLink = process.env.PASSWORD_RESET_URL
+    ? `${process.env.PASSWORD_RESET_URL}?token=${encodeURIComponent(resetCode)}`
+    : null;
+
+  const lines = [
+    `Hi ${name},`,
+    "",
+    "We received a request to reset your SAK SOTI password.",
+    resetLink ? `Open this link to choose a new password: ${resetLink}` : null,
+    `Your reset code: ${resetCode}`,
+    "",
+    `The code expires in ${ttlMinutes} minutes and can be used only once.`,
+    "If you did not request a password reset, you can ignore this email.",
+  ].filter((line) => line !== null);
+
+  return sendMail({
+    to: user.email,
+    subject: "Reset your SAK SOTI password",
+    text: lines.join("\n"),
+  });
+};
+
+/**
+ * Email verification code sent after registration (and on resend)
+ */
+export const sendEmailVerificationEmail = async (user, code, ttlMinutes) => {
+  const name = user.firstname || "there";
+  const lines = [
+    `Hi ${name},`,
+    "",
+    "Welcome to SAK SOTI! Please confirm your email address with this code:",
+    "",
+    code,
+    "",
+    `The code expires in ${ttlMinutes} minutes.`,
+    "If you did not create an account, you can ignore this email.",
+  ];
+
+  return sendMail({
+    to: user.email,
+    subject: "Verify your SAK SOTI email address",
+    text: lines.join("\n"),
+  });
+};
+
+/**
+ * Sign-in locked after too many failed password attempts
+ */
+export const sendAccountLockedEmail = async (user, lockedUntil) => {
+  const name = user.firstname || "there";
+  const lines = [
+    `Hi ${name},`,
+    "",
+    "We temporarily locked sign-in to your SAK SOTI account after several failed password attempts.",
+    `You can sign in again after ${new Date(lockedUntil).toUTCString()}.`,
+    "",
+    "If this wasn't you, we recommend resetting your password — a password reset also unlocks your account right away.",
+  ];
+
+  return sendMail({
+    to: user.email,
+    subject: "Your SAK SOTI account was temporarily locked",
+    text: lines.join("\n"),
+  });
+};
+
+/**
+ * Sign-in lock lifted early (by an administrator or a password reset)
+ */
+export const sendAccountUnlockedEmail = async (user) => {
+  const name = user.firstname || "there";
+  const lines = [
+    `Hi ${name},`,
+    "",
+    "Sign-in to your SAK SOTI account has been unlocked. You can log in again now.",
+    "If you didn't request this, please reset your password.",
+  ];
+
+  return sendMail({
+    to: user.email,
+    subject: "Your SAK SOTI account has been unlocked",
+    text: lines.join("\n"),
+  });
+};
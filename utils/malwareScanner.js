@@ -0,0 +1,87 @@
+import fs from "fs";
+import net from "net";
+
+/*
+ * Uploads are scanned before they are stored. MALWARE_SCANNER picks the scanner:
+ *   - "none" (default): accepts everything, for local runs
+ *   - "clamav": streams the file to a clamd daemon (CLAMAV_HOST, CLAMAV_PORT, CLAMAV_TIMEOUT_MS)
+ * A scanner is an object with scanFile(filePath) → Promise<{ clean: boolean, signature: string|null }>,
+ * which throws when the file could not be scanned.
+ */
+
+// Largest chunk clamd accepts per INSTREAM frame by default is far above this
+const CLAMAV_CHUNK_BYTES = 64 * 1024;
+
+export const createNoopScanner = () => ({
+  name: "none",
+  scanFile: async () => ({ clean: true, signature: null }),
+});
+
+/**
+ * Scanner talking to clamd with the INSTREAM command over TCP
+ * @param {Object} options - { host, port, timeoutMs }
+ */
+export const createClamavScanner = ({ host = "127.0.0.1", port = 3310, timeoutMs = 30000 } = {}) => ({
+  name: "clamav",
+
+  scanFile: (filePath) => new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let reply = "";
+    let settled = false;
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (error) reject(error);
+      else resolve(result);
+    };
+
+    socket.setTimeout(timeoutMs, () => finish(new Error("ClamAV scan timed out")));
+    socket.on("error", (error) => finish(new Error(`ClamAV unavailable: ${error.message}`)));
+    socket.on("data", (data) => { reply += data.toString(); });
+    socket.on("end", () => {
+      // "stream: OK" or "stream: <signature> FOUND"
+      const answer = reply.replace(/\0/g, "").trim();
+      const found = answer.match(/^stream: (.+) FOUND$/);
+      if (found) return finish(null, { clean: false, signature: found[1] });
+      if (answer === "stream: OK") return finish(null, { clean: true, signature: null });
+      return finish(new Error(`Unexpected ClamAV reply: ${answer || "(empty)"}`));
+    });
+
+    socket.on("connect", () => {
+      socket.write("zINSTREAM\0");
+      const stream = fs.createReadStream(filePath, { highWaterMark: CLAMAV_CHUNK_BYTES });
+      stream.on("data", (chunk) => {
+        const size = Buffer.alloc(4);
+        size.writeUInt32BE(chunk.length);
+        socket.write(Buffer.concat([size, chunk]));
+      });
+      stream.on("error", (error) => finish(error));
+      // A zero-length chunk ends the stream
+      stream.on("end", () => socket.write(Buffer.alloc(4)));
+    });
+  }),
+});
+
+let scanner = null;
+
+/**
+ * The configured scanner, created on first use so env loaded by dotenv applies
+ */
+export const getMalwareScanner = () => {
+  if (scanner) return scanner;
+
+  const kind = (process.env.MALWARE_SCANNER || "none").toLowerCase();
+  if (kind === "clamav") {
+    scanner = createClamavScanner({
+      host: process.env.CLAMAV_HOST || "127.0.0.1",
+      port: Number(process.env.CLAMAV_PORT || 3310),
+      timeoutMs: Number(process.env.CLAMAV_TIMEOUT_MS || 30000),
+    });
+  } else {
+    if (kind !== "none") console.warn(`⚠️ Unknown MALWARE_SCANNER "${kind}", uploads are not scanned`);
+    scanner = createNoopScanner();
+  }
+  console.log(`🛡️ Upload malware scanner: ${scanner.name}`);
+  return scanner;
+};
@@ -0,0 +1,239 @@
+import fs from "fs";
+import path from "path";
+import MediaAsset from "../models/MediaAsset.js";
+import { getProcessableType } from "./mediaTypeRegistry.js";
+import { stripWebpMetadata } from "./webpHelper.js";
+import { execFileAsync, FFMPEG_PATH, FFPROBE_PATH, hasMediaTools } from "./mediaToolsHelper.js";
+import { removeStoredFile, storeFile, storeUploadedFile } from "../config/storage.js";
+
+// Longest edge, in pixels, of each resized copy
+export const IMAGE_VARIANTS = { thumb: 160, small: 480, medium: 1080 };
+
+/**
+ * "image" or "video" for files the pipeline handles, null for everything else
+ */
+export const getProcessableKind = (filename) => getProcessableType(filename);
+
+// <name>-<suffix><ext>, next to the original in the upload temp folder
+const siblingPath = (filePath, suffix, ext) => {
+  const { dir, name } = path.parse(filePath);
+  return path.join(dir, `${name}-${suffix}${ext}`);
+};
+
+const runFfmpeg = (args) => execFileAsync(FFMPEG_PATH, ["-v", "error", "-y", ...args], { timeout: 60000 });
+
+/**
+ * Displayed width/height (rotation applied) of the first video stream, and the duration when there is one
+ * @returns {Promise<{width: number, height: number, duration: number|null}>}
+ */
+export const probeDimensions = async (filePath) => {
+  const { stdout } = await execFileAsync(
+    FFPROBE_PATH,
+    [
+      "-v", "error", "-select_streams", "v:0",
+      "-show_entries", "stream=width,height:stream_tags=rotate:stream_side_data=rotation:format=duration",
+      "-of", "json", filePath
+    ],
+    { timeout: 15000 }
+  );
+  const info = JSON.parse(stdout);
+  const stream = info.streams?.[0];
+  if (!stream?.width || !stream?.height) {
+    throw new Error("No image or video stream found");
+  }
+
+  const rotation = Number(stream.tags?.rotate ?? stream.side_data_list?.find((d) => d.rotation !== undefined)?.rotation ?? 0);
+  const sideways = Math.abs(rotation) % 180 === 90;
+  const duration = Number(info.format?.duration);
+  return {
+    width: sideways ? stream.height : stream.width,
+    height: sideways ? stream.width : stream.height,
+    duration: Number.isFinite(duration) ? Math.round(duration * 10) / 10 : null,
+  };
+};
+
+/**
+ * Run ffmpeg from a file to a temporary copy, then replace the file with it
+ */
+const rewriteInPlace = async (filePath, outputArgs) => {
+  const { dir, name, ext } = path.parse(filePath);
+  const tmpPath = path.join(dir, `${name}.tmp${ext}`);
+  try {
+    await runFfmpeg(["-i", filePath, ...outputArgs, tmpPath]);
+    await fs.promises.rename(tmpPath, filePath);
+  } catch (error) {
+    await fs.promises.unlink(tmpPath).catch(() => { });
+    throw error;
+  }
+};
+
+/**
+ * Drop EXIF/GPS and other container metadata. Images are re-encoded (the encoder writes no EXIF);
+ * videos are remuxed without touching the streams.
+ */
+export const stripMetadata = (filePath, kind) => (kind === "video"
+  ? rewriteInPlace(filePath, ["-map", "0:v", "-map", "0:a?", "-map_metadata", "-1", "-c", "copy"])
+  : rewriteInPlace(filePath, ["-map_metadata", "-1", "-frames:v", "1", "-q:v", "2"]));
+
+/**
+ * Frame about a second into a video (or its middle, for shorter clips), as a JPEG next to it
+ * @returns {Promise<string>} poster path
+ */
+export const createVideoPoster = async (filePath, duration) => {
+  const posterPath = siblingPath(filePath, "poster", ".jpg");
+  const seekTo = duration ? Math.min(1, duration / 2) : 0;
+  await runFfmpeg(["-ss", String(seekTo), "-i", filePath, "-frames:v", "1", "-map_metadata", "-1", "-q:v", "3", posterPath]);
+  return posterPath;
+};
+
+/**
+ * Resized copies of an image for every IMAGE_VARIANTS size smaller than it
+ * @param {string} sourcePath - image to resize (the original, or a video's poster)
+ * @param {string} originalPath - upload the variants are named after
+ * @returns {Promise<Object>} variant file paths by name
+ */
+const createImageVariants = async (sourcePath, originalPath, { width, height }, ext) => {
+  const variantPaths = {};
+  const longestEdge = Math.max(width, height);
+
+  for (const [name, edge] of Object.entries(IMAGE_VARIANTS)) {
+    if (longestEdge <= edge) continue;
+    const variantPath = siblingPath(originalPath, name, ext);
+    await runFfmpeg([
+      "-i", sourcePath,
+      "-vf", `scale=${edge}:${edge}:force_original_aspect_ratio=decrease`,
+      "-frames:v", "1", "-map_metadata", "-1", "-q:v", "4",
+      variantPath
+    ]);
+    variantPaths[name] = variantPath;
+  }
+  return variantPaths;
+};
+
+/**
+ * Every stored file of an upload, original first
+ */
+const collectMediaRefs = (url, info) => [
+  url,
+  info?.posterUrl,
+  ...Object.values(info?.variants || {}),
+].filter(Boolean);
+
+/**
+ * Delete an upload together with its variants, poster and recorded info; missing files are fine
+ */
+export const removeMediaFiles = async (url) => {
+  const asset = await MediaAsset.findOne({ url }).lean();
+  for (const ref of collectMediaRefs(url, asset?.info)) {
+    try {
+      await removeStoredFile(ref);
+    } catch (error) {
+      console.warn(`⚠️ Failed to remove upload ${ref}:`, error.message);
+    }
+  }
+  if (asset) await MediaAsset.deleteOne({ _id: asset._id });
+};
+
+/**
+ * Images whose frames must all be kept: re-encoding them like JPEG/PNG would keep the first only.
+ * WebP metadata is dropped chunk by chunk (static WebP still gets variants, as PNG to keep
+ * transparency); GIF carries no EXIF/GPS and is stored as uploaded. Both get their dimensions.
+ */
+const processAnimatableImage = async (file) => {
+  const noVariants = { posterPath: null, variantPaths: {}, variantType: null };
+
+  if (path.extname(file.path).toLowerCase() === ".webp") {
+    const { width, height, animated } = await stripWebpMetadata(file.path);
+    const info = { width, height, duration: null };
+    if (animated) return { info, ...noVariants };
+
+    const variantPaths = await createImageVariants(file.path, file.path, { width, height }, ".png");
+    return { info, posterPath: null, variantPaths, variantType: "image/png" };
+  }
+
+  const { width, height } = await probeDimensions(file.path);
+  return { info: { width, height, duration: null }, ...noVariants };
+};
+
+/**
+ * Strip, measure and derive variants of an image or video in the upload temp folder
+ * @returns {Promise<Object>} { info, posterPath, variantPaths, variantType }; info has no URLs yet
+ */
+const processMediaFile = async (file, kind) => {
+  if (kind === "image" && [".gif", ".webp"].includes(path.extname(file.path).toLowerCase())) {
+    return processAnimatableImage(file);
+  }
+
+  await stripMetadata(file.path, kind);
+  const { width, height, duration } = await probeDimensions(file.path);
+  const info = { width, height, duration: kind === "video" ? duration : null };
+
+  if (kind === "video") {
+    const posterPath = await createVideoPoster(file.path, duration);
+    const variantPaths = await createImageVariants(posterPath, file.path, { width, height }, ".jpg");
+    return { info, posterPath, variantPaths, variantType: "image/jpeg" };
+  }
+
+  const isPng = path.extname(file.path).toLowerCase() === ".png";
+  const variantPaths = await createImageVariants(file.path, file.path, { width, height }, isPng ? ".png" : ".jpg");
+  return { info, posterPath: null, variantPaths, variantType: isPng ? "image/png" : "image/jpeg" };
+};
+
+/**
+ * Upload pipeline for a file saved by multer. Images and videos get their metadata (EXIF/GPS...)
+ * stripped, their dimensions recorded and a poster frame (videos) and resized variants written;
+ * everything is then handed to the storage driver and the info is remembered under the
+ * original's reference, so posts and news created from that URL can return it.
+ * Other file types, and everything when ffmpeg/ffprobe are not installed, are stored as they are. On failure nothing is stored and the temporary
+ * files are removed, the original included, so no file with location data stays behind.
+ * @param {Object} file - multer file (path, filename, originalname, mimetype)
+ * @param {Object} [options] - { visibility: "public" | "private", uploadedBy }
+ * @returns {Promise<{url: string, media: Object|null}>} stored reference, and media info
+ *   ({ width, height, duration, variants, posterUrl }) for images and videos
+ */
+export const storeUploadedMedia = async (file, { visibility = "public", uploadedBy = null } = {}) => {
+  const kind = getProcessableKind(file.originalname || file.path);
+  if (!kind || !(await hasMediaTools())) {
+    return { url: await storeUploadedFile(file, { visibility }), media: null };
+  }
+
+  let processed;
+  try {
+    processed = await processMediaFile(file, kind);
+  } catch (error) {
+    const written = [
+      file.path,
+      siblingPath(file.path, "poster", ".jpg"),
+      ...Object.keys(IMAGE_VARIANTS).flatMap((name) => [siblingPath(file.path, name, ".jpg"), siblingPath(file.path, name, ".png")]),
+    ];
+    await Promise.all(written.map((filePath) => fs.promises.unlink(filePath).catch(() => { })));
+    throw error;
+  }
+
+  const { info, posterPath, variantPaths, variantType } = processed;
+  const media = {
+    ...info,
+    variants: { thumb: null, small: null, medium: null },
+    posterUrl: posterPath ? await storeFile(posterPath, { visibility, contentType: "image/jpeg" }) : null,
+  };
+  for (const [name, variantPath] of Object.entries(variantPaths)) {
+    media.variants[name] = await storeFile(variantPath, { visibility, contentType: variantType });
+  }
+  const url = await storeUploadedFile(file, { visibility });
+
+  await MediaAsset.findOneAndUpdate(
+    { url },
+    { $set: { kind, info: media, uploadedBy } },
+    { upsert: true }
+  );
+  return { url, media };
+};
+
+/**
+ * Recorded media info for an upload URL (e.g. a mediaUrl sent when creating a post), or null
+ */
+export const getMediaInfo = async (url) => {
+  if (!url || typeof url !== "string") return null;
+  const asset = await MediaAsset.findOne({ url: url.trim() }).select("info").lean();
+  return asset?.info || null;
+};
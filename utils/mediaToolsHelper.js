@@ -0,0 +1,37 @@
+import { execFile } from "child_process";
+import { promisify } from "util";
+
+export const execFileAsync = promisify(execFile);
+
+// ffprobe / ffmpeg binaries; override when they are not on PATH
+export const FFPROBE_PATH = process.env.FFPROBE_PATH || "ffprobe";
+export const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+
+let toolsCheck = null;
+
+const canRun = async (binary) => {
+  try {
+    await execFileAsync(binary, ["-version"], { timeout: 10000 });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Whether ffmpeg and ffprobe can be run, checked once per process. They are system binaries,
+ * not npm dependencies: without them uploads are stored as sent, with no metadata stripping,
+ * variants, posters or voice note details (a warning is logged once).
+ * @returns {Promise<boolean>}
+ */
+export const hasMediaTools = () => {
+  if (!toolsCheck) {
+    toolsCheck = Promise.all([canRun(FFMPEG_PATH), canRun(FFPROBE_PATH)]).then(([ffmpeg, ffprobe]) => {
+      if (!ffmpeg || !ffprobe) {
+        console.warn(`⚠️ ${!ffmpeg ? FFMPEG_PATH : FFPROBE_PATH} not found: uploads are stored without media processing`);
+      }
+      return ffmpeg && ffprobe;
+    });
+  }
+  return toolsCheck;
+};
@@ -0,0 +1,174 @@
+import fs from "fs";
+import path from "path";
+
+// Upload size limit of each media type: env override (MB), then default
+export const MEDIA_TYPE_LIMITS = {
+  image: { env: "IMAGE_MAX_MB", defaultMB: 10 },
+  video: { env: "VIDEO_MAX_MB", defaultMB: 50 },
+  audio: { env: "AUDIO_MAX_MB", defaultMB: 20 },
+  pdf: { env: "PDF_MAX_MB", defaultMB: 10 },
+};
+
+// Bytes read from the start of a file to recognise it
+const HEAD_BYTES = 64;
+
+const bytesAt = (head, offset, bytes) => bytes.every((byte, i) => head[offset + i] === byte);
+const asciiAt = (head, offset, text) => head.length >= offset + text.length
+  && head.toString("latin1", offset, offset + text.length) === text;
+const as = (type, mime) => ({ type, mime });
+
+/**
+ * Every accepted file format: how to recognise it from its first bytes, and the extensions it may
+ * be uploaded under with the media type and MIME type each one means (an ISO-BMFF file is a video
+ * as .mp4 but a voice note as .m4a). `processable` formats go through the image/video pipeline.
+ * Checked in order; the first match wins.
+ */
+export const FILE_FORMATS = [
+  {
+    name: "jpeg",
+    match: (head) => bytesAt(head, 0, [0xff, 0xd8, 0xff]),
+    extensions: { ".jpg": as("image", "image/jpeg"), ".jpeg": as("image", "image/jpeg") },
+    processable: true,
+  },
+  {
+    name: "png",
+    match: (head) => bytesAt(head, 0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    extensions: { ".png": as("image", "image/png") },
+    processable: true,
+  },
+  {
+    name: "gif",
+    match: (head) => asciiAt(head, 0, "GIF87a") || asciiAt(head, 0, "GIF89a"),
+    extensions: { ".gif": as("image", "image/gif") },
+    processable: true,
+  },
+  {
+    name: "webp",
+    match: (head) => asciiAt(head, 0, "RIFF") && asciiAt(head, 8, "WEBP"),
+    extensions: { ".webp": as("image", "image/webp") },
+    processable: true,
+  },
+  {
+    name: "iso-bmff",
+    match: (head) => asciiAt(head, 4, "ftyp"),
+    extensions: {
+      ".mp4": as("video", "video/mp4"),
+      ".mov": as("video", "video/quicktime"),
+      ".m4a": as("audio", "audio/mp4"),
+    },
+    processable: true,
+  },
+  {
+    name: "avi",
+    match: (head) => asciiAt(head, 0, "RIFF") && asciiAt(head, 8, "AVI "),
+    extensions: { ".avi": as("video", "video/x-msvideo") },
+    processable: true,
+  },
+  {
+    name: "matroska",
+    match: (head) => bytesAt(head, 0, [0x1a, 0x45, 0xdf, 0xa3]),
+    extensions: { ".mkv": as("video", "video/x-matroska"), ".webm": as("video", "video/webm") },
+    processable: true,
+  },
+  {
+    name: "wav",
+    match: (head) => asciiAt(head, 0, "RIFF") && asciiAt(head, 8, "WAVE"),
+    extensions: { ".wav": as("audio", "audio/wav") },
+  },
+  {
+    name: "ogg",
+    match: (head) => asciiAt(head, 0, "OggS"),
+    extensions: { ".ogg": as("audio", "audio/ogg") },
+  },
+  {
+    // ID3 tags precede MP3 and sometimes AAC streams
+    name: "id3",
+    match: (head) => asciiAt(head, 0, "ID3"),
+    extensions: { ".mp3": as("audio", "audio/mpeg"), ".aac": as("audio", "audio/aac") },
+  },
+  {
+    // ADTS frame sync: 12 set bits, then layer bits 00
+    name: "aac",
+    match: (head) => head[0] === 0xff && (head[1] & 0xf6) === 0xf0,
+    extensions: { ".aac": as("audio", "audio/aac") },
+  },
+  {
+    // MPEG audio frame sync: 11 set bits, then a non-zero layer
+    name: "mp3",
+    match: (head) => head[0] === 0xff && (head[1] & 0xe0) === 0xe0 && (head[1] & 0x06) !== 0,
+    extensions: { ".mp3": as("audio", "audio/mpeg") },
+  },
+  {
+    name: "pdf",
+    match: (head) => asciiAt(head, 0, "%PDF-"),
+    extensions: { ".pdf": as("pdf", "application/pdf") },
+  },
+];
+
+/**
+ * Media type an extension stands for ("image", "video", "audio", "pdf"), or null when not accepted
+ */
+export const getExtensionType = (filename) => {
+  const ext = path.extname(filename || "").toLowerCase();
+  const format = FILE_FORMATS.find((f) => f.extensions[ext]);
+  return format ? format.extensions[ext].type : null;
+};
+
+/**
+ * Whether files with this name go through the image/video pipeline
+ * @returns {string|null} "image" or "video", or null
+ */
+export const getProcessableType = (filename) => {
+  const ext = path.extname(filename || "").toLowerCase();
+  const format = FILE_FORMATS.find((f) => f.processable && f.extensions[ext]);
+  const type = format?.extensions[ext].type;
+  return type === "image" || type === "video" ? type : null;
+};
+
+/**
+ * Format whose signature matches the first bytes of a file, or null
+ */
+export const detectFileFormat = (head) => FILE_FORMATS.find((format) => format.match(head)) || null;
+
+const readFileHead = async (filePath) => {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(HEAD_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, HEAD_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Identify an uploaded file by its content and check the name it was uploaded under agrees
+ * @returns {Promise<{type?: string, mime?: string, format?: string, error?: string}>}
+ */
+export const identifyFile = async (filePath, filename) => {
+  const format = detectFileFormat(await readFileHead(filePath));
+  if (!format) return { error: "File content is not a supported image, video, audio or PDF file" };
+
+  const ext = path.extname(filename || "").toLowerCase();
+  const match = format.extensions[ext];
+  if (!match) {
+    return { error: `File content (${format.name}) does not match the ${ext || "missing"} extension` };
+  }
+  return { type: match.type, mime: match.mime, format: format.name };
+};
+
+/**
+ * Upload size limit of a media type in MB; `overrides` (e.g. uploadMedia's perTypeLimitsMB) win over env
+ */
+export const getMaxSizeMB = (type, overrides = {}) => {
+  const limit = MEDIA_TYPE_LIMITS[type];
+  if (!limit) return 0;
+  return Number(overrides[type] || process.env[limit.env] || limit.defaultMB);
+};
+
+/**
+ * All limits, as reported to clients: { imageMaxMB, videoMaxMB, audioMaxMB, pdfMaxMB }
+ */
+export const getUploadLimitsMB = (overrides = {}) => Object.fromEntries(
+  Object.keys(MEDIA_TYPE_LIMITS).map((type) => [`${type}MaxMB`, getMaxSizeMB(type, overrides)])
+);
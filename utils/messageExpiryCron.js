@@ -0,0 +1,77 @@
+import Message from "../models/Message.js";
+import { getIO } from "../config/socket.js";
+import { clearChatMessageCache } from "./messageHelper.js";
+import { unpinDeletedMessages } from "./messagePinHelper.js";
+import { removeMediaFiles } from "./mediaProcessingHelper.js";
+import { parseStorageRef } from "../config/storage.js";
+
+const SWEEP_BATCH_SIZE = 500;
+// Set while a sweep runs: a sweep slower than the interval must not be overlapped by the next
+// one, which would pick up the same batch and emit and delete its media twice
+let sweepInProgress = false;
+
+/**
+ * Remove disappearing messages past their expiry, delete their uploads and tell each chat room.
+ * Uploads still used by another message (e.g. a forwarded copy) are kept.
+ * Should be called every minute or so; reads already hide expired messages in between.
+ * A call made while a sweep is still running returns right away with `skipped: true`.
+ */
+export const sweepExpiredMessages = async () => {
+  if (sweepInProgress) return { removed: 0, skipped: true };
+  sweepInProgress = true;
+
+  try {
+    const now = new Date();
+    let removed = 0;
+    let batch;
+
+    do {
+      batch = await Message.find({ expiresAt: { $lte: now } })
+        .select("chatId mediaUrl")
+        .limit(SWEEP_BATCH_SIZE)
+        .lean();
+      if (batch.length === 0) break;
+
+      await Message.deleteMany({ _id: { $in: batch.map((m) => m._id) } });
+
+      const mediaUrls = new Set(batch.map((m) => m.mediaUrl).filter((url) => parseStorageRef(url)));
+      for (const mediaUrl of mediaUrls) {
+        if (!(await Message.exists({ mediaUrl }))) {
+          await removeMediaFiles(mediaUrl);
+        }
+      }
+
+      const messageIdsByChat = new Map();
+      batch.forEach((m) => {
+        const chatId = String(m.chatId);
+        if (!messageIdsByChat.has(chatId)) messageIdsByChat.set(chatId, []);
+        messageIdsByChat.get(chatId).push(m._id);
+      });
+
+      for (const [chatId, messageIds] of messageIdsByChat) {
+        await unpinDeletedMessages(chatId, messageIds);
+        await clearChatMessageCache(chatId);
+        try {
+          getIO().to(`chat:${chatId}`).emit("message:expired", {
+            chatId,
+            messageIds: messageIds.map(String)
+          });
+        } catch (error) {
+          console.error("Socket emit error (message expired):", error.message);
+        }
+      }
+
+      removed += batch.length;
+    } while (batch.length === SWEEP_BATCH_SIZE);
+
+    if (removed > 0) {
+      console.log(`🧹 Removed ${removed} expired messages`);
+    }
+    return { removed };
+  } catch (error) {
+    console.error("❌ Error sweeping expired messages:", error);
+    return { removed: 0, error: error.message };
+  } finally {
+    sweepInProgress = false;
+  }
+};
@@ -0,0 +1,422 @@
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import ChatConversation from "../models/ChatConversation.js";
+import ChatRequest from "../models/ChatRequest.js";
+import redisClient from "../config/redis.js";
+import {
+  createCompactSender,
+  createMessageLookup,
+  createMessageResponse,
+  createSearchSnippet,
+  escapeRegex
+} from "./messageUtils.js";
+
+export const MESSAGE_SENDER_FIELDS = "firstname lastname email profileimg isDeleted";
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * When a user joined a conversation (group members only see history from then on)
+ * @param {Object} conversation - ChatConversation document or lean object
+ * @returns {Date|null}
+ */
+export const getJoinedAt = (conversation, userId) => {
+  const joinedAtByUser = conversation?.joinedAtByUser;
+  if (!joinedAtByUser) return null;
+  const entry = typeof joinedAtByUser.get === "function"
+    ? joinedAtByUser.get(String(userId))
+    : joinedAtByUser[String(userId)];
+  return entry ? new Date(entry) : null;
+};
+
+/**
+ * Load just the join time of a user in a conversation
+ */
+export const findJoinedAt = async (chatId, userId) => {
+  const conversation = await ChatConversation.findOne({ chatRequestId: chatId }).select("joinedAtByUser");
+  return getJoinedAt(conversation, userId);
+};
+
+/**
+ * Filter for the messages of a chat that a user can see: not deleted just for them,
+ * not expired and, for late group joiners, not older than their join time
+ */
+export const visibleMessagesQuery = (chatId, userId, joinedAt = null) => {
+  const query = {
+    chatId: toObjectId(chatId),
+    "deletedForMe.userId": { $ne: toObjectId(userId) },
+    // Expired disappearing messages stay hidden until the sweeper removes them
+    expiresAt: { $not: { $lte: new Date() } }
+  };
+  if (joinedAt) query.createdAt = { $gte: new Date(joinedAt) };
+  return query;
+};
+
+/**
+ * Whether a single message is visible to a user (see visibleMessagesQuery)
+ */
+export const isMessageVisibleTo = (message, userId, joinedAt = null) => {
+  if (!message) return false;
+  if (message.expiresAt && new Date(message.expiresAt) <= new Date()) return false;
+  if ((message.deletedForMe || []).some((entry) => String(entry.userId) === String(userId))) return false;
+  return !(joinedAt && new Date(message.createdAt) < new Date(joinedAt));
+};
+
+/**
+ * Store a new message and return it with the sender populated.
+ * It expires per the chat's disappearing timer unless `fields.expiresAt` says otherwise.
+ * @param {string} chatId - conversation key (chat request or group root id)
+ * @param {Object} fields - sender, content, mediaUrl, messageType, replyTo, audio, media, isForwarded, forwardedFrom
+ */
+export const createChatMessage = async (chatId, fields) => {
+  const conversation = await ChatConversation.findOne({ chatRequestId: chatId }).select("disappearingTimer");
+  const expiresAt = conversation?.disappearingTimer
+    ? new Date(Date.now() + conversation.disappearingTimer * 1000)
+    : null;
+  const message = await Message.create({ chatId, expiresAt, ...fields });
+  return message.populate({ path: "sender", select: MESSAGE_SENDER_FIELDS });
+};
+
+/**
+ * Newest message of a chat the user can see, ignoring messages deleted for everyone
+ */
+export const findLastVisibleMessage = (chatId, userId, joinedAt = null) =>
+  Message.findOne({ ...visibleMessagesQuery(chatId, userId, joinedAt), isDeleteEvery: { $ne: true } })
+    .sort({ createdAt: -1, _id: -1 })
+    .populate({ path: "sender", select: "firstname lastname email profileimg" });
+
+/**
+ * Visible messages newer than the user's last read time (all visible messages if never read)
+ */
+export const countUnreadMessages = (chatId, userId, { lastReadAt = null, joinedAt = null } = {}) => {
+  const query = { ...visibleMessagesQuery(chatId, userId, joinedAt), isDeleteEvery: { $ne: true } };
+  if (lastReadAt) query.createdAt = { ...(query.createdAt || {}), $gt: new Date(lastReadAt) };
+  return Message.countDocuments(query);
+};
+
+/**
+ * Lookup of the messages quoted by `messages`, for createMessageResponse's `messagesById`
+ */
+export const loadReplyTargets = async (messages = []) => {
+  const replyIds = Array.from(new Set(messages.filter((m) => m?.replyTo).map((m) => String(m.replyTo))));
+  if (replyIds.length === 0) return new Map();
+
+  const targets = await Message.find({ _id: { $in: replyIds } })
+    .select("sender content messageType isDeleteEvery expiresAt createdAt")
+    .populate({ path: "sender", select: "firstname lastname isDeleted" });
+  return createMessageLookup(targets);
+};
+
+export const MESSAGE_CURSOR_MODES = ["before", "after", "around"];
+
+/**
+ * Pick the history cursor out of request params; at most one of before / after / around
+ * @returns {{before?: string, after?: string, around?: string, error?: string}}
+ */
+export const parseMessageCursor = (params = {}) => {
+  const provided = MESSAGE_CURSOR_MODES.filter((mode) => params[mode] !== undefined && params[mode] !== null && params[mode] !== "");
+  if (provided.length === 0) return {};
+  if (provided.length > 1) return { error: "Use only one of before, after or around" };
+
+  const [mode] = provided;
+  const id = String(params[mode]);
+  if (!mongoose.Types.ObjectId.isValid(id)) return { error: `Invalid ${mode} cursor` };
+  return { [mode]: id };
+};
+
+// Messages strictly older / newer than `message` in (createdAt, _id) order
+const olderThan = (message) => ({
+  $or: [
+    { createdAt: { $lt: message.createdAt } },
+    { createdAt: message.createdAt, _id: { $lt: message._id } }
+  ]
+});
+const newerThan = (message) => ({
+  $or: [
+    { createdAt: { $gt: message.createdAt } },
+    { createdAt: message.createdAt, _id: { $gt: message._id } }
+  ]
+});
+
+const findPageRows = (query, sort, limit) =>
+  Message.find(query)
+    .sort(sort)
+    .limit(limit)
+    .populate({ path: "sender", select: MESSAGE_SENDER_FIELDS });
+
+/**
+ * One page of a chat's visible history, newest first, with senders populated.
+ * Without a cursor `page` is an offset from the newest message. With a message id cursor
+ * (`before`, `after` or `around`, at most one) pages stay stable while new messages arrive:
+ * - before: the `limit` messages older than the cursor
+ * - after: the `limit` messages newer than the cursor
+ * - around: the cursor message with the messages on both sides of it (to jump to a search hit)
+ * @param {Object} params - { chatId, userId, joinedAt, limit, page, before, after, around, search }
+ * @returns {Promise<{messages: Array, totalItems: number, hasOlder: boolean, hasNewer: boolean, cursorNotFound?: boolean}>}
+ */
+export const findMessagePage = async ({
+  chatId,
+  userId,
+  joinedAt = null,
+  limit = 10,
+  page = 1,
+  before = null,
+  after = null,
+  around = null,
+  search = ""
+}) => {
+  const query = visibleMessagesQuery(chatId, userId, joinedAt);
+  if (search) {
+    query.isDeleteEvery = { $ne: true };
+    query.content = { $regex: escapeRegex(search), $options: "i" };
+  }
+  const totalItems = await Message.countDocuments(query);
+
+  const cursorId = before || after || around;
+  if (!cursorId) {
+    // One extra row tells whether an older page exists
+    const rows = await findPageRows(query, { createdAt: -1, _id: -1 }, limit + 1).skip((page - 1) * limit);
+    const hasOlder = rows.length > limit;
+    return { messages: hasOlder ? rows.slice(0, limit) : rows, totalItems, hasOlder, hasNewer: page > 1 && totalItems > 0 };
+  }
+
+  // The cursor must be a message the user can see (and, when searching, one of the hits)
+  const cursor = await Message.findOne({ ...query, _id: cursorId }).select("createdAt");
+  if (!cursor) {
+    return { messages: [], totalItems, hasOlder: false, hasNewer: false, cursorNotFound: true };
+  }
+
+  if (before) {
+    const rows = await findPageRows({ $and: [query, olderThan(cursor)] }, { createdAt: -1, _id: -1 }, limit + 1);
+    const hasOlder = rows.length > limit;
+    // The cursor itself is newer than everything returned
+    return { messages: hasOlder ? rows.slice(0, limit) : rows, totalItems, hasOlder, hasNewer: true };
+  }
+
+  if (after) {
+    const rows = await findPageRows({ $and: [query, newerThan(cursor)] }, { createdAt: 1, _id: 1 }, limit + 1);
+    const hasNewer = rows.length > limit;
+    // Oldest first from the query; the cursor itself is older than everything returned
+    return { messages: (hasNewer ? rows.slice(0, limit) : rows).reverse(), totalItems, hasOlder: true, hasNewer };
+  }
+
+  // around: the cursor plus up to half a page of newer messages, the rest older
+  const newerLimit = Math.floor((limit - 1) / 2);
+  const olderLimit = limit - 1 - newerLimit;
+  const [target, olderRows, newerRows] = await Promise.all([
+    findPageRows({ _id: cursor._id }, { createdAt: -1 }, 1),
+    findPageRows({ $and: [query, olderThan(cursor)] }, { createdAt: -1, _id: -1 }, olderLimit + 1),
+    findPageRows({ $and: [query, newerThan(cursor)] }, { createdAt: 1, _id: 1 }, newerLimit + 1)
+  ]);
+  const hasOlder = olderRows.length > olderLimit;
+  const hasNewer = newerRows.length > newerLimit;
+  return {
+    messages: [
+      ...newerRows.slice(0, newerLimit).reverse(),
+      ...target,
+      ...olderRows.slice(0, olderLimit)
+    ],
+    totalItems,
+    hasOlder,
+    hasNewer
+  };
+};
+
+/**
+ * findMessagePage rendered for `userId` with createMessageResponse, plus the pagination block.
+ * `olderCursor` / `newerCursor` are the ids to pass as `before` / `after` for the next page (null at either end).
+ * @param {Object} params - findMessagePage params plus `responseChatId` and, for groups,
+ *   `getRecipientIds(message)` used for the status of the user's own messages
+ * @returns {Promise<{messages?: Array, pagination?: Object, cursorNotFound?: boolean}>}
+ */
+export const loadMessageHistory = async ({ responseChatId, getRecipientIds = null, ...params }) => {
+  const { userId, limit = 10, page = 1 } = params;
+  const result = await findMessagePage(params);
+  if (result.cursorNotFound) return { cursorNotFound: true };
+
+  const messagesById = await loadReplyTargets(result.messages);
+  const messages = result.messages
+    .map((m) => {
+      try {
+        const recipientIds = getRecipientIds ? getRecipientIds(m) : null;
+        return createMessageResponse(m, userId, responseChatId, { recipientIds, messagesById });
+      } catch (error) {
+        console.warn("Error creating message response:", error.message);
+        return null;
+      }
+    })
+    .filter((m) => m !== null);
+
+  const usesCursor = MESSAGE_CURSOR_MODES.some((mode) => params[mode]);
+  const pagination = {
+    currentPage: usesCursor ? null : page,
+    totalPages: Math.ceil(result.totalItems / limit),
+    totalItems: result.totalItems,
+    itemsPerPage: limit,
+    hasOlder: result.hasOlder,
+    hasNewer: result.hasNewer,
+    olderCursor: result.hasOlder && messages.length > 0 ? messages[messages.length - 1]._id : null,
+    newerCursor: result.hasNewer && messages.length > 0 ? messages[0]._id : null,
+  };
+
+  return { messages, pagination };
+};
+
+const CHAT_MEMBER_FIELDS = "firstname lastname profileimg isDeleted";
+const MAX_SEARCH_TERMS = 10;
+
+/**
+ * Every chat a user can read: accepted individual chats and the groups they belong to,
+ * each with a display name and the user's join time (late joiners only see later history)
+ * @returns {Promise<Array<{chatId: string, chatType: string, name: string, image: string|null, joinedAt: Date|null}>>}
+ */
+export const findUserChats = async (userId) => {
+  const [individualChats, groups] = await Promise.all([
+    ChatRequest.find({
+      chatType: "individual",
+      status: "accepted",
+      $or: [{ senderId: userId }, { receiverId: userId }]
+    })
+      .select("senderId receiverId")
+      .populate([
+        { path: "senderId", select: CHAT_MEMBER_FIELDS },
+        { path: "receiverId", select: CHAT_MEMBER_FIELDS }
+      ]),
+    ChatRequest.find({
+      chatType: "group",
+      receiverId: null,
+      $or: [{ groupAdmin: userId }, { superAdmins: userId }, { members: userId }]
+    }).select("name groupImage")
+  ]);
+
+  const conversations = groups.length > 0
+    ? await ChatConversation.find({ chatRequestId: { $in: groups.map((g) => g._id) } }).select("chatRequestId joinedAtByUser")
+    : [];
+  const joinedAtByChat = new Map(conversations.map((c) => [String(c.chatRequestId), getJoinedAt(c, userId)]));
+
+  return [
+    ...individualChats.map((chat) => {
+      const other = String(chat.senderId?._id) === String(userId) ? chat.receiverId : chat.senderId;
+      const isDeleted = !other || other.isDeleted === true;
+      return {
+        chatId: String(chat._id),
+        chatType: "individual",
+        name: isDeleted ? "Profile Deleted" : `${other.firstname || ""} ${other.lastname || ""}`.trim(),
+        image: isDeleted ? "/uploads/default.png" : (other.profileimg || null),
+        joinedAt: null
+      };
+    }),
+    ...groups.map((group) => ({
+      chatId: String(group._id),
+      chatType: "group",
+      name: group.name || "",
+      image: group.groupImage || null,
+      joinedAt: joinedAtByChat.get(String(group._id)) || null
+    }))
+  ];
+};
+
+/**
+ * Full-text search over every chat the user can read. Hits follow the same visibility rules as
+ * the history (deleted for me, late joiners) and skip messages deleted for everyone, newest first.
+ * Each hit carries `cursor.around` to open the chat at that message.
+ * @param {Object} params - { userId, q, page, limit }
+ * @returns {Promise<{hits: Array, totalItems: number}>}
+ */
+export const searchUserMessages = async ({ userId, q, page = 1, limit = 20 }) => {
+  // Plain terms only: quotes and leading "-" would turn into $text phrase / negation syntax
+  const terms = String(q || "")
+    .split(/\s+/)
+    .map((term) => term.replace(/["\\]/g, "").replace(/^-+/, ""))
+    .filter(Boolean)
+    .slice(0, MAX_SEARCH_TERMS);
+  if (terms.length === 0) return { hits: [], totalItems: 0 };
+
+  const chats = await findUserChats(userId);
+  if (chats.length === 0) return { hits: [], totalItems: 0 };
+  const chatsById = new Map(chats.map((chat) => [chat.chatId, chat]));
+
+  const query = {
+    $text: { $search: terms.join(" ") },
+    isDeleteEvery: { $ne: true },
+    $or: chats.map((chat) => visibleMessagesQuery(chat.chatId, userId, chat.joinedAt))
+  };
+
+  const [totalItems, messages] = await Promise.all([
+    Message.countDocuments(query),
+    Message.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate({ path: "sender", select: "firstname lastname isDeleted" })
+  ]);
+
+  const hits = messages.map((message) => {
+    const chat = chatsById.get(String(message.chatId));
+    const { snippet, highlights } = createSearchSnippet(message.content, terms);
+    return {
+      messageId: String(message._id),
+      chatId: chat.chatId,
+      chatType: chat.chatType,
+      chatName: chat.name,
+      chatImage: chat.image,
+      sender: createCompactSender(message.sender),
+      messageType: message.messageType || "text",
+      snippet,
+      highlights,
+      createdAt: message.createdAt,
+      cursor: { around: String(message._id) }
+    };
+  });
+
+  return { hits, totalItems };
+};
+
+const messageCacheVersionKey = (chatId) => `chat:${String(chatId)}:messages:version`;
+
+/**
+ * Redis key for one cached history response. Keys embed a per-chat version, so
+ * clearChatMessageCache drops every cached page and cursor window of the chat at once.
+ * @param {Object} params - whatever identifies the response (page, limit, cursor, search)
+ */
+export const getMessageCacheKey = async (chatId, userId, params = {}) => {
+  let version = 0;
+  try {
+    version = (await redisClient.get(messageCacheVersionKey(chatId))) || 0;
+  } catch { }
+  const suffix = Object.entries(params).map(([key, value]) => `${key}:${value ?? ""}`).join(":");
+  return `chat:${String(chatId)}:v${version}:user:${String(userId)}${suffix ? `:${suffix}` : ""}`;
+};
+
+/**
+ * Seconds to cache a history response: `maxSeconds`, cut short so the entry is gone by the time
+ * the first disappearing message in it expires (at least 1)
+ * @param {Array<{expiresAt?: Date|string|null}>} messages - messages of the response
+ */
+export const getMessageCacheTtl = (messages = [], maxSeconds) => {
+  const now = Date.now();
+  return messages.reduce((ttl, message) => {
+    if (!message?.expiresAt) return ttl;
+    const secondsLeft = Math.floor((new Date(message.expiresAt).getTime() - now) / 1000);
+    return Math.max(1, Math.min(ttl, secondsLeft));
+  }, maxSeconds);
+};
+
+/**
+ * Messages of a cached history response that have not expired since it was cached
+ */
+export const dropExpiredMessages = (messages = []) => {
+  const now = new Date();
+  return messages.filter((message) => !message?.expiresAt || new Date(message.expiresAt) > now);
+};
+
+/**
+ * Invalidate the cached history of a chat after messages, receipts or reactions change
+ */
+export const clearChatMessageCache = async (chatId) => {
+  try {
+    await redisClient.incr(messageCacheVersionKey(chatId));
+  } catch (err) {
+    console.warn(`Redis message cache clear failed for chat ${chatId}:`, err.message);
+  }
+};
@@ -0,0 +1,136 @@
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import ChatConversation from "../models/ChatConversation.js";
+import { getIO } from "../config/socket.js";
+import { checkUserDeleted } from "./chatHelper.js";
+import { createMessageLookup, createReplyPreview } from "./messageUtils.js";
+import { clearChatMessageCache, findJoinedAt, getJoinedAt, isMessageVisibleTo } from "./messageHelper.js";
+
+export const PIN_ACTIONS = ["pin", "unpin"];
+export const MAX_PINNED_MESSAGES = 3;
+
+/**
+ * Pinned messages for the chat header, most recently pinned first.
+ * Pins the viewer cannot see (deleted, deleted for them, from before they joined) are left out.
+ * @param {string} chatKeyId - conversation key (chat request or group root id)
+ * @param {string} userId - viewer
+ * @returns {Promise<Array>} reply-style previews with pinnedBy / pinnedAt
+ */
+export const getPinnedMessages = async (chatKeyId, userId) => {
+  const convo = await ChatConversation.findOne({ chatRequestId: chatKeyId }).select("pinnedMessages joinedAtByUser");
+  const pins = convo?.pinnedMessages || [];
+  if (pins.length === 0) return [];
+
+  const messages = await Message.find({ _id: { $in: pins.map((pin) => pin.message) }, chatId: chatKeyId })
+    .select("sender content messageType isDeleteEvery deletedForMe expiresAt createdAt")
+    .populate({ path: "sender", select: "firstname lastname isDeleted" });
+  const messagesById = createMessageLookup(messages);
+  const joinedAt = getJoinedAt(convo, userId);
+
+  return pins
+    .filter((pin) => {
+      const message = messagesById.get(String(pin.message));
+      return message && message.isDeleteEvery !== true && isMessageVisibleTo(message, userId, joinedAt);
+    })
+    .reverse()
+    .map((pin) => ({
+      ...createReplyPreview(messagesById.get(String(pin.message))),
+      pinnedBy: String(pin.pinnedBy),
+      pinnedAt: pin.pinnedAt,
+    }));
+};
+
+/**
+ * Pin or unpin a message and broadcast `message:pinned` to the chat room.
+ * The caller must already have checked that the user may pin in this chat.
+ * @param {Object} params - { chatKeyId, messageId, userId, action }
+ * @returns {Promise<{pinnedMessageIds?: string[], error?: string, statusCode?: number}>}
+ */
+export const setMessagePinned = async ({ chatKeyId, messageId, userId, action = "pin" }) => {
+  if (!PIN_ACTIONS.includes(action)) {
+    return { error: "action must be pin or unpin", statusCode: 400 };
+  }
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    return { error: "Invalid message ID format", statusCode: 400 };
+  }
+
+  const messageObjectId = new mongoose.Types.ObjectId(String(messageId));
+  let convo;
+
+  if (action === "pin") {
+    const message = await Message.findOne({ _id: messageId, chatId: chatKeyId });
+    if (!isMessageVisibleTo(message, userId, await findJoinedAt(chatKeyId, userId))) {
+      return { error: "Message not found", statusCode: 404 };
+    }
+    if (message.isDeleteEvery === true) {
+      return { error: "Cannot pin a deleted message", statusCode: 400 };
+    }
+
+    // Not pinned yet and below the cap, checked in the same update so concurrent pins cannot overshoot
+    convo = await ChatConversation.findOneAndUpdate(
+      {
+        chatRequestId: chatKeyId,
+        "pinnedMessages.message": { $ne: messageObjectId },
+        [`pinnedMessages.${MAX_PINNED_MESSAGES - 1}`]: { $exists: false }
+      },
+      { $push: { pinnedMessages: { message: messageObjectId, pinnedBy: userId, pinnedAt: new Date() } } },
+      { new: true }
+    );
+    if (!convo) {
+      const current = await ChatConversation.findOne({ chatRequestId: chatKeyId }).select("pinnedMessages");
+      const pins = current?.pinnedMessages || [];
+      if (pins.some((pin) => String(pin.message) === String(messageId))) {
+        return { error: "Message is already pinned", statusCode: 400 };
+      }
+      return { error: `You can pin up to ${MAX_PINNED_MESSAGES} messages`, statusCode: 400 };
+    }
+  } else {
+    convo = await ChatConversation.findOneAndUpdate(
+      { chatRequestId: chatKeyId, "pinnedMessages.message": messageObjectId },
+      { $pull: { pinnedMessages: { message: messageObjectId } } },
+      { new: true }
+    );
+    if (!convo) {
+      return { error: "Message is not pinned", statusCode: 404 };
+    }
+  }
+
+  const pinnedMessageIds = (convo.pinnedMessages || []).map((pin) => String(pin.message)).reverse();
+
+  await clearChatMessageCache(chatKeyId);
+
+  try {
+    const { isDeleted, user } = await checkUserDeleted(userId);
+    const actor = isDeleted || !user
+      ? (user || { _id: String(userId) })
+      : {
+        _id: String(user._id),
+        firstname: user.firstname,
+        lastname: user.lastname,
+        profileimg: user.profileimg
+      };
+
+    getIO().to(`chat:${String(chatKeyId)}`).emit("message:pinned", {
+      chatId: String(chatKeyId),
+      messageId: String(messageId),
+      action,
+      user: actor,
+      pinnedMessageIds
+    });
+  } catch (error) {
+    console.error("Socket emit error (message pin):", error.message);
+  }
+
+  return { pinnedMessageIds };
+};
+
+/**
+ * Drop pins of messages that were deleted for everyone
+ */
+export const unpinDeletedMessages = async (chatKeyId, messageIds = []) => {
+  if (messageIds.length === 0) return;
+  await ChatConversation.updateOne(
+    { chatRequestId: chatKeyId },
+    { $pull: { pinnedMessages: { message: { $in: messageIds } } } }
+  );
+};
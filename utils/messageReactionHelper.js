@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import { getIO } from "../config/socket.js";
+import { checkUserDeleted } from "./chatHelper.js";
+import { groupReactions } from "./messageUtils.js";
+import { clearChatMessageCache, findJoinedAt, isMessageVisibleTo } from "./messageHelper.js";
+
+export const REACTION_ACTIONS = ["add", "remove"];
+
+const MAX_EMOJI_LENGTH = 32;
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+
+/**
+ * A single emoji, including skin tones, ZWJ sequences, flags and keycaps
+ */
+export const isValidEmoji = (emoji) =>
+  typeof emoji === "string" &&
+  emoji.length > 0 &&
+  emoji.length <= MAX_EMOJI_LENGTH &&
+  /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f\u20e3]+$/u.test(emoji) &&
+  /[\p{Extended_Pictographic}\p{Regional_Indicator}\u20e3]/u.test(emoji) &&
+  Array.from(graphemeSegmenter.segment(emoji)).length === 1;
+
+/**
+ * Add or remove the user's reaction on a message and broadcast `message:reaction` to the chat room.
+ * A user has at most one reaction per message; adding a different emoji replaces it.
+ * The caller must already have checked that the user participates in the chat.
+ * @param {Object} params - { chatKeyId, messageId, userId, emoji, action }
+ * @returns {Promise<{reactions?: Array, error?: string, statusCode?: number}>}
+ */
+export const reactToMessage = async ({ chatKeyId, messageId, userId, emoji, action = "add" }) => {
+  if (!REACTION_ACTIONS.includes(action)) {
+    return { error: "action must be add or remove", statusCode: 400 };
+  }
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    return { error: "Invalid message ID format", statusCode: 400 };
+  }
+  if (action === "add" && !isValidEmoji(emoji)) {
+    return { error: "A single emoji is required", statusCode: 400 };
+  }
+
+  const userObjectId = new mongoose.Types.ObjectId(String(userId));
+
+  const message = await Message.findOne({ _id: messageId, chatId: chatKeyId });
+  if (!isMessageVisibleTo(message, userId, await findJoinedAt(chatKeyId, userId))) {
+    return { error: "Message not found", statusCode: 404 };
+  }
+  if (message.isDeleteEvery === true) {
+    return { error: "Cannot react to a deleted message", statusCode: 400 };
+  }
+
+  // One update either way: an add swaps the user's entry in a pipeline, so concurrent adds
+  // from the same user cannot both land between a separate $pull and $push
+  const update = action === "add"
+    ? [{
+      $set: {
+        reactions: {
+          $concatArrays: [
+            {
+              $filter: {
+                input: { $ifNull: ["$reactions", []] },
+                cond: { $ne: ["$$this.user", userObjectId] }
+              }
+            },
+            [{ user: userObjectId, emoji, reactedAt: new Date() }]
+          ]
+        }
+      }
+    }]
+    : { $pull: { reactions: { user: userObjectId } } };
+  const updated = await Message.findByIdAndUpdate(message._id, update, { new: true });
+  const reactions = updated?.reactions || [];
+
+  await clearChatMessageCache(chatKeyId);
+
+  try {
+    const { isDeleted, user } = await checkUserDeleted(userId);
+    const actor = isDeleted || !user
+      ? (user || { _id: String(userId) })
+      : {
+        _id: String(user._id),
+        firstname: user.firstname,
+        lastname: user.lastname,
+        profileimg: user.profileimg
+      };
+
+    getIO().to(`chat:${String(chatKeyId)}`).emit("message:reaction", {
+      chatId: String(chatKeyId),
+      messageId: String(messageId),
+      action,
+      emoji: action === "add" ? emoji : null,
+      user: actor,
+      reactions: groupReactions(reactions)
+    });
+  } catch (error) {
+    console.error("Socket emit error (message reaction):", error.message);
+  }
+
+  return { reactions };
+};
@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * Messages a receipt applies to: messages of the chat from other participants,
+ * optionally narrowed by id and creation time
+ */
+const buildMessageFilter = (chatId, userObjectId, { messageIds, since, until } = {}) => {
+  const filter = { chatId: toObjectId(chatId), sender: { $ne: userObjectId } };
+
+  if (Array.isArray(messageIds) && messageIds.length > 0) {
+    filter._id = {
+      $in: messageIds.filter((id) => mongoose.Types.ObjectId.isValid(id)).map(toObjectId),
+    };
+  }
+
+  if (since || until) {
+    filter.createdAt = {};
+    if (since) filter.createdAt.$gte = new Date(since);
+    if (until) filter.createdAt.$lte = new Date(until);
+  }
+
+  return filter;
+};
+
+/**
+ * Record that a user received messages of a chat.
+ * Messages that already have a receipt for the user are left untouched.
+ * @param {string} chatId - conversation key (chat request or group root id)
+ * @param {string} userId - recipient
+ * @param {Object} [options] - { messageIds, since, until } narrow the messages; defaults to all
+ * @returns {Promise<boolean>} whether any receipt was added
+ */
+export const markMessagesDelivered = async (chatId, userId, options = {}) => {
+  const userObjectId = toObjectId(userId);
+
+  const result = await Message.updateMany(
+    { ...buildMessageFilter(chatId, userObjectId, options), "receipts.user": { $ne: userObjectId } },
+    { $push: { receipts: { user: userObjectId, deliveredAt: new Date() } } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Record that a user read messages of a chat (implies delivery).
+ * @param {string} chatId - conversation key (chat request or group root id)
+ * @param {string} userId - reader
+ * @param {Object} [options] - { messageIds, since, until } narrow the messages; defaults to all
+ * @returns {Promise<boolean>} whether any receipt changed
+ */
+export const markMessagesRead = async (chatId, userId, options = {}) => {
+  const userObjectId = toObjectId(userId);
+  const messageFilter = buildMessageFilter(chatId, userObjectId, options);
+  const now = new Date();
+
+  // Delivered earlier: stamp the existing receipt
+  const stamped = await Message.updateMany(
+    { ...messageFilter, receipts: { $elemMatch: { user: userObjectId, readAt: null } } },
+    { $set: { "receipts.$[r].readAt": now } },
+    { arrayFilters: [{ "r.user": userObjectId, "r.readAt": null }] }
+  );
+
+  // Never acknowledged as delivered: add a complete receipt
+  const added = await Message.updateMany(
+    { ...messageFilter, "receipts.user": { $ne: userObjectId } },
+    { $push: { receipts: { user: userObjectId, deliveredAt: now, readAt: now } } }
+  );
+
+  return stamped.modifiedCount > 0 || added.modifiedCount > 0;
+};
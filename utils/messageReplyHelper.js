@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import { findJoinedAt, isMessageVisibleTo } from "./messageHelper.js";
+
+/**
+ * Load the message a new message replies to and check the sender can see it
+ * (not deleted for everyone or for them, not from before they joined the group)
+ * @param {string} chatKeyId - conversation key (chat request or group root id)
+ * @param {string} replyToId - quoted message id
+ * @param {string} userId - sender of the reply
+ * @returns {Promise<{message?: Object, error?: string}>}
+ */
+export const resolveReplyTarget = async (chatKeyId, replyToId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(replyToId)) {
+    return { error: "Invalid replyTo message ID" };
+  }
+
+  const message = await Message.findOne({ _id: replyToId, chatId: chatKeyId })
+    .populate({ path: "sender", select: "firstname lastname isDeleted" });
+
+  if (!isMessageVisibleTo(message, userId, await findJoinedAt(chatKeyId, userId))) {
+    return { error: "Replied message not found" };
+  }
+
+  if (message.isDeleteEvery === true) {
+    return { error: "Cannot reply to a deleted message" };
+  }
+
+  return { message };
+};
@@ -1,4 +1,165 @@
-export const createMessageResponse = (message, userId, chatId = null) => {
+import { isPrivateRef } from "../config/storage.js";
+
+/**
+ * Recipients a message was addressed to: the other participants who had already joined when it was sent
+ * @param {Object} message - message with sender and createdAt
+ * @param {string[]} participantIds - current chat participants
+ * @param {Map|Object} [joinedAtByUser] - ChatConversation.joinedAtByUser
+ */
+export const getMessageRecipients = (message, participantIds, joinedAtByUser = null) => {
+  const senderId = String(message.sender?._id || message.sender);
+  const sentAt = message.createdAt ? new Date(message.createdAt) : null;
+
+  return participantIds.map(String).filter((participantId) => {
+    if (participantId === senderId) return false;
+    const joinedAt = typeof joinedAtByUser?.get === "function"
+      ? joinedAtByUser.get(participantId)
+      : joinedAtByUser?.[participantId];
+    return !(joinedAt && sentAt && new Date(joinedAt) > sentAt);
+  });
+};
+
+/**
+ * Delivery state of a message: "sent", "delivered" (every recipient received it) or "read" (every recipient read it).
+ * Without `recipientIds` (individual chats) a single receipt is enough.
+ */
+export const getMessageStatus = (message, recipientIds = null) => {
+  const receipts = message.receipts || [];
+  const relevant = recipientIds
+    ? receipts.filter((receipt) => recipientIds.includes(String(receipt.user)))
+    : receipts;
+  const expected = recipientIds ? recipientIds.length : 1;
+
+  if (expected === 0 || relevant.length < expected) return "sent";
+  if (relevant.filter((receipt) => receipt.readAt).length >= expected) return "read";
+  return "delivered";
+};
+
+const REPLY_SNIPPET_LENGTH = 100;
+const SEARCH_SNIPPET_LENGTH = 120;
+// Characters of context kept before the first search hit in a snippet
+const SEARCH_SNIPPET_CONTEXT = 30;
+
+/**
+ * Escape user input for use as a literal inside a RegExp / $regex
+ */
+export const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Per-emoji reaction summary in first-reacted order: [{ emoji, count, userIds }]
+ */
+export const groupReactions = (reactions = []) => {
+  const byEmoji = new Map();
+  for (const reaction of reactions) {
+    if (!byEmoji.has(reaction.emoji)) byEmoji.set(reaction.emoji, []);
+    byEmoji.get(reaction.emoji).push(String(reaction.user));
+  }
+  return Array.from(byEmoji, ([emoji, userIds]) => ({ emoji, count: userIds.length, userIds }));
+};
+
+/**
+ * Reaction summary for one viewer: [{ emoji, count, reactedByMe }]
+ */
+export const summarizeReactions = (reactions, userId) =>
+  groupReactions(reactions).map(({ emoji, count, userIds }) => ({
+    emoji,
+    count,
+    reactedByMe: userIds.includes(String(userId))
+  }));
+
+/**
+ * Map of message id -> message, used to resolve quoted messages
+ */
+export const createMessageLookup = (messages = []) =>
+  new Map(messages.filter(Boolean).map((m) => [String(m._id), m]));
+
+/**
+ * Sender as shown in previews and search hits: id and name, deleted profiles anonymised
+ */
+export const createCompactSender = (sender) => {
+  if (!sender?._id) return { _id: String(sender) };
+  return sender.isDeleted === true
+    ? { _id: String(sender._id), firstname: "Profile", lastname: "Deleted", isDeleted: true }
+    : { _id: String(sender._id), firstname: sender.firstname, lastname: sender.lastname };
+};
+
+/**
+ * Snippet of a search hit around the first matching term, with the offsets of every
+ * term occurrence inside the snippet so clients can highlight them
+ * @param {string} content - message text
+ * @param {string[]} terms - search terms
+ * @returns {{snippet: string, highlights: Array<{start: number, end: number}>}}
+ */
+export const createSearchSnippet = (content, terms = []) => {
+  const text = String(content || "");
+  const pattern = terms.length > 0 ? new RegExp(terms.map(escapeRegex).join("|"), "gi") : null;
+
+  let start = 0;
+  const firstMatch = pattern ? text.search(pattern) : -1;
+  if (text.length > SEARCH_SNIPPET_LENGTH && firstMatch > SEARCH_SNIPPET_CONTEXT) {
+    start = Math.min(firstMatch - SEARCH_SNIPPET_CONTEXT, text.length - SEARCH_SNIPPET_LENGTH);
+  }
+  const end = Math.min(start + SEARCH_SNIPPET_LENGTH, text.length);
+  const snippet = `${start > 0 ? "…" : ""}${text.slice(start, end)}${end < text.length ? "…" : ""}`;
+
+  const highlights = pattern
+    ? Array.from(snippet.matchAll(pattern), (match) => ({ start: match.index, end: match.index + match[0].length }))
+    : [];
+  return { snippet, highlights };
+};
+
+// Files of a message a client can ask for with ?variant= on the chat media route
+export const CHAT_MEDIA_VARIANTS = ["thumb", "small", "medium", "poster"];
+
+/**
+ * Client URL of a file attached to a message. Private chat files are only served through the
+ * authenticated GET /api/chat/media/:messageId route; other references (files uploaded before
+ * chat media became private, external URLs) are returned as they are.
+ * @param {Object} message - message with _id
+ * @param {string|null} ref - stored reference (mediaUrl, a variant or the poster)
+ * @param {string} [variant] - one of CHAT_MEDIA_VARIANTS
+ */
+export const getMessageMediaUrl = (message, ref, variant = null) => {
+  if (!ref) return null;
+  if (!isPrivateRef(ref)) return ref;
+  return `/api/chat/media/${String(message._id)}${variant ? `?variant=${variant}` : ""}`;
+};
+
+/**
+ * Compact preview of a quoted message: sender, snippet and media type.
+ * A missing or expired message, or one deleted for everyone, shows as deleted.
+ */
+export const createReplyPreview = (message, replyToId = null) => {
+  const isExpired = message?.expiresAt && new Date(message.expiresAt) <= new Date();
+  if (!message || message.isDeleteEvery === true || isExpired) {
+    return {
+      _id: String(message?._id || replyToId),
+      sender: message ? { _id: String(message.sender?._id || message.sender) } : null,
+      snippet: "This message has been deleted",
+      messageType: "text",
+      isDeleteEvery: true
+    };
+  }
+
+  const senderInfo = createCompactSender(message.sender);
+  const messageType = message.messageType || "text";
+  const text = messageType === "text" ? (message.content || "") : "";
+
+  return {
+    _id: String(message._id),
+    sender: senderInfo,
+    snippet: text.length > REPLY_SNIPPET_LENGTH ? `${text.slice(0, REPLY_SNIPPET_LENGTH)}…` : text,
+    messageType,
+    isDeleteEvery: false
+  };
+};
+
+/**
+ * @param {Object} [options]
+ *   - recipientIds: recipients of the message, for group delivery status
+ *   - messagesById: lookup (see createMessageLookup) holding the quoted message of a reply
+ */
+export const createMessageResponse = (message, userId, chatId = null, options = {}) => {
   const isDeleteEvery = message.isDeleteEvery === true;
   
   let senderInfo;
@@ -30,11 +191,16 @@ export const createMessageResponse = (message, userId, chatId = null) => {
   // Ensure chatRequestId is never "undefined"
   const chatRequestId = chatId || String(message.chatRequestId || message.chatId);
   
+  // Media messages repeat their file reference as content; both go out as downloadable URLs
+  const isMediaContent = Boolean(message.mediaUrl) && message.content === message.mediaUrl;
+
   const baseMessage = {
     _id: String(message._id),
     chatId: chatRequestId, // Use actual chat ID
-    content: isDeleteEvery ? "This message has been deleted" : message.content,
-    mediaUrl: isDeleteEvery ? null : (message.mediaUrl || null), // Always include mediaUrl
+    content: isDeleteEvery
+      ? "This message has been deleted"
+      : (isMediaContent ? getMessageMediaUrl(message, message.content) : message.content),
+    mediaUrl: isDeleteEvery ? null : getMessageMediaUrl(message, message.mediaUrl || null), // Always include mediaUrl
     messageType: isDeleteEvery ? "text" : (message.messageType || "text"),
     isDeleteMe: message.isDeleteMe || false,
     isDeleteEvery: isDeleteEvery,
@@ -51,7 +217,33 @@ export const createMessageResponse = (message, userId, chatId = null) => {
     editedAt: message.editedAt || null,
     time: message.createdAt,
     sender: senderInfo,
-    type: String(message.sender?._id || message.sender) === String(userId) ? 'send' : 'receive'
+    type: String(message.sender?._id || message.sender) === String(userId) ? 'send' : 'receive',
+    replyTo: message.replyTo
+      ? createReplyPreview(options.messagesById?.get(String(message.replyTo)), message.replyTo)
+      : null,
+    audio: !isDeleteEvery && message.audio
+      ? { duration: message.audio.duration, codec: message.audio.codec || null, waveform: message.audio.waveform || [] }
+      : null,
+    media: !isDeleteEvery && message.media
+      ? {
+        width: message.media.width ?? null,
+        height: message.media.height ?? null,
+        duration: message.media.duration ?? null,
+        variants: {
+          thumb: getMessageMediaUrl(message, message.media.variants?.thumb, "thumb"),
+          small: getMessageMediaUrl(message, message.media.variants?.small, "small"),
+          medium: getMessageMediaUrl(message, message.media.variants?.medium, "medium")
+        },
+        posterUrl: getMessageMediaUrl(message, message.media.posterUrl, "poster")
+      }
+      : null,
+    isForwarded: message.isForwarded === true,
+    expiresAt: message.expiresAt || null,
+    reactions: isDeleteEvery ? [] : summarizeReactions(message.reactions, userId),
+    // Only meaningful to the sender
+    status: String(message.sender?._id || message.sender) === String(userId)
+      ? getMessageStatus(message, options.recipientIds || null)
+      : null
   };
 
   return baseMessage;
@@ -76,32 +268,3 @@ export const createLastMessageResponse = (message, userId, chatRequestId) => {
     type: baseMessage.type
   };
 };
-
-export const createDeletedForMeMap = (conversation, userId) => {
-  const deletedForMeMap = new Map();
-  if (conversation?.deletedForMe && Array.isArray(conversation.deletedForMe)) {
-    conversation.deletedForMe.forEach(deletion => {
-      if (deletion.userId && deletion.userId.toString() === userId.toString()) {
-        deletedForMeMap.set(deletion.messageId.toString(), deletion);
-      }
-    });
-  }
-  return deletedForMeMap;
-};
-
-export const filterVisibleMessages = (messages, deletedForMeMap, joinedAtDate = null, userId = null) => {
-  return messages
-    .map(m => {
-      if (!m) return null;
-      
-      const isDeleteMe = deletedForMeMap.has(m._id.toString());
-      if (isDeleteMe) return null;
-
-      if (joinedAtDate && new Date(m.createdAt) < joinedAtDate) {
-        return null;
-      }
-
-      return m;
-    })
-    .filter(m => m !== null);
-};
\ No newline at end of file
@@ -0,0 +1,112 @@
+import fs from "fs";
+import crypto from "crypto";
+
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+const sha256Hex = (data) => crypto.createHash("sha256").update(data).digest("hex");
+// SigV4 wants RFC 3986 encoding, which encodeURIComponent misses for !'()*
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// Longest expiry S3 accepts for a presigned URL
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Storage driver for S3 and S3-compatible services (MinIO, R2, Spaces...), signing requests
+ * with AWS Signature V4. Public files go under `public/` (the bucket policy should allow
+ * anonymous reads there, or `publicUrl` should point at a CDN in front of it); private files
+ * go under `private/` and are read through presigned GET URLs.
+ * @param {Object} options - { endpoint, region, bucket, accessKeyId, secretAccessKey, publicUrl, forcePathStyle }
+ */
+export const createS3StorageDriver = ({
+  endpoint,
+  region = "us-east-1",
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+  publicUrl,
+  forcePathStyle = true,
+}) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error("S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY");
+  }
+
+  const baseUrl = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const host = forcePathStyle ? baseUrl.host : `${bucket}.${baseUrl.host}`;
+  const origin = `${baseUrl.protocol}//${host}`;
+  const objectKeyFor = (key, visibility) => `${visibility === "private" ? "private" : "public"}/${key}`;
+  const objectPath = (objectKey) =>
+    `${forcePathStyle ? `/${bucket}` : ""}/${objectKey.split("/").map(encodeRfc3986).join("/")}`;
+  const publicBase = (publicUrl || `${origin}${forcePathStyle ? `/${bucket}` : ""}/public`).replace(/\/+$/, "");
+
+  const timestamps = () => {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+    return { amzDate, date: amzDate.slice(0, 8) };
+  };
+  const credentialScope = (date) => `${date}/${region}/s3/aws4_request`;
+  const signature = (date, amzDate, canonicalRequest) => {
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), "s3"), "aws4_request");
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, credentialScope(date), sha256Hex(canonicalRequest)].join("\n");
+    return crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+  };
+
+  /**
+   * Signed request for one object; the payload is sent unsigned so large files are not hashed
+   */
+  const request = async (method, objectKey, { body, contentType } = {}) => {
+    const { amzDate, date } = timestamps();
+    const headers = { host, "x-amz-content-sha256": "UNSIGNED-PAYLOAD", "x-amz-date": amzDate };
+    const signedHeaders = Object.keys(headers).sort().join(";");
+    const canonicalHeaders = Object.keys(headers).sort().map((name) => `${name}:${headers[name]}\n`).join("");
+    const pathname = objectPath(objectKey);
+    const canonicalRequest = [method, pathname, "", canonicalHeaders, signedHeaders, "UNSIGNED-PAYLOAD"].join("\n");
+
+    const response = await fetch(`${origin}${pathname}`, {
+      method,
+      body,
+      headers: {
+        "x-amz-content-sha256": headers["x-amz-content-sha256"],
+        "x-amz-date": amzDate,
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${credentialScope(date)}, SignedHeaders=${signedHeaders}, Signature=${signature(date, amzDate, canonicalRequest)}`,
+        ...(contentType ? { "content-type": contentType } : {}),
+      },
+    });
+    if (!response.ok && !(method === "DELETE" && response.status === 404)) {
+      const detail = await response.text().catch(() => "");
+      throw new Error(`S3 ${method} ${objectKey} failed with ${response.status}: ${detail.slice(0, 200)}`);
+    }
+    return response;
+  };
+
+  return {
+    name: "s3",
+
+    async put(localPath, key, { visibility = "public", contentType } = {}) {
+      const body = await fs.promises.readFile(localPath);
+      await request("PUT", objectKeyFor(key, visibility), { body, contentType });
+      await fs.promises.unlink(localPath).catch(() => { });
+    },
+
+    async delete(key, visibility = "public") {
+      await request("DELETE", objectKeyFor(key, visibility));
+    },
+
+    getPublicUrl: (key) => `${publicBase}/${key}`,
+
+    parsePublicUrl: (url) => (url.startsWith(`${publicBase}/`) ? url.slice(publicBase.length + 1) : null),
+
+    getSignedUrl(key, expiresIn) {
+      const { amzDate, date } = timestamps();
+      const pathname = objectPath(objectKeyFor(key, "private"));
+      const params = {
+        "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+        "X-Amz-Credential": `${accessKeyId}/${credentialScope(date)}`,
+        "X-Amz-Date": amzDate,
+        "X-Amz-Expires": String(Math.min(expiresIn, MAX_PRESIGN_SECONDS)),
+        "X-Amz-SignedHeaders": "host",
+      };
+      const query = Object.keys(params).sort().map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(params[name])}`).join("&");
+      const canonicalRequest = ["GET", pathname, query, `host:${host}\n`, "host", "UNSIGNED-PAYLOAD"].join("\n");
+      return `${origin}${pathname}?${query}&X-Amz-Signature=${signature(date, amzDate, canonicalRequest)}`;
+    },
+  };
+};
@@ -0,0 +1,143 @@
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Message from "../models/Message.js";
+import ScheduledMessage from "../models/ScheduledMessage.js";
+import { getIO } from "../config/socket.js";
+import { deliverChatMessage } from "../controller/chatController/chatController.js";
+import { checkUserDeleted, resolveChatAccess } from "./chatHelper.js";
+import { notifyUser } from "./notificationHelper.js";
+
+const DELIVERY_BATCH_SIZE = 50;
+// A job still "sending" after this long belongs to a worker that died
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+/**
+ * Re-run the checks of a live send for a due job: the author still exists, is subscribed
+ * and belongs to the chat, and an individual chat partner was not deleted
+ * @returns {Promise<string|null>} why the message cannot be sent, or null
+ */
+const checkScheduledSend = async (job) => {
+  const author = await User.findById(job.sender).select("isDeleted isSubscription isAdmin");
+  if (!author || author.isDeleted === true) return "Your account is no longer active";
+  if (!author.isSubscription && !author.isAdmin) return "Your account does not have an active subscription";
+
+  const access = await resolveChatAccess(job.chatId, job.sender);
+  if (access.error) return access.error;
+
+  if (access.chatType === "individual") {
+    const partnerId = access.participantIds.find((id) => id !== String(job.sender));
+    const { isDeleted } = await checkUserDeleted(partnerId);
+    if (isDeleted) return "The other participant's profile was deleted";
+  }
+  return null;
+};
+
+const emitToAuthor = (job, event, payload) => {
+  try {
+    getIO().to(`user:${String(job.sender)}`).emit(event, {
+      scheduledMessageId: String(job._id),
+      chatId: String(job.chatId),
+      ...payload
+    });
+  } catch (error) {
+    console.error(`Socket emit error (${event}):`, error.message);
+  }
+};
+
+const markScheduledMessageSent = async (job) => {
+  await ScheduledMessage.updateOne(
+    { _id: job._id },
+    { $set: { status: "sent", sentAt: new Date(), lockedAt: null } }
+  );
+};
+
+const failScheduledMessage = async (job, reason) => {
+  await ScheduledMessage.updateOne(
+    { _id: job._id },
+    { $set: { status: "failed", failureReason: reason, lockedAt: null } }
+  );
+
+  await notifyUser(
+    String(job.sender),
+    "Scheduled message not sent",
+    `Your scheduled message could not be sent: ${reason}`,
+    { data: { type: "scheduled_message_failed", scheduledMessageId: String(job._id), chatId: String(job.chatId) } }
+  );
+  emitToAuthor(job, "scheduledMessage:failed", { reason });
+};
+
+/**
+ * Send scheduled messages that are due, one job at a time.
+ * Jobs are claimed atomically, so several server instances can run this side by side.
+ * Should be called every 30 seconds or so: by the interval in index.js, or on Vercel (where
+ * no interval runs) through GET /api/cron/scheduled-messages.
+ */
+export const deliverScheduledMessages = async () => {
+  try {
+    const now = new Date();
+
+    await ScheduledMessage.updateMany(
+      { status: "sending", lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } },
+      { $set: { status: "pending", lockedAt: null } }
+    );
+
+    let delivered = 0;
+    let failed = 0;
+
+    for (let i = 0; i < DELIVERY_BATCH_SIZE; i++) {
+      const job = await ScheduledMessage.findOneAndUpdate(
+        { status: "pending", scheduledFor: { $lte: now } },
+        { $set: { status: "sending", lockedAt: new Date() }, $inc: { attempts: 1 } },
+        { sort: { scheduledFor: 1 }, new: true }
+      );
+      if (!job) break;
+
+      try {
+        // Fix the message id before sending; if it is already stored, an earlier worker died
+        // between storing the message and marking the job sent
+        if (!job.sentMessage) {
+          job.sentMessage = new mongoose.Types.ObjectId();
+          await ScheduledMessage.updateOne({ _id: job._id }, { $set: { sentMessage: job.sentMessage } });
+        } else if (await Message.exists({ _id: job.sentMessage })) {
+          await markScheduledMessageSent(job);
+          emitToAuthor(job, "scheduledMessage:sent", { message: null, sentMessageId: String(job.sentMessage) });
+          delivered += 1;
+          continue;
+        }
+
+        const reason = await checkScheduledSend(job);
+        const result = reason
+          ? { error: reason }
+          : await deliverChatMessage({
+            chatId: String(job.chatId),
+            userId: String(job.sender),
+            message: job.content,
+            replyTo: job.replyTo ? String(job.replyTo) : null,
+            messageId: job.sentMessage
+          });
+
+        if (result.error) {
+          await failScheduledMessage(job, result.error);
+          failed += 1;
+          continue;
+        }
+
+        await markScheduledMessageSent(job);
+        emitToAuthor(job, "scheduledMessage:sent", { message: result.message, sentMessageId: String(job.sentMessage) });
+        delivered += 1;
+      } catch (error) {
+        console.error(`❌ Error delivering scheduled message ${job._id}:`, error);
+        await failScheduledMessage(job, "Something went wrong while sending");
+        failed += 1;
+      }
+    }
+
+    if (delivered > 0 || failed > 0) {
+      console.log(`⏰ Scheduled messages: ${delivered} sent, ${failed} failed`);
+    }
+    return { delivered, failed };
+  } catch (error) {
+    console.error("❌ Error delivering scheduled messages:", error);
+    return { delivered: 0, failed: 0, error: error.message };
+  }
+};
@@ -0,0 +1,245 @@
+import crypto from "crypto";
+import redisClient from "../config/redis.js";
+import authHelper from "./authHelper.js";
+import { recordAudit } from "./auditHelper.js";
+
+/**
+ * Device session store (Redis)
+ * session:<sessionId>  -> JSON session record (TTL = refresh token lifetime)
+ * sessions:<userId>    -> set of the user's session ids
+ * refreshUsed:<hash>   -> marker for a refresh token that has already been rotated
+ * refreshGrace:<hash>  -> the pair a refresh token was rotated into, kept for a few seconds
+ */
+
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+
+const sessionKey = (sessionId) => `session:${sessionId}`;
+const userSessionsKey = (userId) => `sessions:${userId}`;
+const usedTokenKey = (tokenHash) => `refreshUsed:${tokenHash}`;
+const graceKey = (tokenHash) => `refreshGrace:${tokenHash}`;
+
+// Parallel requests sent with the same expired access token all carry the same refresh token;
+// within this window they get the pair the first one produced instead of counting as reuse
+const getRefreshGraceSeconds = () => Number(process.env.REFRESH_REUSE_GRACE_SECONDS || 30);
+
+export const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+export const getRefreshTtlSeconds = () => {
+  const expiry = process.env.JWT_REFRESH_TOKEN_EXPIRY || "30d";
+  return Math.floor(authHelper.parseExpiry(expiry) / 1000);
+};
+
+/**
+ * Client IP as resolved by Express: X-Forwarded-For is only honoured for the proxy hops index.js
+ * trusts (TRUST_PROXY_HOPS), so clients cannot pick their own IP
+ */
+export const getClientIp = (req) => req.ip || req.socket?.remoteAddress || null;
+
+/**
+ * Device details sent by the client at login
+ */
+export const getDeviceInfo = (req) => {
+  const body = req.body || {};
+  return {
+    deviceName: body.deviceName || req.headers?.["x-device-name"] || null,
+    platform: body.platform || req.headers?.["x-device-platform"] || null,
+    userAgent: req.headers?.["user-agent"] || null,
+    ip: getClientIp(req),
+    fcmToken: body.fcmToken || null,
+  };
+};
+
+const saveSession = async (session) => {
+  const ttl = getRefreshTtlSeconds();
+  await redisClient.setEx(sessionKey(session.id), ttl, JSON.stringify(session));
+  await redisClient.sadd(userSessionsKey(session.userId), session.id);
+  await redisClient.expire(userSessionsKey(session.userId), ttl);
+};
+
+export const getSession = async (sessionId) => {
+  if (!sessionId) return null;
+  const raw = await redisClient.get(sessionKey(sessionId));
+  return raw ? JSON.parse(raw) : null;
+};
+
+/**
+ * Create a session for a device and issue its token pair. Throws when the session cannot be
+ * saved: auth.js rejects tokens without a session record, so they would be unusable.
+ * @returns {Promise<{sessionId, accessToken, refreshToken, session}>}
+ */
+export const createSession = async (user, device = {}) => {
+  const userId = String(user._id || user.id);
+  const sessionId = crypto.randomUUID();
+  const accessToken = authHelper.generateAccessToken(user, sessionId);
+  const refreshToken = authHelper.generateRefreshToken(user, sessionId);
+  const now = new Date().toISOString();
+
+  const session = {
+    id: sessionId,
+    userId,
+    deviceName: device.deviceName || null,
+    platform: device.platform || null,
+    userAgent: device.userAgent || null,
+    ip: device.ip || null,
+    fcmToken: device.fcmToken || null,
+    refreshTokenHash: hashToken(refreshToken),
+    createdAt: now,
+    lastSeenAt: now,
+  };
+
+  try {
+    await saveSession(session);
+  } catch (redisError) {
+    console.error("❌ Redis session save failed:", redisError.message);
+    throw new Error("Unable to start a session right now", { cause: redisError });
+  }
+
+  return { sessionId, accessToken, refreshToken, session };
+};
+
+/**
+ * Update last-seen time / IP, at most once per minute per session
+ */
+export const touchSession = async (session, { ip } = {}) => {
+  if (!session) return;
+  const lastSeen = new Date(session.lastSeenAt || 0).getTime();
+  if (Date.now() - lastSeen < LAST_SEEN_THROTTLE_MS && (!ip || ip === session.ip)) return;
+
+  try {
+    session.lastSeenAt = new Date().toISOString();
+    if (ip) session.ip = ip;
+    const ttl = await redisClient.ttl(sessionKey(session.id));
+    if (ttl > 0) {
+      await redisClient.setEx(sessionKey(session.id), ttl, JSON.stringify(session));
+    }
+  } catch (redisError) {
+    console.warn("⚠️ Redis session touch failed (non-critical):", redisError.message);
+  }
+};
+
+/**
+ * List a user's live sessions, pruning ids whose record has expired
+ */
+export const listSessions = async (userId) => {
+  const ids = await redisClient.smembers(userSessionsKey(userId));
+  const sessions = [];
+  for (const id of ids) {
+    const session = await getSession(id);
+    if (session) {
+      sessions.push(session);
+    } else {
+      await redisClient.srem(userSessionsKey(userId), id);
+    }
+  }
+  return sessions.sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+};
+
+/**
+ * Revoke one session of a user
+ * @returns {Promise<Object|null>} the revoked session, or null if it does not belong to the user
+ */
+export const revokeSession = async (userId, sessionId) => {
+  const session = await getSession(sessionId);
+  if (!session || String(session.userId) !== String(userId)) return null;
+
+  await redisClient.del(sessionKey(sessionId));
+  await redisClient.srem(userSessionsKey(userId), sessionId);
+  return session;
+};
+
+/**
+ * Revoke every session of a user, optionally keeping one (the current device)
+ * @returns {Promise<Object[]>} revoked sessions
+ */
+export const revokeAllSessions = async (userId, { exceptSessionId = null } = {}) => {
+  const sessions = await listSessions(userId);
+  const revoked = sessions.filter((session) => session.id !== exceptSessionId);
+
+  for (const session of revoked) {
+    await redisClient.del(sessionKey(session.id));
+    await redisClient.srem(userSessionsKey(userId), session.id);
+  }
+
+  // Tokens issued before device sessions existed
+  await redisClient.del(`refreshToken:${userId}`);
+  return revoked;
+};
+
+/**
+ * Rotate a verified refresh token: the presented token is spent and a new pair is issued.
+ * Presenting it again within the grace window returns that same pair; presenting it later
+ * counts as reuse (a stolen token) and revokes every session of the user.
+ * @returns {Promise<{status: "rotated"|"reused"|"invalid", accessToken?, refreshToken?, session?}>}
+ */
+export const rotateRefreshToken = async (token, decoded, { ip = null, userAgent = null } = {}) => {
+  const userId = String(decoded.id);
+  const tokenHash = hashToken(token);
+
+  const session = await getSession(decoded.sid);
+  if (!session || String(session.userId) !== userId) return { status: "invalid" };
+
+  const accessToken = authHelper.generateAccessToken({ _id: userId }, session.id);
+  const refreshToken = authHelper.generateRefreshToken({ _id: userId }, session.id);
+
+  // Claim the presented token atomically with the pair it rotates into, so a concurrent
+  // request with the same token can be handed that pair
+  const claimed = await redisClient.set(
+    graceKey(tokenHash),
+    JSON.stringify({ accessToken, refreshToken }),
+    "EX",
+    getRefreshGraceSeconds(),
+    "NX"
+  );
+  if (!claimed) {
+    const previous = await redisClient.get(graceKey(tokenHash));
+    if (previous) {
+      return { status: "rotated", sessionId: session.id, ...JSON.parse(previous), session };
+    }
+  }
+
+  // Only the token's first presentation may rotate it, however long ago that was
+  const firstUse = claimed
+    && await redisClient.set(usedTokenKey(tokenHash), session.id, "EX", getRefreshTtlSeconds(), "NX");
+  if (!firstUse || session.refreshTokenHash !== tokenHash) {
+    await redisClient.del(graceKey(tokenHash));
+    const revoked = await revokeAllSessions(userId);
+    await recordAudit({
+      actor: userId,
+      action: "auth.refresh_token_reuse",
+      targetType: "session",
+      targetId: session.id,
+      ip,
+      userAgent,
+      metadata: {
+        deviceName: session.deviceName,
+        platform: session.platform,
+        sessionIp: session.ip,
+        revokedSessions: revoked.length,
+      },
+    });
+    console.warn(`🚨 Refresh token reuse detected for user ${userId}: all ${revoked.length} sessions revoked`);
+    return { status: "reused" };
+  }
+
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.lastSeenAt = new Date().toISOString();
+  if (ip) session.ip = ip;
+  await saveSession(session);
+
+  return { status: "rotated", sessionId: session.id, accessToken, refreshToken, session };
+};
+
+/**
+ * Public shape of a session (never exposes the token hash)
+ */
+export const formatSession = (session, currentSessionId = null) => ({
+  id: session.id,
+  deviceName: session.deviceName,
+  platform: session.platform,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  hasPushToken: Boolean(session.fcmToken),
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  current: session.id === currentSessionId,
+});
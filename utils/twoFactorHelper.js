@@ -0,0 +1,249 @@
+import crypto from "crypto";
+import redisClient from "../config/redis.js";
+import User from "../models/User.js";
+import Setting from "../models/Setting.js";
+import authHelper from "./authHelper.js";
+import { isStaffAccount } from "../config/roles.js";
+
+/**
+ * Two-factor authentication (RFC 6238 TOTP, SHA-1 / 6 digits / 30 s)
+ * totpUsed:<userId>:<counter>   -> a code that was already accepted (no replay inside its window)
+ * twoFactorChallenge:<jti>      -> pending login waiting for its second factor (device info)
+ * twoFactorChallenge:attempts:<jti> -> codes sent against the challenge
+ */
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "SAK SOTI";
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+// Accepted clock drift, in periods on each side of the current one
+const WINDOW = Number(process.env.TWO_FACTOR_WINDOW || 1);
+const RECOVERY_CODE_COUNT = 10;
+const MAX_CHALLENGE_ATTEMPTS = Number(process.env.TWO_FACTOR_MAX_ATTEMPTS || 5);
+const ENFORCE_ADMINS_KEY = "security.adminTwoFactorRequired";
+const SETTING_CACHE_MS = 30 * 1000;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const generateCode = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * otpauth:// URI understood by authenticator apps (render it as a QR code)
+ */
+export const buildOtpauthUri = (accountName, secret) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Check a TOTP code; an accepted code cannot be used a second time
+ */
+export const verifyTotpCode = async (userId, secret, code) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!secret || !/^\d{6}$/.test(normalized)) return false;
+
+  const currentCounter = Math.floor(Date.now() / 1000 / PERIOD_SECONDS);
+  for (let drift = -WINDOW; drift <= WINDOW; drift++) {
+    const counter = currentCounter + drift;
+    const expected = generateCode(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      const fresh = await redisClient.set(`totpUsed:${userId}:${counter}`, "1", "EX", PERIOD_SECONDS * (2 * WINDOW + 1), "NX");
+      return Boolean(fresh);
+    }
+  }
+  return false;
+};
+
+// Recovery codes are compared case-insensitively and without separators
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(String(code).toLowerCase().replace(/[\s-]/g, "")).digest("hex");
+
+/**
+ * New set of one-time recovery codes
+ * @returns {{codes: string[], hashes: string[]}} codes are shown once, only hashes are stored
+ */
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Spend a recovery code (atomic: two requests can't both use the same code)
+ */
+export const consumeRecoveryCode = async (userId, code) => {
+  if (!code) return false;
+  const hash = hashRecoveryCode(code);
+  const result = await User.updateOne(
+    { _id: userId, "twoFactor.recoveryCodes": hash },
+    { $pull: { "twoFactor.recoveryCodes": hash } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Check the second factor of a user loaded with +twoFactor.secret
+ * @returns {Promise<"totp"|"recovery_code"|null>} method that succeeded
+ */
+export const verifySecondFactor = async (user, { code, recoveryCode } = {}) => {
+  if (code && (await verifyTotpCode(String(user._id), user.twoFactor?.secret, code))) return "totp";
+  if (recoveryCode && (await consumeRecoveryCode(user._id, recoveryCode))) return "recovery_code";
+  return null;
+};
+
+const challengeKey = (jti) => `twoFactorChallenge:${jti}`;
+const challengeAttemptsKey = (jti) => `twoFactorChallenge:attempts:${jti}`;
+
+/**
+ * Start a login that still needs its second factor
+ * @returns {Promise<{challengeToken: string, expiresIn: number}>}
+ */
+export const createLoginChallenge = async (user, { method, device = {} }) => {
+  const jti = crypto.randomUUID();
+  const expiry = authHelper.getExpiry("challenge");
+  const expiresIn = Math.floor(authHelper.parseExpiry(expiry) / 1000);
+
+  const challengeToken = authHelper.signToken("challenge", { id: user._id }, { jwtid: jti });
+  await redisClient.setEx(challengeKey(jti), expiresIn, JSON.stringify({ userId: String(user._id), method, device }));
+
+  return { challengeToken, expiresIn };
+};
+
+/**
+ * Resolve a challenge token to its pending login
+ * @returns {Promise<{jti, userId, method, device}|null>}
+ */
+export const getLoginChallenge = async (challengeToken) => {
+  let decoded;
+  try {
+    decoded = authHelper.verifyTypedToken("challenge", challengeToken);
+  } catch {
+    return null;
+  }
+
+  const raw = await redisClient.get(challengeKey(decoded.jti));
+  if (!raw) return null;
+
+  const challenge = JSON.parse(raw);
+  if (challenge.userId !== String(decoded.id)) return null;
+  return { jti: decoded.jti, ...challenge };
+};
+
+/**
+ * Count a code attempt before the code is checked, so parallel guesses cannot all pass the
+ * limit together; the challenge is dropped once the attempts are used up
+ * @returns {Promise<{allowed: boolean, last: boolean}>} `last`: a wrong code now locks the challenge
+ */
+export const registerChallengeAttempt = async (jti) => {
+  const attempts = await redisClient.incr(challengeAttemptsKey(jti));
+  await redisClient.expire(challengeAttemptsKey(jti), Math.floor(authHelper.parseExpiry(authHelper.getExpiry("challenge")) / 1000));
+  if (attempts > MAX_CHALLENGE_ATTEMPTS) {
+    await redisClient.del(challengeKey(jti));
+    return { allowed: false, last: true };
+  }
+  return { allowed: true, last: attempts === MAX_CHALLENGE_ATTEMPTS };
+};
+
+/**
+ * Drop a challenge whose last attempt failed (the attempt counter is left to expire)
+ */
+export const lockLoginChallenge = async (jti) => {
+  await redisClient.del(challengeKey(jti));
+};
+
+/**
+ * Consume a challenge once its second factor is verified
+ * @returns {Promise<boolean>} false if it was already used (concurrent request)
+ */
+export const completeLoginChallenge = async (jti) => {
+  const raw = await redisClient.getdel(challengeKey(jti));
+  await redisClient.del(challengeAttemptsKey(jti));
+  return Boolean(raw);
+};
+
+let enforcementCache = { value: false, loadedAt: 0 };
+
+/**
+ * Whether every administrator (staff) account must have two-factor authentication on
+ */
+export const isTwoFactorRequiredForAdmins = async () => {
+  if (Date.now() - enforcementCache.loadedAt < SETTING_CACHE_MS) return enforcementCache.value;
+  try {
+    const setting = await Setting.findOne({ key: ENFORCE_ADMINS_KEY }).lean();
+    enforcementCache = { value: setting?.value === true, loadedAt: Date.now() };
+  } catch (error) {
+    console.warn("⚠️ Two-factor enforcement setting lookup failed:", error.message);
+  }
+  return enforcementCache.value;
+};
+
+/**
+ * Store the enforcement setting
+ * @returns {Promise<{before: boolean, value: boolean}>} `before` is the stored value it replaced
+ */
+export const setTwoFactorRequiredForAdmins = async (required, updatedBy = null) => {
+  const previous = await Setting.findOneAndUpdate(
+    { key: ENFORCE_ADMINS_KEY },
+    { value: required === true, updatedBy },
+    { upsert: true, new: false }
+  ).lean();
+  enforcementCache = { value: required === true, loadedAt: Date.now() };
+  return { before: previous?.value === true, value: enforcementCache.value };
+};
+
+/**
+ * True when the account may not use admin features until it enrolls
+ */
+export const isTwoFactorSetupRequired = async (user) =>
+  isStaffAccount(user) && !user.twoFactor?.enabled && (await isTwoFactorRequiredForAdmins());
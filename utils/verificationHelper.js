@@ -0,0 +1,83 @@
+import crypto from "crypto";
+import redisClient from "../config/redis.js";
+import { sendEmailVerificationEmail } from "./mailHelper.js";
+
+/**
+ * Email verification codes (Redis)
+ * emailVerify:<userId>          -> sha256 of the current 6-digit code
+ * emailVerify:attempts:<userId> -> guesses against the current code
+ * emailVerify:cooldown:<userId> -> set while a resend is not allowed yet
+ * emailVerify:sent:<userId>     -> codes sent in the current hour
+ */
+
+const CODE_TTL_SECONDS = Number(process.env.EMAIL_VERIFICATION_TTL_MINUTES || 30) * 60;
+const MAX_ATTEMPTS = Number(process.env.EMAIL_VERIFICATION_MAX_ATTEMPTS || 5);
+const RESEND_COOLDOWN_SECONDS = Number(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS || 60);
+const MAX_SENDS_PER_HOUR = Number(process.env.EMAIL_VERIFICATION_MAX_PER_HOUR || 5);
+
+const hashCode = (userId, code) =>
+  crypto.createHash("sha256").update(`${userId}:${code}`).digest("hex");
+
+/**
+ * Generate, store and email a new verification code (replaces any previous one)
+ * @returns {Promise<{status: "sent"|"cooldown"|"limit"|"failed", retryAfter?: number}>}
+ */
+export const sendVerificationCode = async (user) => {
+  const userId = String(user._id);
+
+  const allowed = await redisClient.set(`emailVerify:cooldown:${userId}`, "1", "EX", RESEND_COOLDOWN_SECONDS, "NX");
+  if (!allowed) {
+    const retryAfter = await redisClient.ttl(`emailVerify:cooldown:${userId}`);
+    return { status: "cooldown", retryAfter: Math.max(retryAfter, 1) };
+  }
+
+  const sentCount = await redisClient.incr(`emailVerify:sent:${userId}`);
+  if (sentCount === 1) {
+    await redisClient.expire(`emailVerify:sent:${userId}`, 3600);
+  }
+  if (sentCount > MAX_SENDS_PER_HOUR) {
+    const retryAfter = await redisClient.ttl(`emailVerify:sent:${userId}`);
+    return { status: "limit", retryAfter: Math.max(retryAfter, 1) };
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  await redisClient.setEx(`emailVerify:${userId}`, CODE_TTL_SECONDS, hashCode(userId, code));
+  await redisClient.del(`emailVerify:attempts:${userId}`);
+
+  const mailResult = await sendEmailVerificationEmail(user, code, CODE_TTL_SECONDS / 60);
+  if (!mailResult.success) {
+    console.error(`❌ Verification email failed for ${user.email}:`, mailResult.error || mailResult.message);
+    return { status: "failed" };
+  }
+  return { status: "sent" };
+};
+
+/**
+ * Check a verification code; the code is consumed on success and
+ * invalidated after too many wrong guesses.
+ * @returns {Promise<"verified"|"invalid"|"expired"|"locked">}
+ */
+export const checkVerificationCode = async (userId, code) => {
+  // Count the guess before comparing: parallel guesses each get their own number, so they
+  // cannot all pass the limit check together. The counter outlives a locked code on purpose.
+  const attempts = await redisClient.incr(`emailVerify:attempts:${userId}`);
+  await redisClient.expire(`emailVerify:attempts:${userId}`, CODE_TTL_SECONDS);
+  if (attempts > MAX_ATTEMPTS) {
+    await redisClient.del(`emailVerify:${userId}`);
+    return "locked";
+  }
+
+  const storedHash = await redisClient.get(`emailVerify:${userId}`);
+  if (!storedHash) return "expired";
+
+  if (storedHash !== hashCode(userId, String(code).trim())) {
+    if (attempts === MAX_ATTEMPTS) {
+      await redisClient.del(`emailVerify:${userId}`);
+      return "locked";
+    }
+    return "invalid";
+  }
+
+  await redisClient.del(`emailVerify:${userId}`, `emailVerify:attempts:${userId}`);
+  return "verified";
+};
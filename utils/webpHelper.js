@@ -0,0 +1,94 @@
+import fs from "fs";
+
+/*
+ * WebP files are a RIFF container: "RIFF" <size> "WEBP", then chunks of <fourcc> <size> <payload>
+ * (padded to an even length). Metadata lives in its own EXIF and XMP chunks, so it can be dropped
+ * without decoding the image; that also works for animated WebP, which ffmpeg cannot decode.
+ */
+
+const METADATA_CHUNKS = ["EXIF", "XMP "];
+// VP8X feature flags
+const FLAG_ANIMATION = 0x02;
+const FLAG_XMP = 0x04;
+const FLAG_EXIF = 0x08;
+
+const readUInt24LE = (buffer, offset) => buffer[offset] | (buffer[offset + 1] << 8) | (buffer[offset + 2] << 16);
+
+/**
+ * Chunks of a WebP file, in order
+ * @returns {Array<{fourcc: string, start: number, end: number, payload: Buffer}>} `end` includes padding
+ */
+const readChunks = (buffer) => {
+  if (buffer.length < 12 || buffer.toString("latin1", 0, 4) !== "RIFF" || buffer.toString("latin1", 8, 12) !== "WEBP") {
+    throw new Error("Not a WebP file");
+  }
+
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const fourcc = buffer.toString("latin1", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const payloadEnd = offset + 8 + size;
+    if (payloadEnd > buffer.length) throw new Error(`Truncated WebP chunk ${fourcc}`);
+    const end = Math.min(payloadEnd + (size % 2), buffer.length);
+    chunks.push({ fourcc, start: offset, end, payload: buffer.subarray(offset + 8, payloadEnd) });
+    offset = end;
+  }
+  return chunks;
+};
+
+/**
+ * Canvas size and whether the image is animated, from the VP8X, VP8 or VP8L chunk
+ * @returns {{width: number, height: number, animated: boolean}}
+ */
+const readImageInfo = (chunks) => {
+  const vp8x = chunks.find((chunk) => chunk.fourcc === "VP8X");
+  if (vp8x && vp8x.payload.length >= 10) {
+    return {
+      width: readUInt24LE(vp8x.payload, 4) + 1,
+      height: readUInt24LE(vp8x.payload, 7) + 1,
+      animated: Boolean(vp8x.payload[0] & FLAG_ANIMATION),
+    };
+  }
+
+  const lossy = chunks.find((chunk) => chunk.fourcc === "VP8 ");
+  if (lossy && lossy.payload.length >= 10) {
+    return {
+      width: lossy.payload.readUInt16LE(6) & 0x3fff,
+      height: lossy.payload.readUInt16LE(8) & 0x3fff,
+      animated: false,
+    };
+  }
+
+  const lossless = chunks.find((chunk) => chunk.fourcc === "VP8L");
+  if (lossless && lossless.payload.length >= 5) {
+    const bits = lossless.payload.readUInt32LE(1);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1, animated: false };
+  }
+
+  throw new Error("WebP file has no image data");
+};
+
+/**
+ * Remove the EXIF and XMP chunks of a WebP file in place (the image data is untouched)
+ * @returns {Promise<{width: number, height: number, animated: boolean}>}
+ */
+export const stripWebpMetadata = async (filePath) => {
+  const buffer = await fs.promises.readFile(filePath);
+  const chunks = readChunks(buffer);
+  const info = readImageInfo(chunks);
+
+  const kept = chunks
+    .filter((chunk) => !METADATA_CHUNKS.includes(chunk.fourcc))
+    .map((chunk) => {
+      const bytes = Buffer.from(buffer.subarray(chunk.start, chunk.end));
+      if (chunk.fourcc === "VP8X") bytes[8] &= ~(FLAG_EXIF | FLAG_XMP);
+      return bytes;
+    });
+
+  const header = Buffer.from(buffer.subarray(0, 12));
+  const output = Buffer.concat([header, ...kept]);
+  output.writeUInt32LE(output.length - 8, 4);
+  await fs.promises.writeFile(filePath, output);
+  return info;
+};